@@ -21,10 +21,11 @@ var largeMembership = require('./large-membership.json');
 var Ringpop = require('../index.js');
 var Suite = require('benchmark').Suite;
 
-function init(size) {
+function init(size, checksumMode) {
     var ringpop = new Ringpop({
         app: 'ringpop-bench',
-        hostPort: '127.0.0.1:3000'
+        hostPort: '127.0.0.1:3000',
+        checksumMode: checksumMode
     });
 
     ringpop.membership.update(largeMembership.slice(0, size));
@@ -59,4 +60,13 @@ function run1kMemberBenchmark() {
     });
 }
 
+function run1kMemberIncrementalBenchmark() {
+    var ringpop = init(1000, 'incremental');
+
+    runBenchmark('compute incremental checksum for 1000 members', function benchmark() {
+        ringpop.membership.computeChecksum();
+    });
+}
+
 run1kMemberBenchmark();
+run1kMemberIncrementalBenchmark();
@@ -19,10 +19,17 @@
 // THE SOFTWARE.
 'use strict';
 
+var auth = require('./lib/auth.js');
 var safeParse = require('./lib/util.js').safeParse;
 var TChannel = require('tchannel');
 
-function RingpopClient(subChannel) {
+// Requests are signed with the keys of `opts.ringpop`, as configured at the
+// time of the request, or else with `opts.authKeys`. See lib/auth.js.
+function RingpopClient(subChannel, opts) {
+    opts = opts || {};
+
+    this.ringpop = opts.ringpop || null;
+    this.authKeys = opts.authKeys || [];
     this.subChannel = subChannel;
     this.isChannelOwner = false;
     if (!this.subChannel) {
@@ -60,9 +67,17 @@ RingpopClient.prototype.destroy = function destroy(callback) {
     }
 };
 
+// The head carries the request's signature if there are keys to sign it
+// with.
 /* jshint maxparams: 5 */
 RingpopClient.prototype._request = function _request(host, endpoint, head, body, callback) {
     var self = this;
+    var bodyStr = JSON.stringify(body);
+    var signature = this.ringpop ?
+        auth.signRequest(this.ringpop, endpoint, bodyStr) :
+        auth.signRequestWithKeys(this.authKeys, endpoint, bodyStr);
+    var headStr = signature !== null ? signature : JSON.stringify(head);
+
     this.subChannel.waitForIdentified({
         host: host
     }, function onIdentified(err) {
@@ -81,7 +96,7 @@ RingpopClient.prototype._request = function _request(host, endpoint, head, body,
                 as: 'raw',
                 cn: 'ringpop'
             }
-        }).send(endpoint, JSON.stringify(head), JSON.stringify(body), onSend);
+        }).send(endpoint, headStr, bodyStr, onSend);
     });
 
     function onSend(err, res, arg2, arg3) {
@@ -21,6 +21,8 @@
 
 var _ = require('underscore');
 var EventEmitter = require('events').EventEmitter;
+var MerkleTree = require('./lib/membership/merkle.js');
+var PingReqSelector = require('./lib/gossip/ping-req-selector.js');
 var util = require('util');
 
 // This Config class is meant to be a central store
@@ -56,7 +58,24 @@ Config.prototype._seed = function _seed(seed) {
 
     // All config names should be camel-cased.
     seedOrDefault('TEST_KEY', 100); // never remove, tests and lives depend on it
+    seedOrDefault('authKeys', [], function validator(keys) {
+        return Array.isArray(keys) && _.all(keys, function all(key) {
+            return typeof key === 'string' && key.length > 0;
+        });
+    }, 'expected to be array of non-empty strings');
+    seedOrDefault('authMaxClockSkew', 60 * 1000, numValidator);
     seedOrDefault('autoGossip', true);
+    seedOrDefault('bootstrapFileWatchEnabled', true);
+    seedOrDefault('boundedLoadEnabled', false);
+    seedOrDefault('boundedLoadFactor', 1.25, numValidator);
+    seedOrDefault('boundedLoadQuantum', 1, numValidator);
+    seedOrDefault('boundedLoadReportInterval', 10 * 1000, numValidator);
+    seedOrDefault('checksumMode', 'legacy', function validator(mode) {
+        return mode === 'legacy' || mode === 'incremental';
+    }, 'expected to be \'legacy\' or \'incremental\'');
+    seedOrDefault('dampReqNVal', 6, numValidator);
+    seedOrDefault('dampReqRVal', 3, numValidator);
+    seedOrDefault('dampReqTimeout', 1000, numValidator);
     seedOrDefault('dampScoringEnabled', true);
     seedOrDefault('dampScoringDecayEnabled', true);
     seedOrDefault('dampScoringDecayInterval', 1000);
@@ -69,12 +88,55 @@ Config.prototype._seed = function _seed(seed) {
     seedOrDefault('dampScoringReuseLimit', 2500);
     seedOrDefault('dampScoringSuppressDuration', 60 * 60 * 1000); // 1 hr in ms
     seedOrDefault('dampScoringSuppressLimit', 5000);
+    seedOrDefault('dampedMaxPercentage', 10, numValidator);
+    seedOrDefault('dampedMemberExpirationInterval', 60 * 1000, numValidator);
+    // Members that predate the damped status ignore it, so that a cluster
+    // damping members converges only once all of them have been upgraded.
+    seedOrDefault('dampingEnabled', false);
+    seedOrDefault('deltaSyncDepth', MerkleTree.Defaults.depth, function validator(depth) {
+        return typeof depth === 'number' && depth % 1 === 0 &&
+            depth >= 0 && depth <= MerkleTree.MAX_DEPTH;
+    }, 'expected to be an integer from 0 to ' + MerkleTree.MAX_DEPTH);
+    seedOrDefault('deltaSyncEnabled', true);
+    seedOrDefault('joinAdmissionBurst', 100, numValidator);
+    seedOrDefault('joinAdmissionEnabled', false);
+    seedOrDefault('joinAdmissionRate', 50, numValidator);
+    seedOrDefault('joinCompatibilityMode', 'reject', function validator(mode) {
+        return mode === 'reject' || mode === 'warn';
+    }, 'expected to be \'reject\' or \'warn\'');
+    seedOrDefault('localHealthEnabled', true);
+    seedOrDefault('localHealthMaxScore', 8, numValidator);
     seedOrDefault('memberBlacklist', [], function validator(vals) {
         return _.all(vals, function all(val) {
             return val instanceof RegExp;
         });
     }, 'expected to be array of RegExp objects');
     seedOrDefault('maxJoinAttempts', 50, numValidator);
+    seedOrDefault('membershipSnapshotFile', null, function validator(file) {
+        return file === null || (typeof file === 'string' && file.length > 0);
+    }, 'expected to be a path or null');
+    seedOrDefault('membershipSnapshotInterval', 60 * 1000, numValidator);
+    seedOrDefault('membershipSnapshotMaxAge', 60 * 60 * 1000, numValidator); // 1 hr in ms
+    seedOrDefault('partitionHealEnabled', true);
+    seedOrDefault('partitionHealPeriod', 30 * 1000, numValidator);
+    seedOrDefault('pingReqProbeSuccessWindow', 60 * 1000, numValidator);
+    seedOrDefault('pingReqSelection', PingReqSelector.Modes.random, function validator(mode) {
+        return mode === PingReqSelector.Modes.random ||
+            mode === PingReqSelector.Modes.adaptive;
+    }, 'expected to be \'random\' or \'adaptive\'');
+    seedOrDefault('pingReqSize', 3, numValidator);
+    seedOrDefault('reaperInterval', 5000, numValidator);
+    seedOrDefault('suspicionConfirmations', 3, numValidator);
+    // Confirmations only count when they reach a member directly, as
+    // gossip does not relay them. Suspect periods that start longer than
+    // the suspicion timeout are therefore opt-in.
+    seedOrDefault('suspicionMaxTimeoutMultiplier', 1, numValidator);
+    seedOrDefault('tombstonePeriod', 24 * 60 * 60 * 1000, numValidator); // 1 day in ms
+    seedOrDefault('tombstoneReapDelay', 60 * 1000, numValidator);
+    // Members that predate tombstones keep tombstones in their checksum, so
+    // that a cluster declaring them converges only once all of them have
+    // been upgraded.
+    seedOrDefault('tombstonesEnabled', false);
 
     function seedOrDefault(name, defaultVal, validator, reason) {
         var seedVal = seed[name];
@@ -43,15 +43,28 @@ var packageJSON = require('./package.json');
 var Gossip = require('./lib/gossip');
 var Suspicion = require('./lib/gossip/suspicion');
 
+var BootstrapFileWatcher = require('./lib/discovery/bootstrap-file-watcher.js');
+var BoundedLoadLookup = require('./lib/ring/bounded-load.js');
+var compatibility = require('./lib/compatibility.js');
 var Config = require('./config.js');
+var Damper = require('./lib/gossip/damper.js');
+var DeltaSync = require('./lib/gossip/delta-sync.js');
+var discovery = require('./lib/discovery/index.js');
 var Dissemination = require('./lib/gossip/dissemination.js');
 var errors = require('./lib/errors.js');
 var getTChannelVersion = require('./lib/util.js').getTChannelVersion;
 var HashRing = require('./lib/ring');
 var initMembership = require('./lib/membership/index.js');
+var JoinAdmission = require('./lib/gossip/join-admission.js');
+var LoadPublisher = require('./lib/gossip/load-publisher.js');
+var LocalHealth = require('./lib/gossip/local-health.js');
+var Member = require('./lib/membership/member.js');
 var MembershipIterator = require('./lib/membership/iterator.js');
+var MembershipSnapshot = require('./lib/membership/snapshot.js');
 var MembershipUpdateRollup = require('./lib/membership/rollup.js');
 var nulls = require('./lib/nulls');
+var PartitionHealer = require('./lib/gossip/partition-healer.js');
+var PingReqSelector = require('./lib/gossip/ping-req-selector.js');
 var rawHead = require('./lib/request-proxy/util.js').rawHead;
 var RequestProxy = require('./lib/request-proxy/index.js');
 var registerMembershipListeners = require('./lib/on_membership_event.js').register;
@@ -62,6 +75,8 @@ var RingpopServer = require('./server');
 var safeParse = require('./lib/util').safeParse;
 var sendJoin = require('./lib/gossip/join-sender.js').joinCluster;
 var TracerStore = require('./lib/trace/store.js');
+var validateHosts = require('./lib/discovery/hosts.js').validateHosts;
+var validateRing = require('./lib/ring/interface.js').validateRing;
 
 var HOST_PORT_PATTERN = /^(\d+.\d+.\d+.\d+):\d+$/;
 var MAX_JOIN_DURATION = 300000;
@@ -103,14 +118,34 @@ function RingPop(options) {
     this.setLogger(options.logger || nulls.logger);
     this.statsd = options.statsd || nulls.statsd;
     this.bootstrapFile = options.bootstrapFile;
+    this.bootstrapHostsFile = null;
     this.setTimeout = options.setTimeout || globalSetTimeout;
     this.Ring = options.Ring || HashRing;
 
+    if (typeof options.weight !== 'undefined' && !isValidWeight(options.weight)) {
+        throw errors.InvalidWeightError({ weight: options.weight });
+    }
+
+    if (typeof options.zone !== 'undefined' &&
+            (typeof options.zone !== 'string' || options.zone.length === 0)) {
+        throw errors.InvalidOptionError({
+            option: 'zone',
+            reason: 'it must be a non-empty string'
+        });
+    }
+
+    if (typeof options.labels !== 'undefined' && !Member.isValidLabels(options.labels)) {
+        throw errors.InvalidLabelsError({ labels: JSON.stringify(options.labels) });
+    }
+
+    this.weight = options.weight;
+    this.zone = options.zone;
+    this.labels = options.labels;
+
     this.isReady = false;
 
     this.debugFlags = {};
     this.joinSize = options.joinSize;
-    this.pingReqSize = 3;           // ping-req fanout
     this.pingReqTimeout = options.pingReqTimeout || 5000;
     this.pingTimeout = options.pingTimeout || 1500;
     this.joinTimeout = options.joinTimeout || 1000;
@@ -130,12 +165,36 @@ function RingPop(options) {
         enforceConsistency: options.enforceConsistency
     });
 
-    this.ring = new this.Ring();
+    this.ring = validateRing(new this.Ring());
 
     this.dissemination = new Dissemination(this);
 
     this.membership = initMembership(this);
+    this.membershipSnapshot = new MembershipSnapshot({
+        ringpop: this
+    });
+    this.bootstrapFileWatcher = new BootstrapFileWatcher({
+        ringpop: this
+    });
+    this.damper = new Damper({
+        ringpop: this
+    });
+
+    this.applyChecksumMode();
+    this.config.on('set.checksumMode', this.applyChecksumMode.bind(this));
+    this.boundedLoad = new BoundedLoadLookup({
+        ringpop: this
+    });
+    this.loadPublisher = new LoadPublisher({
+        ringpop: this
+    });
     this.memberIterator = new MembershipIterator(this);
+    this.localHealth = new LocalHealth({
+        ringpop: this
+    });
+    this.pingReqSelector = new PingReqSelector({
+        ringpop: this
+    });
     this.gossip = new Gossip({
         ringpop: this,
         minProtocolPeriod: options.minProtocolPeriod
@@ -144,6 +203,15 @@ function RingPop(options) {
         ringpop: this,
         suspicionTimeout: options.suspicionTimeout
     });
+    this.deltaSync = new DeltaSync({
+        ringpop: this
+    });
+    this.joinAdmission = new JoinAdmission({
+        ringpop: this
+    });
+    this.partitionHealer = new PartitionHealer({
+        ringpop: this
+    });
     this.membershipUpdateRollup = new MembershipUpdateRollup({
         ringpop: this,
         flushInterval: this.membershipUpdateFlushInterval
@@ -166,6 +234,7 @@ function RingPop(options) {
     this.statsHooks = {};
 
     this.destroyed = false;
+    this.discoverProvider = null;
     this.joiner = null;
 
     this.startTime = Date.now(); //used for calculating uptime
@@ -176,6 +245,17 @@ function RingPop(options) {
 
 require('util').inherits(RingPop, EventEmitter);
 
+// Deprecated! Use the pingReqSize config. Kept so that code that sets
+// ringpop.pingReqSize still tunes the ping-req fanout.
+Object.defineProperty(RingPop.prototype, 'pingReqSize', {
+    get: function getPingReqSize() {
+        return this.config.get('pingReqSize');
+    },
+    set: function setPingReqSize(size) {
+        this.config.set('pingReqSize', size);
+    }
+});
+
 RingPop.prototype.destroy = function destroy() {
     if (this.destroyed) {
         return;
@@ -183,8 +263,21 @@ RingPop.prototype.destroy = function destroy() {
 
     this.emit('destroying');
 
+    if (this.discoverProvider && typeof this.discoverProvider.destroy === 'function') {
+        this.discoverProvider.destroy();
+    }
+    this.bootstrapFileWatcher.stop();
+
+    this.membershipSnapshot.stop();
+    if (this.isReady) {
+        this.membershipSnapshot.writeSync();
+    }
+
     this.gossip.stop();
     this.suspicion.stopAll();
+    this.damper.destroy();
+    this.loadPublisher.destroy();
+    this.partitionHealer.stop();
     this.membershipUpdateRollup.destroy();
     this.requestProxy.destroy();
     this.tracers.destroy();
@@ -222,13 +315,17 @@ RingPop.prototype.destroy = function destroy() {
 };
 
 RingPop.prototype.setupChannel = function setupChannel() {
-    this.client = new RingpopClient(this.channel);
+    this.client = new RingpopClient(this.channel, {
+        ringpop: this
+    });
     this.server = new RingpopServer(this, this.channel);
 };
 
 /*
  * opts are:
  *   - bootstrapFile: File or array used to seed join process
+ *   - discoverProvider: Provider of the hosts to join, asked again on
+ *   every round of join attempts. See lib/discovery/index.js
  *   - joinParallelismFactor: Number of nodes in which join request
  *   will be sent
  */
@@ -251,78 +348,137 @@ RingPop.prototype.bootstrap = function bootstrap(opts, callback) {
 
     var bootstrapTime = Date.now();
 
-    this.seedBootstrapHosts(bootstrapFile);
+    // Hosts are either discovered through a provider, which is asked again
+    // on every round of join attempts, or seeded once.
+    if (opts && opts.discoverProvider) {
+        try {
+            this.discoverProvider = discovery.createProvider(opts.discoverProvider);
+        } catch (err) {
+            if (callback) callback(err);
+            return;
+        }
 
-    if (!Array.isArray(this.bootstrapHosts) || this.bootstrapHosts.length === 0) {
-        var noBootstrapMsg = 'ringpop cannot be bootstrapped without bootstrap hosts.' +
-            ' make sure you specify a valid bootstrap hosts file to the ringpop' +
-            ' constructor or have a valid hosts.json file in the current working' +
-            ' directory.';
-        this.logger.warn(noBootstrapMsg);
-        if (callback) callback(new Error(noBootstrapMsg));
-        return;
-    }
+        this.discoverProvider.getHosts(function onHosts(err, hosts) {
+            var reason = err ? null : validateHosts(hosts);
+            if (reason) {
+                err = errors.InvalidDiscoveredHostsError({
+                    reason: reason
+                });
+            }
 
-    checkForMissingBootstrapHost();
-    checkForHostnameIpMismatch();
+            if (err) {
+                self.logger.warn('ringpop could not discover bootstrap hosts', {
+                    address: self.hostPort,
+                    error: err
+                });
+                if (callback) callback(err);
+                return;
+            }
 
-    // Add local member to membership.
-    this.membership.makeAlive(this.whoami(), Date.now());
+            self.bootstrapHosts = hosts;
+            joinWithHosts();
+        });
+    } else {
+        this.seedBootstrapHosts(bootstrapFile);
 
-    var joinTime = Date.now();
+        if (this.bootstrapHostsFile && this.config.get('bootstrapFileWatchEnabled')) {
+            this.bootstrapFileWatcher.watch(this.bootstrapHostsFile);
+        }
 
-    sendJoin({
-        ringpop: self,
-        maxJoinDuration: self.maxJoinDuration,
-        joinSize: self.joinSize,
-        parallelismFactor: opts.joinParallelismFactor,
-        joinTimeout: self.joinTimeout
-    }, function onJoin(err, nodesJoined) {
-        joinTime = Date.now() - joinTime;
+        joinWithHosts();
+    }
 
-        if (err) {
-            self.logger.error('ringpop bootstrap failed', {
-                error: err,
-                address: self.hostPort
-            });
-            if (callback) callback(err);
+    function joinWithHosts() {
+        if (!Array.isArray(self.bootstrapHosts) || self.bootstrapHosts.length === 0) {
+            var noBootstrapMsg = 'ringpop cannot be bootstrapped without bootstrap hosts.' +
+                ' make sure you specify a valid bootstrap hosts file to the ringpop' +
+                ' constructor or have a valid hosts.json file in the current working' +
+                ' directory.';
+            self.logger.warn(noBootstrapMsg);
+            if (callback) callback(new Error(noBootstrapMsg));
             return;
         }
 
-        if (self.destroyed) {
-            var destroyedMsg = 'ringpop was destroyed ' +
-                'during bootstrap';
-            self.logger.error(destroyedMsg, {
-                address: self.hostPort
-            });
-            if (callback) callback(new Error(destroyedMsg));
-            return;
+        checkForMissingBootstrapHost();
+        checkForHostnameIpMismatch();
+
+        // Members of a snapshot written before a restart are joined along with
+        // the bootstrap hosts, in case those are out of date. Once joined,
+        // the snapshot also warms up the membership list; see
+        // stashSnapshotMembers().
+        var snapshot = self.membershipSnapshot.read();
+        var snapshotHosts = snapshot ? snapshot.members.map(function map(member) {
+            return member.address;
+        }) : [];
+        if (snapshot) {
+            self.stat('gauge', 'membership-snapshot.members', snapshotHosts.length);
         }
 
-        // Membership stashes all changes that have been applied since the
-        // beginning of the bootstrap process. It will then efficiently apply
-        // all changes as an 'atomic' update to membership. set() must be
-        // called before `isReady` is set to true.
-        var setTime = Date.now();
-        self.membership.set();
-        setTime = Date.now() - setTime;
+        // Add local member to membership.
+        self.membership.makeAlive(self.whoami(), Date.now(),
+            self.getLocalMemberAttributes());
+
+        var joinTime = Date.now();
+
+        sendJoin({
+            ringpop: self,
+            maxJoinDuration: self.maxJoinDuration,
+            joinSize: self.joinSize,
+            parallelismFactor: opts.joinParallelismFactor,
+            joinTimeout: self.joinTimeout,
+            extraHosts: snapshotHosts,
+            discoverProvider: self.discoverProvider
+        }, function onJoin(err, nodesJoined) {
+            joinTime = Date.now() - joinTime;
+
+            if (err) {
+                self.logger.error('ringpop bootstrap failed', {
+                    error: err,
+                    address: self.hostPort
+                });
+                if (callback) callback(err);
+                return;
+            }
 
-        self.isReady = true;
+            if (self.destroyed) {
+                var destroyedMsg = 'ringpop was destroyed ' +
+                    'during bootstrap';
+                self.logger.error(destroyedMsg, {
+                    address: self.hostPort
+                });
+                if (callback) callback(new Error(destroyedMsg));
+                return;
+            }
 
-        bootstrapTime = Date.now() - bootstrapTime;
+            if (snapshot) {
+                self.stashSnapshotMembers(snapshot);
+            }
 
-        self.logger.debug('ringpop is ready', {
-            address: self.hostPort,
-            memberCount: self.membership.getMemberCount(),
-            bootstrapTime: bootstrapTime,
-            joinTime: joinTime,
-            membershipSetTime: setTime
-        });
+            // Membership stashes all changes that have been applied since the
+            // beginning of the bootstrap process. It will then efficiently apply
+            // all changes as an 'atomic' update to membership. set() must be
+            // called before `isReady` is set to true.
+            var setTime = Date.now();
+            self.membership.set();
+            setTime = Date.now() - setTime;
 
-        self.emit('ready');
+            self.isReady = true;
 
-        if (callback) callback(null, nodesJoined);
-    });
+            bootstrapTime = Date.now() - bootstrapTime;
+
+            self.logger.debug('ringpop is ready', {
+                address: self.hostPort,
+                memberCount: self.membership.getMemberCount(),
+                bootstrapTime: bootstrapTime,
+                joinTime: joinTime,
+                membershipSetTime: setTime
+            });
+
+            self.emit('ready');
+
+            if (callback) callback(null, nodesJoined);
+        });
+    }
 
     function checkForMissingBootstrapHost() {
         if (self.bootstrapHosts.indexOf(self.hostPort) === -1) {
@@ -401,14 +557,21 @@ RingPop.prototype.getStats = function getStats() {
 
 
     var stats = {
+        compatibility: compatibility.getStats(this),
+        damper: this.damper.getStats(),
+        deltaSync: this.deltaSync.getStats(),
         hooks: this.getStatsHooksStats(),
+        joinAdmission: this.joinAdmission.getStats(),
         membership: this.membership.getStats(),
+        partitionHealer: this.partitionHealer.getStats(),
         process: {
             memory: process.memoryUsage(),
             pid: process.pid
         },
         protocol: {
             timing: this.gossip.protocolTiming.printObj(),
+            localHealth: this.localHealth.getStats(),
+            pingReqSelector: this.pingReqSelector.getStats(),
             protocolRate: this.gossip.computeProtocolRate(),
             clientRate: this.clientRate.printObj().m1,
             serverRate: this.serverRate.printObj().m1,
@@ -424,6 +587,12 @@ RingPop.prototype.getStats = function getStats() {
         stats.tchannelVersion = this.tchannelVersion;
     }
 
+    // Ownership takes a walk over the whole ring, so it is only computed
+    // for stats as a whole rather than with every ring's stats.
+    if (typeof this.ring.getOwnership === 'function') {
+        stats.ring.ownership = this.ring.getOwnership();
+    }
+
     return stats;
 };
 
@@ -431,10 +600,19 @@ RingPop.prototype.isStatsHookRegistered = function isStatsHookRegistered(name) {
     return !!this.statsHooks[name];
 };
 
+// The checksum of everything lookup() depends on, which members compare
+// before proxying requests to each other. With bounded loads, it covers
+// the published loads as well as the ring. See lib/ring/bounded-load.js.
+RingPop.prototype.getLookupChecksum = function getLookupChecksum() {
+    return this.config.get('boundedLoadEnabled') ?
+        this.boundedLoad.getChecksum() : this.ring.checksum;
+};
+
 RingPop.prototype.lookup = function lookup(key) {
     var startTime = Date.now();
 
-    var dest = this.ring.lookup(key + '');
+    var dest = this.config.get('boundedLoadEnabled') ?
+        this.boundedLoad.lookup(key + '') : this.ring.lookup(key + '');
 
     this.emit('lookup', {
         timing: Date.now() - startTime
@@ -451,10 +629,18 @@ RingPop.prototype.lookup = function lookup(key) {
 };
 
 // find (up to) N unique successor nodes (aka the 'preference list') for the given key
-RingPop.prototype.lookupN = function lookupN(key, n) {
+//
+// With opts.spreadBy set to 'zone', the preference list favors members
+// in zones that are not yet part of it.
+RingPop.prototype.lookupN = function lookupN(key, n, opts) {
     var startTime = Date.now();
 
-    var dests = this.ring.lookupN(key + '', n);
+    var ringOpts = {};
+    if (opts && typeof opts.spreadBy !== 'undefined') {
+        ringOpts.spreadBy = this.createSpreadBy(opts.spreadBy);
+    }
+
+    var dests = this.ring.lookupN(key + '', n, ringOpts);
 
     this.emit('lookupN', {
         timing: Date.now() - startTime
@@ -470,10 +656,42 @@ RingPop.prototype.lookupN = function lookupN(key, n) {
     return dests;
 };
 
+// Maps the name of a member attribute to a function that returns the
+// attribute of a server, for spreading preference lists.
+RingPop.prototype.createSpreadBy = function createSpreadBy(spreadBy) {
+    if (spreadBy !== 'zone') {
+        throw errors.InvalidOptionError({
+            option: 'spreadBy',
+            reason: 'only \'zone\' is supported'
+        });
+    }
+
+    var membership = this.membership;
+
+    return function getZone(server) {
+        var member = membership.findMemberByAddress(server);
+        return member ? member.zone : null;
+    };
+};
+
+// Reloads the bootstrap hosts from `file`, or from the file they were
+// last read from. Hosts that are not valid are rejected with an error.
 RingPop.prototype.reload = function reload(file, callback) {
-    this.seedBootstrapHosts(file);
+    if (typeof file === 'function') {
+        callback = file;
+        file = null;
+    }
 
-    callback();
+    file = file || this.bootstrapFileWatcher.getFile() || this.bootstrapHostsFile;
+    if (!file) {
+        callback(errors.OptionRequiredError({
+            context: 'reload',
+            option: 'file'
+        }));
+        return;
+    }
+
+    this.bootstrapFileWatcher.reload(file, callback);
 };
 
 RingPop.prototype.whoami = function whoami() {
@@ -501,25 +719,154 @@ RingPop.prototype.readHostsFile = function readHostsFile(file) {
 };
 
 RingPop.prototype.seedBootstrapHosts = function seedBootstrapHosts(file) {
+    this.bootstrapHostsFile = null;
+
     if (Array.isArray(file)) {
         this.bootstrapHosts = file;
-    } else {
-        this.bootstrapHosts = this.readHostsFile(file) ||
-            this.readHostsFile(this.bootstrapFile) ||
-            this.readHostsFile('./hosts.json');
+        return;
     }
+
+    var files = [file, this.bootstrapFile, './hosts.json'];
+    for (var i = 0; i < files.length; i++) {
+        this.bootstrapHosts = this.readHostsFile(files[i]);
+
+        if (this.bootstrapHosts) {
+            this.bootstrapHostsFile = files[i];
+            return;
+        }
+    }
+};
+
+// Members of the snapshot that no member joined knows of warm up the
+// membership list that is set once joined. The members joined know the
+// current status of the others, so snapshot members they know of are left
+// to them; the rest are stashed as suspects, which refute the suspicion if
+// still around and are declared faulty in due course otherwise. They are
+// not disseminated, lest the rest of the cluster be told of members that
+// it may have long since reaped.
+RingPop.prototype.stashSnapshotMembers = function stashSnapshotMembers(snapshot) {
+    var self = this;
+    var knownMembers = {};
+
+    this.membership.stashedUpdates.forEach(function eachChangeset(changes) {
+        changes.forEach(function eachChange(change) {
+            knownMembers[change.address] = true;
+        });
+    });
+
+    var unknownMembers = snapshot.members.filter(function filter(member) {
+        return !knownMembers[member.address];
+    });
+
+    if (unknownMembers.length > 0) {
+        this.membership.update(unknownMembers.map(function map(member) {
+            return {
+                source: self.whoami(),
+                address: member.address,
+                status: Member.Status.suspect,
+                incarnationNumber: member.incarnationNumber,
+                weight: member.weight,
+                zone: member.zone,
+                labels: member.labels,
+                fromSnapshot: true
+            };
+        }));
+    }
+
+    this.stat('gauge', 'membership-snapshot.stashed', unknownMembers.length);
 };
 
 RingPop.prototype.setDebugFlag = function setDebugFlag(flag) {
     this.debugFlags[flag] = true;
 };
 
+// Computes ring and membership checksums in the mode set by the
+// checksumMode config. All members of a cluster must use the same mode.
+RingPop.prototype.applyChecksumMode = function applyChecksumMode() {
+    var mode = this.config.get('checksumMode');
+
+    if (typeof this.ring.setChecksumMode === 'function') {
+        this.ring.setChecksumMode(mode);
+    }
+
+    if (this.membership.checksum !== null) {
+        this.membership.computeChecksum();
+    }
+};
+
 RingPop.prototype.debugLog = function debugLog(msg, flag) {
     if (this.debugFlags && this.debugFlags[flag]) {
         this.logger.info(msg);
     }
 };
 
+// Replaces the labels of this node, an object of string values. Labels
+// are disseminated like any other change to the local member.
+RingPop.prototype.setLocalLabels = function setLocalLabels(labels) {
+    if (!Member.isValidLabels(labels)) {
+        throw errors.InvalidLabelsError({ labels: JSON.stringify(labels) });
+    }
+
+    this.labels = labels;
+    this.reincarnateLocalMember();
+};
+
+// Reports the load of this node, in whatever unit the application sees
+// fit, for bounded-load lookups. Loads are published without reincarnating,
+// and no more often than lib/gossip/load-publisher.js lets them be, so load
+// may be reported as often as the application likes.
+RingPop.prototype.setLocalLoad = function setLocalLoad(load) {
+    if (!isValidLoad(load)) {
+        throw errors.InvalidLoadError({ load: load });
+    }
+
+    this.loadPublisher.report(load);
+};
+
+// Changes the share of the ring owned by this node. The new weight is
+// disseminated with a bumped incarnation number, like any other change
+// to the local member.
+RingPop.prototype.setLocalWeight = function setLocalWeight(weight) {
+    if (!isValidWeight(weight)) {
+        throw errors.InvalidWeightError({ weight: weight });
+    }
+
+    this.weight = weight;
+    this.reincarnateLocalMember();
+};
+
+RingPop.prototype.getLocalMemberAttributes = function getLocalMemberAttributes() {
+    return {
+        weight: this.weight,
+        zone: this.zone,
+        labels: this.labels,
+        version: this.ringpopVersion
+    };
+};
+
+// Disseminates the local member's attributes under a new incarnation number.
+RingPop.prototype.reincarnateLocalMember = function reincarnateLocalMember() {
+    // Attributes are picked up when the local member is added to membership
+    // during bootstrap or when it rejoins after having left.
+    var localMember = this.membership.localMember;
+    if (!localMember || localMember.status === Member.Status.leave) {
+        return;
+    }
+
+    // A damped member stays out of the ring until the damper reincarnates
+    // it. New attributes are picked up then.
+    if (localMember.status === Member.Status.damped) {
+        return;
+    }
+
+    // The incarnation number must be bumped for the update to take
+    // effect, even if attributes change twice within a millisecond.
+    var incarnationNumber = Math.max(Date.now(),
+        localMember.incarnationNumber + 1);
+    this.membership.makeAlive(this.whoami(), incarnationNumber,
+        this.getLocalMemberAttributes());
+};
+
 RingPop.prototype.setLogger = function setLogger(logger) {
     this.logger = logger;
 };
@@ -676,4 +1023,14 @@ RingPop.prototype.denyJoins = function denyJoins() {
     this.isDenyingJoins = true;
 };
 
+function isValidLoad(load) {
+    return typeof load === 'number' && !isNaN(load) && load >= 0 &&
+        isFinite(load);
+}
+
+function isValidWeight(weight) {
+    return typeof weight === 'number' && !isNaN(weight) && weight > 0 &&
+        isFinite(weight);
+}
+
 module.exports = RingPop;
@@ -0,0 +1,145 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var crypto = require('crypto');
+var TypedError = require('error/typed');
+
+var UnauthorizedRequestError = TypedError({
+    type: 'ringpop.unauthorized-request',
+    message: 'Unauthorized request to {endpoint} from {remoteAddr}: {reason}',
+    endpoint: null,
+    remoteAddr: null,
+    reason: null
+});
+
+// Requests to protocol and admin endpoints are signed with an HMAC of the
+// endpoint, the time of signing and the request body, keyed with the first
+// of the `authKeys`. The signature, prefixed with the time of signing, is
+// carried as the request's head: `<timestamp>:<hmac>`. Requests are accepted
+// if signed with any of the keys, so that keys can be rotated one member at
+// a time: add the new key second, then first everywhere, and then drop the
+// old key. Requests signed longer ago, or further ahead, than
+// `authMaxClockSkew` are rejected as stale, so that captured requests cannot
+// be replayed for long. Without keys, requests are neither signed nor
+// verified.
+function getKeys(ringpop) {
+    var keys = ringpop.config.get('authKeys');
+    return Array.isArray(keys) ? keys : [];
+}
+
+/* jshint maxparams: 5 */
+function computeSignature(key, endpoint, timestamp, body) {
+    var bodyStr = body === null || body === undefined ? '' : String(body);
+    return crypto.createHmac('sha256', key)
+        .update(endpoint + '\n' + timestamp + '\n' + bodyStr)
+        .digest('hex');
+}
+
+// Compares in time independent of where the strings differ.
+// crypto.timingSafeEqual() is not available on the oldest of supported
+// Nodes.
+function isEqual(a, b) {
+    var bufA = new Buffer(a);
+    var bufB = new Buffer(b);
+
+    if (bufA.length !== bufB.length) {
+        return false;
+    }
+
+    var diff = 0;
+    for (var i = 0; i < bufA.length; i++) {
+        diff |= bufA[i] ^ bufB[i];
+    }
+
+    return diff === 0;
+}
+
+// Returns the head to send along with body, null if there are no keys.
+function signRequest(ringpop, endpoint, body) {
+    return signRequestWithKeys(getKeys(ringpop), endpoint, body);
+}
+
+// Like signRequest(), for those that hold keys but no ringpop, such as
+// standalone clients.
+function signRequestWithKeys(keys, endpoint, body) {
+    if (!Array.isArray(keys) || keys.length === 0) {
+        return null;
+    }
+
+    var timestamp = Date.now();
+    return timestamp + ':' + computeSignature(keys[0], endpoint, timestamp, body);
+}
+
+// Returns an UnauthorizedRequestError if the request is to be rejected,
+// null otherwise.
+function verifyRequest(ringpop, opts) {
+    var keys = getKeys(ringpop);
+    if (keys.length === 0) {
+        return null;
+    }
+
+    var head = opts.head ? String(opts.head) : '';
+    if (head === '') {
+        return reject('missing');
+    }
+
+    var separatorIndex = head.indexOf(':');
+    var timestamp = Number(head.slice(0, separatorIndex));
+    var signature = head.slice(separatorIndex + 1);
+    if (separatorIndex <= 0 || !isFinite(timestamp)) {
+        return reject('invalid');
+    }
+
+    for (var i = 0; i < keys.length; i++) {
+        if (!isEqual(signature, computeSignature(keys[i], opts.endpoint,
+                timestamp, opts.body))) {
+            continue;
+        }
+
+        if (Math.abs(Date.now() - timestamp) > ringpop.config.get('authMaxClockSkew')) {
+            return reject('stale');
+        }
+
+        if (i > 0) {
+            ringpop.stat('increment', 'auth.accepted.old-key');
+        }
+        return null;
+    }
+
+    return reject('invalid');
+
+    function reject(reason) {
+        ringpop.stat('increment', 'auth.rejected');
+        ringpop.stat('increment', 'auth.rejected.' + reason);
+
+        return UnauthorizedRequestError({
+            endpoint: opts.endpoint,
+            remoteAddr: opts.remoteAddr,
+            reason: reason + ' signature'
+        });
+    }
+}
+
+module.exports = {
+    signRequest: signRequest,
+    signRequestWithKeys: signRequestWithKeys,
+    verifyRequest: verifyRequest
+};
@@ -0,0 +1,191 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var Member = require('./membership/member.js');
+var TypedError = require('error/typed');
+
+// The version of the protocol members speak to each other. It is raised
+// when members that speak the new version can no longer get along with
+// those that speak an old one. MIN_PROTOCOL_VERSION is the oldest version
+// that is still understood.
+var PROTOCOL_VERSION = 1;
+var MIN_PROTOCOL_VERSION = 1;
+
+// Properties of the ring that decide where keys are placed, and the mode
+// ring and membership checksums are computed in. Members whose rings
+// differ in any of them compute different lookups, or never agree on the
+// checksums that tell whether they agree on the ring.
+var RING_PROPERTIES = ['ringStrategy', 'hashFunc', 'replicaPoints',
+    'checksumMode'];
+
+var IncompatibleProtocolError = TypedError({
+    type: 'ringpop.incompatible.protocol',
+    message: '{remote} speaks protocol versions {remoteMin} to {remoteMax},' +
+        ' which {local} does not: it speaks {localMin} to {localMax}',
+    local: null,
+    localMax: null,
+    localMin: null,
+    remote: null,
+    remoteMax: null,
+    remoteMin: null
+});
+
+var IncompatibleRingError = TypedError({
+    type: 'ringpop.incompatible.ring',
+    message: '{remote} uses a ring with {property} {remoteValue},' +
+        ' but {local} uses one with {property} {localValue}',
+    local: null,
+    localValue: null,
+    property: null,
+    remote: null,
+    remoteValue: null
+});
+
+var UnknownCompatibilityError = TypedError({
+    type: 'ringpop.incompatible.unknown',
+    message: '{remote} did not tell which protocol and ring it uses, and may' +
+        ' predate them',
+    remote: null
+});
+
+// Checks that `remote` can be in the same cluster as the local member,
+// given the compatibility it sent along when joining or when responding
+// to a join. Returns the error that keeps them apart, or null.
+function checkCompatibility(ringpop, remote, compatibility) {
+    if (!compatibility || typeof compatibility.protocolVersion !== 'number') {
+        return UnknownCompatibilityError({
+            remote: remote
+        });
+    }
+
+    var local = getCompatibility(ringpop);
+    var remoteMin = typeof compatibility.minProtocolVersion === 'number' ?
+        compatibility.minProtocolVersion : compatibility.protocolVersion;
+
+    if (compatibility.protocolVersion < local.minProtocolVersion ||
+            local.protocolVersion < remoteMin) {
+        return IncompatibleProtocolError({
+            local: ringpop.whoami(),
+            localMax: local.protocolVersion,
+            localMin: local.minProtocolVersion,
+            remote: remote,
+            remoteMax: compatibility.protocolVersion,
+            remoteMin: remoteMin
+        });
+    }
+
+    for (var i = 0; i < RING_PROPERTIES.length; i++) {
+        var property = RING_PROPERTIES[i];
+        var localValue = local[property];
+        var remoteValue = compatibility[property];
+
+        // Custom rings may not tell.
+        if (localValue === null || remoteValue === null ||
+                remoteValue === undefined) {
+            continue;
+        }
+
+        if (localValue !== remoteValue) {
+            return IncompatibleRingError({
+                local: ringpop.whoami(),
+                localValue: localValue,
+                property: property,
+                remote: remote,
+                remoteValue: remoteValue
+            });
+        }
+    }
+
+    return null;
+}
+
+// What the local member tells others about the protocol and ring it uses.
+function getCompatibility(ringpop) {
+    var ring = ringpop.ring;
+
+    return {
+        protocolVersion: PROTOCOL_VERSION,
+        minProtocolVersion: MIN_PROTOCOL_VERSION,
+        ringpopVersion: ringpop.ringpopVersion,
+        ringStrategy: typeof ring.strategy === 'string' ? ring.strategy : null,
+        hashFunc: typeof ring.hashFuncId === 'string' ? ring.hashFuncId : null,
+        replicaPoints: typeof ring.replicaPoints === 'number' ?
+            ring.replicaPoints : null,
+        checksumMode: ringpop.config.get('checksumMode')
+    };
+}
+
+// The local compatibility, along with the number of members in the ring
+// that run each version of ringpop. Members that do not advertise their
+// version are counted as `unknown`.
+function getStats(ringpop) {
+    var versions = {};
+
+    ringpop.membership.members.forEach(function each(member) {
+        if (member.status !== Member.Status.alive &&
+                member.status !== Member.Status.suspect) {
+            return;
+        }
+
+        var version = member.version || 'unknown';
+        versions[version] = (versions[version] || 0) + 1;
+    });
+
+    return {
+        local: getCompatibility(ringpop),
+        versions: versions
+    };
+}
+
+// Logs and counts incompatibilities found by checkCompatibility(), and
+// tells whether they are reason to refuse `remote`. Members that do not
+// tell their compatibility are never refused, so that clusters can be
+// upgraded one member at a time. Others are only refused when
+// `joinCompatibilityMode` is 'reject'.
+function isRefused(ringpop, remote, err) {
+    if (!err) {
+        return false;
+    }
+
+    var reason = err.type.split('.').pop();
+    var refused = reason !== 'unknown' &&
+        ringpop.config.get('joinCompatibilityMode') === 'reject';
+
+    ringpop.stat('increment', 'join.incompatible.' + reason);
+    ringpop.logger.warn(refused ?
+        'ringpop refused incompatible member' :
+        'ringpop let in member that may be incompatible', {
+        local: ringpop.whoami(),
+        remote: remote,
+        error: err
+    });
+
+    return refused;
+}
+
+module.exports = {
+    checkCompatibility: checkCompatibility,
+    getCompatibility: getCompatibility,
+    getStats: getStats,
+    isRefused: isRefused,
+    MIN_PROTOCOL_VERSION: MIN_PROTOCOL_VERSION,
+    PROTOCOL_VERSION: PROTOCOL_VERSION
+};
@@ -0,0 +1,174 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var BadHostsFileError = require('./file.js').BadHostsFileError;
+var diffHosts = require('./hosts.js').diffHosts;
+var FileProvider = require('./file.js');
+var validateHosts = require('./hosts.js').validateHosts;
+
+// Leaves time for a file that is being written to be written in full.
+var RELOAD_DELAY = 100;
+
+// Keeps ringpop's bootstrap hosts in step with the hosts file they were
+// read from. Changes to the file are validated before they are applied
+// and announced by a 'bootstrapHostsChanged' event of ringpop.
+function BootstrapFileWatcher(opts) {
+    this.ringpop = opts.ringpop;
+    this.fs = opts.fs;
+    this.setTimeout = opts.setTimeout || setTimeout;
+    this.clearTimeout = opts.clearTimeout || clearTimeout;
+
+    this.provider = null;
+    this.reloadTimer = null;
+}
+
+BootstrapFileWatcher.prototype.getFile = function getFile() {
+    return this.provider ? this.provider.file : null;
+};
+
+// Reloads the hosts of `file`, which is watched from then on if they are
+// valid. If they are not, the hosts are left as they were and the file
+// being watched, if any, is watched still.
+BootstrapFileWatcher.prototype.reload = function reload(file, callback) {
+    var self = this;
+    var provider = this.provider && this.provider.file === file ?
+        this.provider : this._createProvider(file);
+
+    provider.getHosts(function onHosts(err, hosts) {
+        var reason = err ? err.reason || err.message :
+            validateHosts(hosts, self.ringpop.whoami());
+
+        if (reason) {
+            if (provider !== self.provider) {
+                provider.destroy();
+            }
+
+            self._reject(file, reason, callback);
+            return;
+        }
+
+        if (provider !== self.provider) {
+            self._stopWatching();
+            self.provider = provider;
+        }
+
+        self._apply(file, hosts);
+        callback();
+    });
+};
+
+BootstrapFileWatcher.prototype.stop = function stop() {
+    this._stopWatching();
+};
+
+// Starts watching `file` for hosts other than the ones bootstrapped with.
+BootstrapFileWatcher.prototype.watch = function watch(file) {
+    var self = this;
+
+    this._stopWatching();
+    this.provider = this._createProvider(file);
+
+    // The file is watched once it is read.
+    this.provider.getHosts(function onHosts(err) {
+        if (err) {
+            self.ringpop.logger.warn('ringpop could not watch bootstrap hosts file', {
+                local: self.ringpop.whoami(),
+                file: file,
+                error: err
+            });
+        }
+    });
+};
+
+BootstrapFileWatcher.prototype._apply = function _apply(file, hosts) {
+    var oldHosts = Array.isArray(this.ringpop.bootstrapHosts) ?
+        this.ringpop.bootstrapHosts : [];
+    var diff = diffHosts(oldHosts, hosts);
+
+    this.ringpop.bootstrapHosts = hosts;
+
+    if (diff.added.length === 0 && diff.removed.length === 0) {
+        return;
+    }
+
+    this.ringpop.stat('increment', 'bootstrap-hosts.reload.applied');
+    this.ringpop.logger.info('ringpop reloaded bootstrap hosts', {
+        local: this.ringpop.whoami(),
+        file: file,
+        added: diff.added,
+        removed: diff.removed
+    });
+    this.ringpop.emit('bootstrapHostsChanged', {
+        file: file,
+        added: diff.added,
+        removed: diff.removed,
+        hosts: hosts.slice(0)
+    });
+};
+
+BootstrapFileWatcher.prototype._createProvider = function _createProvider(file) {
+    var self = this;
+    var provider = new FileProvider({
+        file: file,
+        fs: this.fs
+    });
+
+    provider.on('change', function onChange() {
+        if (provider !== self.provider || self.reloadTimer) {
+            return;
+        }
+
+        self.reloadTimer = self.setTimeout(function onTimeout() {
+            self.reloadTimer = null;
+            self.reload(file, function noop() {});
+        }, RELOAD_DELAY);
+    });
+
+    return provider;
+};
+
+BootstrapFileWatcher.prototype._reject = function _reject(file, reason, callback) {
+    this.ringpop.stat('increment', 'bootstrap-hosts.reload.rejected');
+    this.ringpop.logger.warn('ringpop rejected reload of bootstrap hosts', {
+        local: this.ringpop.whoami(),
+        file: file,
+        reason: reason
+    });
+
+    callback(BadHostsFileError({
+        file: file,
+        reason: reason
+    }));
+};
+
+BootstrapFileWatcher.prototype._stopWatching = function _stopWatching() {
+    if (this.reloadTimer) {
+        this.clearTimeout(this.reloadTimer);
+        this.reloadTimer = null;
+    }
+
+    if (this.provider) {
+        this.provider.destroy();
+        this.provider = null;
+    }
+};
+
+module.exports = BootstrapFileWatcher;
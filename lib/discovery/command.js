@@ -0,0 +1,76 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var childProcess = require('child_process');
+var safeParse = require('../util.js').safeParse;
+var TypedError = require('error/typed');
+
+var CommandFailedError = TypedError({
+    type: 'ringpop.discover.command-failed',
+    message: 'Discover command `{command}` failed: {errMessage}',
+    command: null,
+    errMessage: null
+});
+
+var DEFAULT_TIMEOUT = 5000;
+
+// Provides the hosts printed by an external command, either as a JSON
+// array or one per line. The command is run, without a shell, every time
+// hosts are asked for, and killed if it runs for longer than `timeout`.
+function CommandProvider(opts) {
+    this.command = opts.command;
+    this.args = opts.args || [];
+    this.timeout = typeof opts.timeout === 'number' ? opts.timeout : DEFAULT_TIMEOUT;
+    this.execFile = opts.execFile || childProcess.execFile;
+}
+
+CommandProvider.prototype.getHosts = function getHosts(callback) {
+    var self = this;
+
+    this.execFile(this.command, this.args, {
+        timeout: this.timeout
+    }, function onExec(err, stdout) {
+        if (err) {
+            callback(CommandFailedError({
+                command: self.command,
+                errMessage: err.message
+            }));
+            return;
+        }
+
+        callback(null, parseHosts(String(stdout)));
+    });
+};
+
+function parseHosts(output) {
+    var parsed = safeParse(output);
+    if (Array.isArray(parsed)) {
+        return parsed;
+    }
+
+    return output.split('\n').map(function map(line) {
+        return line.trim();
+    }).filter(function filter(line) {
+        return line.length > 0;
+    });
+}
+
+module.exports = CommandProvider;
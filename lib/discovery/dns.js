@@ -0,0 +1,126 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var dns = require('dns');
+var TypedError = require('error/typed');
+
+var DnsLookupError = TypedError({
+    type: 'ringpop.discover.dns-lookup',
+    message: 'DNS {recordType} lookup of `{hostname}` failed: {errMessage}',
+    recordType: null,
+    hostname: null,
+    errMessage: null
+});
+
+var RecordTypes = {
+    a: 'A',
+    srv: 'SRV'
+};
+
+// Provides the hosts found through DNS. With A records, every address
+// `hostname` resolves to is a host, on `port`. With SRV records, every
+// target is resolved to its addresses in turn, on the port of the record.
+// The resolver defaults to node's dns module; anything with the same
+// resolve4() and resolveSrv() will do.
+function DnsProvider(opts) {
+    this.hostname = opts.hostname;
+    this.port = opts.port;
+    this.recordType = opts.recordType || RecordTypes.a;
+    this.resolver = opts.resolver || dns;
+}
+
+DnsProvider.RecordTypes = RecordTypes;
+
+DnsProvider.prototype.getHosts = function getHosts(callback) {
+    var self = this;
+
+    if (this.recordType === RecordTypes.srv) {
+        this.resolver.resolveSrv(this.hostname, function onSrv(err, records) {
+            if (err) {
+                callback(self._wrapError(err, self.hostname));
+                return;
+            }
+
+            self._resolveTargets(records || [], callback);
+        });
+        return;
+    }
+
+    this.resolver.resolve4(this.hostname, function onA(err, addresses) {
+        if (err) {
+            callback(self._wrapError(err, self.hostname));
+            return;
+        }
+
+        callback(null, toHosts(addresses, self.port));
+    });
+};
+
+DnsProvider.prototype._resolveTargets = function _resolveTargets(records, callback) {
+    var self = this;
+    var hosts = [];
+    var numPending = records.length;
+    var calledBack = false;
+
+    if (numPending === 0) {
+        process.nextTick(function onTick() {
+            callback(null, hosts);
+        });
+        return;
+    }
+
+    records.forEach(function each(record) {
+        self.resolver.resolve4(record.name, function onA(err, addresses) {
+            if (calledBack) {
+                return;
+            }
+
+            if (err) {
+                calledBack = true;
+                callback(self._wrapError(err, record.name));
+                return;
+            }
+
+            hosts = hosts.concat(toHosts(addresses, record.port));
+
+            if (--numPending === 0) {
+                calledBack = true;
+                callback(null, hosts);
+            }
+        });
+    });
+};
+
+DnsProvider.prototype._wrapError = function _wrapError(err, hostname) {
+    return DnsLookupError({
+        recordType: this.recordType,
+        hostname: hostname,
+        errMessage: err.message
+    });
+};
+
+function toHosts(addresses, port) {
+    return (addresses || []).map(function map(address) {
+        return address + ':' + port;
+    });
+}
+
+module.exports = DnsProvider;
@@ -0,0 +1,120 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var safeParse = require('../util.js').safeParse;
+var TypedError = require('error/typed');
+var util = require('util');
+var validateHosts = require('./hosts.js').validateHosts;
+
+var BadHostsFileError = TypedError({
+    type: 'ringpop.discover.bad-hosts-file',
+    message: 'Could not read hosts from `{file}`: {reason}',
+    file: null,
+    reason: null
+});
+
+// Provides the hosts listed, as a JSON array, in a file. The file is read
+// when hosts are first asked for and again only once it has changed, which
+// is announced by a 'change' event.
+function FileProvider(opts) {
+    EventEmitter.call(this);
+
+    this.file = opts.file;
+    this.fs = opts.fs || fs;
+
+    this.hosts = null;
+    this.watcher = null;
+}
+
+util.inherits(FileProvider, EventEmitter);
+
+FileProvider.prototype.destroy = function destroy() {
+    if (this.watcher) {
+        this.watcher.close();
+        this.watcher = null;
+    }
+};
+
+FileProvider.prototype.getHosts = function getHosts(callback) {
+    var self = this;
+
+    if (this.hosts) {
+        var hosts = this.hosts.slice(0);
+        process.nextTick(function onTick() {
+            callback(null, hosts);
+        });
+        return;
+    }
+
+    this.fs.readFile(this.file, function onRead(err, contents) {
+        if (err) {
+            callback(BadHostsFileError({
+                file: self.file,
+                reason: err.message
+            }));
+            return;
+        }
+
+        // Changes are watched for even if the hosts are not valid, since
+        // they may well be once the file has been written in full.
+        self._watch();
+
+        var parsed = safeParse(contents.toString());
+        var reason = validateHosts(parsed);
+        if (reason) {
+            callback(BadHostsFileError({
+                file: self.file,
+                reason: reason
+            }));
+            return;
+        }
+
+        // Without a watcher, the file is read every time instead.
+        self.hosts = self.watcher ? parsed : null;
+        callback(null, parsed.slice(0));
+    });
+};
+
+FileProvider.prototype._watch = function _watch() {
+    var self = this;
+
+    if (this.watcher) {
+        return;
+    }
+
+    try {
+        // The file may have been replaced rather than changed, in which
+        // case the watcher is of no further use. It is watched anew once
+        // read again.
+        this.watcher = this.fs.watch(this.file, function onChange() {
+            self.hosts = null;
+            self.destroy();
+            self.emit('change');
+        });
+    } catch (e) {
+        this.watcher = null;
+    }
+};
+
+module.exports = FileProvider;
+module.exports.BadHostsFileError = BadHostsFileError;
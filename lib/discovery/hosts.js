@@ -0,0 +1,68 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+// host:port, where the host is an IP address or a hostname.
+var HOST_PORT_PATTERN = /^[^:\s]+:(\d+)$/;
+var MAX_PORT = 65535;
+
+// Changes from one list of hosts to the next.
+function diffHosts(oldHosts, newHosts) {
+    return {
+        added: newHosts.filter(function isAdded(host) {
+            return oldHosts.indexOf(host) === -1;
+        }),
+        removed: oldHosts.filter(function isRemoved(host) {
+            return newHosts.indexOf(host) === -1;
+        })
+    };
+}
+
+// Returns why hosts are not a valid list of bootstrap hosts, or null if
+// they are. When `self` is given, it must be among them.
+function validateHosts(hosts, self) {
+    if (!Array.isArray(hosts)) {
+        return 'expected a JSON array';
+    }
+
+    if (hosts.length === 0) {
+        return 'expected at least one host';
+    }
+
+    for (var i = 0; i < hosts.length; i++) {
+        var match = typeof hosts[i] === 'string' &&
+            HOST_PORT_PATTERN.exec(hosts[i]);
+
+        if (!match || Number(match[1]) > MAX_PORT) {
+            return 'expected host:port, got ' + JSON.stringify(hosts[i]);
+        }
+    }
+
+    if (self && hosts.indexOf(self) === -1) {
+        return 'expected to include ' + self;
+    }
+
+    return null;
+}
+
+module.exports = {
+    diffHosts: diffHosts,
+    validateHosts: validateHosts
+};
@@ -0,0 +1,97 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var CommandProvider = require('./command.js');
+var DnsProvider = require('./dns.js');
+var errors = require('../errors.js');
+var FileProvider = require('./file.js');
+var StaticProvider = require('./static.js');
+var validateProvider = require('./interface.js').validateProvider;
+
+// Required options by type of provider.
+var PROVIDER_TYPES = {
+    command: {
+        Provider: CommandProvider,
+        options: ['command']
+    },
+    dns: {
+        Provider: DnsProvider,
+        options: ['hostname', 'port']
+    },
+    file: {
+        Provider: FileProvider,
+        options: ['file']
+    },
+    'static': {
+        Provider: StaticProvider,
+        options: ['hosts']
+    }
+};
+
+// Creates a discover provider from what is passed to `bootstrap()` as
+// `discoverProvider`: an array of hosts, the path of a hosts file, the
+// options of a built-in provider along with its `type`, or a provider
+// of one's own. See lib/discovery/interface.js.
+function createProvider(spec) {
+    if (Array.isArray(spec)) {
+        return new StaticProvider({
+            hosts: spec
+        });
+    }
+
+    if (typeof spec === 'string') {
+        return new FileProvider({
+            file: spec
+        });
+    }
+
+    if (spec && typeof spec.getHosts === 'function') {
+        return validateProvider(spec);
+    }
+
+    var providerType = spec && PROVIDER_TYPES[spec.type];
+    if (!providerType) {
+        throw errors.InvalidOptionError({
+            option: 'discoverProvider',
+            reason: 'expected to be an array, a path, a provider, or to have' +
+                ' a `type` of ' + Object.keys(PROVIDER_TYPES).join(', ')
+        });
+    }
+
+    for (var i = 0; i < providerType.options.length; i++) {
+        if (spec[providerType.options[i]] === undefined) {
+            throw errors.OptionRequiredError({
+                context: spec.type + ' discover provider',
+                option: providerType.options[i]
+            });
+        }
+    }
+
+    return new providerType.Provider(spec);
+}
+
+module.exports = {
+    createProvider: createProvider,
+    CommandProvider: CommandProvider,
+    DnsProvider: DnsProvider,
+    FileProvider: FileProvider,
+    StaticProvider: StaticProvider
+};
@@ -0,0 +1,58 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var errors = require('../errors.js');
+
+// A discover provider tells Ringpop which hosts to join. Ringpop accepts
+// any provider through the `discoverProvider` option of `bootstrap()`, so
+// long as it honors the contract below:
+//
+//   - `getHosts(callback)` calls back with an error, or with an array of
+//     host:port addresses. It is called once on bootstrap and once more for
+//     every round of join attempts, so it should be cheap or cache.
+//
+// Providers may also implement:
+//
+//   - `destroy()`, which releases any resources held by the provider, such
+//     as file watchers. Ringpop calls it when it is destroyed.
+var PROVIDER_METHODS = [
+    'getHosts'
+];
+
+function validateProvider(provider) {
+    for (var i = 0; i < PROVIDER_METHODS.length; i++) {
+        var method = PROVIDER_METHODS[i];
+
+        if (!provider || typeof provider[method] !== 'function') {
+            throw errors.MethodRequiredError({
+                argument: 'discoverProvider',
+                method: method
+            });
+        }
+    }
+
+    return provider;
+}
+
+module.exports = {
+    PROVIDER_METHODS: PROVIDER_METHODS,
+    validateProvider: validateProvider
+};
@@ -51,6 +51,23 @@ module.exports = {
         hostPort: null,
         reason: null
     }),
+    InvalidDiscoveredHostsError: TypedError({
+        type: 'ringpop.invalid-discovered-hosts',
+        message: 'Discovered bootstrap hosts are invalid because {reason}',
+        reason: null
+    }),
+    InvalidLabelsError: TypedError({
+        type: 'ringpop.invalid-labels',
+        message: 'Expected labels to be an object of string values.\n' +
+            'Got {labels} instead.\n',
+        labels: null
+    }),
+    InvalidLoadError: TypedError({
+        type: 'ringpop.invalid-load',
+        message: 'Expected load to be a non-negative number.\n' +
+            'Got {load} instead.\n',
+        load: null
+    }),
     InvalidLocalMemberError: TypedError({
         type: 'ringpop.invalid-local-member',
         message: 'Operation could not be performed because local member has not been added to membership'
@@ -61,6 +78,21 @@ module.exports = {
         option: null,
         reason: null
     }),
+    InvalidSnapshotError: TypedError({
+        type: 'ringpop.invalid-snapshot',
+        message: 'Ring snapshot is invalid because {reason}',
+        reason: null
+    }),
+    InvalidWeightError: TypedError({
+        type: 'ringpop.invalid-weight',
+        message: 'Expected weight to be a positive number.\n' +
+            'Got {weight} instead.\n',
+        weight: null
+    }),
+    JoinBusyError: TypedError({
+        type: 'ringpop.join-busy',
+        message: 'Node is currently too busy to admit joins'
+    }),
     MethodRequiredError: TypedError({
         type: 'ringpop.method-required',
         message: 'Expected `{method}` to be implemented by `{argument}`',
@@ -0,0 +1,109 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var safeParse = require('../util').safeParse;
+var signRequest = require('../auth.js').signRequest;
+var TypedError = require('error/typed');
+
+var BadDampReqRespBodyError = TypedError({
+    type: 'ringpop.damp-req.bad-resp-body',
+    message: 'Bad response from damp-req: {body}',
+    target: null,
+    body: null
+});
+
+var DampReqError = TypedError({
+    type: 'ringpop.damp-req.error',
+    message: 'An error occurred on damp-req: {errMessage}',
+    target: null,
+    errMessage: null
+});
+
+// Asks target for its view of the flappers' damp scores. The response
+// carries a list of {member, dampScore} for the flappers the target knows.
+module.exports = function sendDampReq(opts, callback) {
+    var ringpop = opts.ringpop;
+    var target = opts.target;
+
+    ringpop.stat('increment', 'damp-req.send');
+
+    var channelOpts = {
+        host: target,
+        timeout: ringpop.config.get('dampReqTimeout'),
+        serviceName: 'ringpop',
+        hasNoParent: true,
+        trace: false,
+        retryLimit: 1,
+        headers: {
+            'as': 'raw',
+            'cn': 'ringpop'
+        }
+    };
+
+    var body = JSON.stringify({
+        flappers: opts.flappers,
+        source: ringpop.whoami()
+    });
+
+    ringpop.channel.waitForIdentified({
+        host: target
+    }, function onIdentified(err) {
+        if (err) {
+            onDampReq(err);
+            return;
+        }
+
+        ringpop.channel
+            .request(channelOpts)
+            .send('/protocol/damp-req', signRequest(ringpop, '/protocol/damp-req', body),
+                body, onSend);
+    });
+
+    function onSend(err, res, arg2, arg3) {
+        if (!err && !res.ok) {
+            err = new Error(String(arg3));
+        }
+
+        onDampReq(err, arg3);
+    }
+
+    function onDampReq(err, res) {
+        if (err) {
+            callback(DampReqError({
+                target: target,
+                errMessage: err.message
+            }));
+            return;
+        }
+
+        var resStr = String(res);
+        var resBody = safeParse(resStr);
+        if (!resBody || !Array.isArray(resBody.scores)) {
+            callback(BadDampReqRespBodyError({
+                target: target,
+                body: resStr
+            }));
+            return;
+        }
+
+        callback(null, resBody);
+    }
+};
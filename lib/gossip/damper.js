@@ -0,0 +1,377 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var Member = require('../membership/member.js');
+var timers = require('timers');
+
+// The damper carries out the flap damping subprotocol. A member whose damp
+// score exceeds the suppress limit is a flapper. Before acting on it, a
+// quorum of other members is asked, through damp-req, whether they have
+// scored it over the limit as well. Confirmed flappers are declared damped.
+// Like any other status, damped is disseminated, so that damped members are
+// removed from the ring of every member, though not from the membership
+// list. A damped member reincarnates once its damp score can be expected to
+// have decayed below the reuse limit, or once the suppress duration is over,
+// whichever comes first. Members that stay damped for longer than the
+// suppress duration are declared faulty; nobody pings damped members.
+function Damper(opts) {
+    this.ringpop = opts.ringpop;
+    this.sendDampReq = opts.sendDampReq || require('./damp-req-sender.js');
+    this.setInterval = opts.setInterval || timers.setInterval;
+    this.clearInterval = opts.clearInterval || timers.clearInterval;
+    this.setTimeout = opts.setTimeout || this.ringpop.setTimeout;
+    this.clearTimeout = opts.clearTimeout || timers.clearTimeout;
+    this.Date = opts.Date || Date;
+
+    this.flappers = {};
+    this.isConfirming = false;
+    this.expirationTimer = null;
+    this.reincarnationTimer = null;
+    this.destroyed = false;
+}
+
+Damper.prototype.destroy = function destroy() {
+    this._stopExpirationTimer();
+    this._stopReincarnationTimer();
+    this.destroyed = true;
+};
+
+Damper.prototype.getDampedMembers = function getDampedMembers() {
+    return this.ringpop.membership.members.filter(function filter(member) {
+        return member.status === Member.Status.damped;
+    });
+};
+
+Damper.prototype.getStats = function getStats() {
+    return {
+        dampedMembers: this.getDampedMembers().map(function map(member) {
+            return {
+                address: member.address,
+                dampScore: member.dampScore,
+                dampedTimestamp: member.lastStatusChangeTimestamp
+            };
+        }).sort(function sort(a, b) {
+            return a.address.localeCompare(b.address);
+        }),
+        flappers: Object.keys(this.flappers).sort()
+    };
+};
+
+Damper.prototype.initiateSubprotocol = function initiateSubprotocol(member) {
+    if (this.destroyed || !this.ringpop.config.get('dampingEnabled') ||
+            member.address === this.ringpop.whoami() ||
+            this.isDamped(member.address) || this.flappers[member.address]) {
+        return;
+    }
+
+    this.flappers[member.address] = member;
+    this.ringpop.stat('increment', 'damper.flapper.added');
+    this._confirmFlappers();
+};
+
+Damper.prototype.isDamped = function isDamped(address) {
+    var member = this.ringpop.membership.findMemberByAddress(address);
+    return !!member && member.status === Member.Status.damped;
+};
+
+Damper.prototype.dampMember = function dampMember(address) {
+    var ringpop = this.ringpop;
+    var member = ringpop.membership.findMemberByAddress(address);
+    if (!member || this.isDamped(address)) {
+        return false;
+    }
+
+    // Damping too many members at once is more likely to be a sign of
+    // trouble with the network than with the members themselves. Any
+    // cluster may damp at least one member, unless damping is capped at 0%.
+    var numDamped = this.getDampedMembers().length;
+    var maxPercentage = ringpop.config.get('dampedMaxPercentage');
+    var maxDamped = maxPercentage > 0 ? Math.max(1,
+        Math.floor(ringpop.membership.members.length * maxPercentage / 100)) : 0;
+    if (numDamped >= maxDamped) {
+        ringpop.stat('increment', 'damper.damp-limit-reached');
+        ringpop.logger.warn('ringpop damper reached limit of damped members', {
+            local: ringpop.whoami(),
+            member: address,
+            numDamped: numDamped,
+            maxDamped: maxDamped
+        });
+        return false;
+    }
+
+    ringpop.stat('increment', 'damper.damped');
+    ringpop.logger.warn('ringpop damper damped member', {
+        local: ringpop.whoami(),
+        member: address,
+        dampScore: member.dampScore
+    });
+
+    ringpop.membership.makeDamped(address, member.incarnationNumber);
+    return true;
+};
+
+// Called for every member that becomes damped, whether this member damped
+// it or heard about it through gossip.
+Damper.prototype.onMemberDamped = function onMemberDamped(address) {
+    if (this.destroyed) {
+        return;
+    }
+
+    this.ringpop.stat('gauge', 'damper.damped-members',
+        this.getDampedMembers().length);
+
+    if (address === this.ringpop.whoami()) {
+        this._startReincarnationTimer();
+    } else {
+        this._startExpirationTimer();
+    }
+};
+
+// Called for every member that comes back from being damped, as alive or
+// as suspect. Unlike alive members, suspects are not otherwise added to the
+// ring.
+Damper.prototype.onMemberUndamped = function onMemberUndamped(address) {
+    var ringpop = this.ringpop;
+
+    ringpop.stat('increment', 'damper.undamped');
+    ringpop.stat('gauge', 'damper.damped-members',
+        this.getDampedMembers().length);
+
+    if (address === ringpop.whoami()) {
+        this._stopReincarnationTimer();
+    }
+
+    var member = ringpop.membership.findMemberByAddress(address);
+    if (member && member.status === Member.Status.suspect) {
+        var weights = {};
+        weights[address] = member.weight;
+        if (ringpop.ring.addRemoveServers([address], null, weights)) {
+            ringpop.emit('ringChanged');
+        }
+    }
+};
+
+// The damped member cannot know the damp scores others have for it. It
+// assumes the worst, a score at the maximum, and waits for that score to
+// decay below the reuse limit.
+Damper.prototype.getReincarnationDelay = function getReincarnationDelay() {
+    var config = this.ringpop.config;
+    var halfLives = Math.log(config.get('dampScoringMax') /
+        config.get('dampScoringReuseLimit')) / Math.LN2;
+    var decayDuration = Math.max(0, halfLives) *
+        config.get('dampScoringHalfLife') * 1000;
+
+    return Math.min(decayDuration, config.get('dampScoringSuppressDuration'));
+};
+
+Damper.prototype._confirmFlappers = function _confirmFlappers() {
+    var self = this;
+    var ringpop = this.ringpop;
+    var config = ringpop.config;
+
+    // Flappers found while confirming others are picked up once done.
+    if (this.isConfirming) {
+        return;
+    }
+
+    var flappers = Object.keys(this.flappers);
+    if (flappers.length === 0) {
+        return;
+    }
+
+    var rVal = config.get('dampReqRVal');
+    var members = ringpop.membership.getRandomPingableMembers(
+        config.get('dampReqNVal'), flappers.concat(ringpop.whoami()));
+    if (members.length < rVal) {
+        ringpop.stat('increment', 'damp-req.insufficient-members');
+        ringpop.logger.warn('ringpop damper has too few members to confirm flappers', {
+            local: ringpop.whoami(),
+            flappers: flappers,
+            numMembers: members.length,
+            rVal: rVal
+        });
+        this.flappers = {};
+        return;
+    }
+
+    this.isConfirming = true;
+
+    var responses = [];
+    var numPending = members.length;
+    members.forEach(function each(member) {
+        self.sendDampReq({
+            ringpop: ringpop,
+            target: member.address,
+            flappers: flappers
+        }, onDampReq);
+    });
+
+    function onDampReq(err, res) {
+        if (err) {
+            ringpop.stat('increment', 'damp-req.failed');
+            ringpop.logger.warn('ringpop damper failed damp-req', {
+                local: ringpop.whoami(),
+                err: err
+            });
+        } else {
+            responses.push(res);
+        }
+
+        if (--numPending > 0) {
+            return;
+        }
+
+        self.isConfirming = false;
+        if (self.destroyed) {
+            return;
+        }
+
+        self._evaluateResponses(flappers, responses);
+        self._confirmFlappers();
+    }
+};
+
+// A flapper is damped if at least rVal members have it over the suppress
+// limit too.
+Damper.prototype._evaluateResponses = function _evaluateResponses(flappers, responses) {
+    var ringpop = this.ringpop;
+    var rVal = ringpop.config.get('dampReqRVal');
+    var suppressLimit = ringpop.config.get('dampScoringSuppressLimit');
+
+    for (var i = 0; i < flappers.length; i++) {
+        var flapper = flappers[i];
+        delete this.flappers[flapper];
+
+        var numConfirmed = responses.filter(confirms(flapper)).length;
+        if (numConfirmed >= rVal) {
+            this.dampMember(flapper);
+        } else {
+            ringpop.stat('increment', 'damper.flapper.unconfirmed');
+            ringpop.logger.info('ringpop damper could not confirm flapper', {
+                local: ringpop.whoami(),
+                flapper: flapper,
+                numConfirmed: numConfirmed,
+                numResponses: responses.length,
+                rVal: rVal
+            });
+        }
+    }
+
+    function confirms(flapper) {
+        return function isOverLimit(res) {
+            return res.scores.some(function some(score) {
+                return score.member === flapper &&
+                    score.dampScore > suppressLimit;
+            });
+        };
+    }
+};
+
+// Damped members reincarnate by themselves. Those that do not within the
+// suppress duration are presumed to be gone.
+Damper.prototype._expireDampedMembers = function _expireDampedMembers() {
+    var ringpop = this.ringpop;
+    var suppressDuration = ringpop.config.get('dampScoringSuppressDuration');
+    var now = this.Date.now();
+
+    var dampedMembers = this.getDampedMembers();
+    var numRemaining = 0;
+    for (var i = 0; i < dampedMembers.length; i++) {
+        var member = dampedMembers[i];
+        if (member.address === ringpop.whoami()) {
+            continue;
+        }
+
+        if (now - member.lastStatusChangeTimestamp >= suppressDuration) {
+            ringpop.stat('increment', 'damper.expired');
+            ringpop.logger.warn('ringpop damper declared long damped member faulty', {
+                local: ringpop.whoami(),
+                member: member.address,
+                dampedTimestamp: member.lastStatusChangeTimestamp
+            });
+            ringpop.membership.makeFaulty(member.address,
+                member.incarnationNumber);
+        } else {
+            numRemaining++;
+        }
+    }
+
+    if (numRemaining === 0) {
+        this._stopExpirationTimer();
+    }
+};
+
+Damper.prototype._startExpirationTimer = function _startExpirationTimer() {
+    var self = this;
+
+    if (this.expirationTimer) {
+        return;
+    }
+
+    this.expirationTimer = this.setInterval(function onInterval() {
+        self._expireDampedMembers();
+    }, this.ringpop.config.get('dampedMemberExpirationInterval'));
+};
+
+Damper.prototype._startReincarnationTimer = function _startReincarnationTimer() {
+    var self = this;
+    var ringpop = this.ringpop;
+
+    if (this.reincarnationTimer) {
+        return;
+    }
+
+    var delay = this.getReincarnationDelay();
+    ringpop.logger.warn('ringpop damper found local member damped', {
+        local: ringpop.whoami(),
+        reincarnationDelay: delay
+    });
+
+    this.reincarnationTimer = this.setTimeout(function onTimeout() {
+        self.reincarnationTimer = null;
+
+        var localMember = ringpop.membership.localMember;
+        if (!localMember || localMember.status !== Member.Status.damped) {
+            return;
+        }
+
+        ringpop.stat('increment', 'damper.reincarnated');
+        ringpop.membership.makeAlive(ringpop.whoami(),
+            Math.max(self.Date.now(), localMember.incarnationNumber + 1),
+            ringpop.getLocalMemberAttributes());
+    }, delay);
+};
+
+Damper.prototype._stopReincarnationTimer = function _stopReincarnationTimer() {
+    if (this.reincarnationTimer) {
+        this.clearTimeout(this.reincarnationTimer);
+        this.reincarnationTimer = null;
+    }
+};
+
+Damper.prototype._stopExpirationTimer = function _stopExpirationTimer() {
+    if (this.expirationTimer) {
+        this.clearInterval(this.expirationTimer);
+        this.expirationTimer = null;
+    }
+};
+
+module.exports = Damper;
@@ -0,0 +1,201 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var sendSync = require('./sync-sender.js');
+
+// A delta sync brings two members whose checksums differ back in step
+// without either sending its entire membership list. Both build a Merkle
+// tree of the same depth over their membership. The initiator sends the
+// hashes of the subtrees a few levels below the root, the other member
+// answers with the ones that differ from its own, and the initiator
+// descends into those only. Once the differing leaves are known, the
+// members in them are exchanged in a single round trip.
+//
+// Members that do not support delta syncs, because they have no handler for
+// them or answer with something other than what is expected, are not asked
+// for one again for a while; pings to them do not ask for one either, so
+// that they answer with a full-sync as they always did. Other failures only
+// fail the delta sync at hand.
+function DeltaSync(opts) {
+    this.ringpop = opts.ringpop;
+    this.sendSync = opts.sendSync || sendSync;
+    this.Date = opts.Date || Date;
+
+    this.syncing = {};
+    this.unsupportedPeers = {};
+}
+
+// How many levels of the tree are descended per round trip.
+DeltaSync.LEVELS_PER_ROUND = 4;
+
+// How long a member that does not support delta syncs is left alone.
+DeltaSync.UNSUPPORTED_TTL = 60 * 1000;
+
+DeltaSync.prototype.isEnabledFor = function isEnabledFor(address) {
+    if (!this.ringpop.config.get('deltaSyncEnabled')) {
+        return false;
+    }
+
+    var unsupportedSince = this.unsupportedPeers[address];
+    if (typeof unsupportedSince !== 'number') {
+        return true;
+    }
+
+    if (this.Date.now() - unsupportedSince < DeltaSync.UNSUPPORTED_TTL) {
+        return false;
+    }
+
+    delete this.unsupportedPeers[address];
+    return true;
+};
+
+DeltaSync.prototype.getStats = function getStats() {
+    return {
+        syncing: Object.keys(this.syncing).sort(),
+        unsupportedPeers: Object.keys(this.unsupportedPeers).sort()
+    };
+};
+
+// Syncs with target. The callback is given the number of members sent and
+// received, or an error.
+DeltaSync.prototype.sync = function sync(target, callback) {
+    var self = this;
+    var ringpop = this.ringpop;
+
+    if (this.syncing[target]) {
+        ringpop.stat('increment', 'delta-sync.skipped');
+        process.nextTick(function onTick() {
+            callback(null, {
+                membersSent: 0,
+                membersReceived: 0
+            });
+        });
+        return;
+    }
+
+    this.syncing[target] = true;
+    ringpop.stat('increment', 'delta-sync.start');
+
+    // The tree is a snapshot; updates applied during the sync do not
+    // change it.
+    var depth = ringpop.config.get('deltaSyncDepth');
+    var tree = ringpop.membership.getMerkleTree(depth);
+    var start = this.Date.now();
+
+    compareHashes(tree.getDescendants(1, DeltaSync.LEVELS_PER_ROUND));
+
+    function compareHashes(indexes) {
+        var hashes = {};
+        for (var i = 0; i < indexes.length; i++) {
+            hashes[indexes[i]] = tree.getHash(indexes[i]);
+        }
+
+        self.sendSync({
+            ringpop: ringpop,
+            target: target,
+            body: {
+                depth: depth,
+                hashes: hashes
+            }
+        }, function onSync(err, res) {
+            if (err) {
+                finish(err);
+                return;
+            }
+
+            var differing = (res.differing || []).filter(function filter(index) {
+                return tree.isNode(index);
+            });
+
+            if (differing.length === 0) {
+                finish(null, [], []);
+            } else if (tree.isLeaf(differing[0])) {
+                exchangeLeaves(differing);
+            } else {
+                compareHashes(differing.reduce(function reduce(next, index) {
+                    return next.concat(tree.getDescendants(index,
+                        DeltaSync.LEVELS_PER_ROUND));
+                }, []));
+            }
+        });
+    }
+
+    function exchangeLeaves(leaves) {
+        var changes = ringpop.dissemination.membersToChanges(tree.getMembers(leaves));
+
+        self.sendSync({
+            ringpop: ringpop,
+            target: target,
+            body: {
+                depth: depth,
+                leaves: leaves,
+                changes: changes
+            }
+        }, function onSync(err, res) {
+            if (err) {
+                finish(err);
+                return;
+            }
+
+            var received = res.changes || [];
+            if (received.length > 0) {
+                ringpop.membership.update(received);
+            }
+
+            finish(null, changes, received);
+        });
+    }
+
+    function finish(err, sent, received) {
+        delete self.syncing[target];
+
+        if (err) {
+            if (isUnsupportedError(err)) {
+                self.unsupportedPeers[target] = self.Date.now();
+                ringpop.stat('increment', 'delta-sync.unsupported');
+            }
+
+            ringpop.stat('increment', 'delta-sync.failed');
+            ringpop.logger.warn('ringpop delta sync failed', {
+                local: ringpop.whoami(),
+                target: target,
+                err: err
+            });
+            callback(err);
+            return;
+        }
+
+        ringpop.stat('timing', 'delta-sync', self.Date.now() - start);
+        ringpop.stat('increment', 'delta-sync.members.sent', sent.length);
+        ringpop.stat('increment', 'delta-sync.members.recv', received.length);
+        callback(null, {
+            membersSent: sent.length,
+            membersReceived: received.length
+        });
+    }
+};
+
+function isUnsupportedError(err) {
+    return err.type === sendSync.SyncUnsupportedError.type ||
+        err.type === sendSync.BadSyncRespBodyError.type;
+}
+
+module.exports = DeltaSync;
@@ -31,10 +31,35 @@ function Dissemination(ringpop) {
     this.changes = {};
     this.maxPiggybackCount = Dissemination.Defaults.maxPiggybackCount;
     this.piggybackFactor = Dissemination.Defaults.piggybackFactor;
+
+    // Changes issued to each recipient that have yet to be acknowledged,
+    // as a queue of batches, one per request.
+    this.issuedByRecipient = {};
 }
 
 util.inherits(Dissemination, EventEmitter);
 
+// Counts the oldest batch of changes issued to recipient as disseminated
+// now that a response from it has arrived.
+Dissemination.prototype.acknowledgeIssued = function acknowledgeIssued(recipient) {
+    var issued = this._shiftIssued(recipient);
+
+    for (var i = 0; i < issued.length; i++) {
+        var change = issued[i];
+
+        // Changes that have since been superseded are no longer counted.
+        if (this.changes[change.address] !== change) {
+            continue;
+        }
+
+        change.piggybackCount += 1;
+
+        if (change.piggybackCount >= this.maxPiggybackCount) {
+            delete this.changes[change.address];
+        }
+    }
+};
+
 Dissemination.prototype.adjustMaxPiggybackCount = function adjustMaxPiggybackCount() {
     var serverCount = this.ringpop.ring.getServerCount();
     var prevPiggybackCount = this.maxPiggybackCount;
@@ -56,27 +81,56 @@ Dissemination.prototype.adjustMaxPiggybackCount = function adjustMaxPiggybackCou
 
 Dissemination.prototype.clearChanges = function clearChanges() {
     this.changes = [];
+    this.issuedByRecipient = {};
 };
 
 Dissemination.prototype.fullSync = function fullSync() {
+    return this.membersToChanges(this.ringpop.membership.members);
+};
+
+// Describes members as changes sourced from the local member. Members only
+// known from a membership snapshot are left out, as they are from the
+// changes disseminated.
+Dissemination.prototype.membersToChanges = function membersToChanges(members) {
     var changes = [];
 
-    for (var i = 0; i < this.ringpop.membership.members.length; i++) {
-        var member = this.ringpop.membership.members[i];
+    for (var i = 0; i < members.length; i++) {
+        var member = members[i];
+
+        if (member.isFromSnapshot) {
+            continue;
+        }
 
         changes.push({
             source: this.ringpop.whoami(),
             address: member.address,
             status: member.status,
-            incarnationNumber: member.incarnationNumber
+            incarnationNumber: member.incarnationNumber,
+            weight: member.weight,
+            load: member.load,
+            loadVersion: member.loadVersion,
+            zone: member.zone,
+            labels: member.labels,
+            version: member.version
         });
     }
 
     return changes;
 };
 
-Dissemination.prototype.issueAsSender = function issueAsSender() {
-    return this._issueAs(null, mapChanges);
+// Changes issued to a recipient are not counted towards their piggyback
+// count until the recipient acknowledges them, see acknowledgeIssued and
+// requeueIssued. Without a recipient, they are counted right away.
+Dissemination.prototype.issueAsSender = function issueAsSender(recipient) {
+    var issued = null;
+
+    if (recipient) {
+        issued = [];
+        this.issuedByRecipient[recipient] = this.issuedByRecipient[recipient] || [];
+        this.issuedByRecipient[recipient].push(issued);
+    }
+
+    return this._issueAs(null, mapChanges, issued);
 
     function mapChanges(changes) {
         return changes;
@@ -84,6 +138,14 @@ Dissemination.prototype.issueAsSender = function issueAsSender() {
 };
 
 Dissemination.prototype.issueAsReceiver = function issueAsReceiver(senderAddr, senderIncarnationNumber, senderChecksum) {
+    return this.issueResponseAsReceiver(senderAddr, senderIncarnationNumber,
+        senderChecksum).changes;
+};
+
+// Like issueAsReceiver, though it tells whether the changes are a full-sync.
+// Returns {changes, isFullSync}. A full-sync is never issued if
+// isFullSyncAllowed is false.
+Dissemination.prototype.issueResponseAsReceiver = function issueResponseAsReceiver(senderAddr, senderIncarnationNumber, senderChecksum, isFullSyncAllowed) {
     var self = this;
 
     return this._issueAs(filterChange, mapChanges);
@@ -100,8 +162,12 @@ Dissemination.prototype.issueAsReceiver = function issueAsReceiver(senderAddr, s
     function mapChanges(changes) {
         // If no changes left to disseminate and checksums do not match, perform a full-sync.
         if (changes.length > 0) {
-            return changes;
-        } else if (self.ringpop.membership.checksum !== senderChecksum) {
+            return {
+                changes: changes,
+                isFullSync: false
+            };
+        } else if (isFullSyncAllowed !== false &&
+                self.ringpop.membership.checksum !== senderChecksum) {
             self.ringpop.stat('increment', 'full-sync');
             self.ringpop.logger.info('full sync', {
                 local: self.ringpop.whoami(),
@@ -110,10 +176,15 @@ Dissemination.prototype.issueAsReceiver = function issueAsReceiver(senderAddr, s
                 destChecksum: senderChecksum
             });
 
-            // TODO Somehow send back indication of isFullSync
-            return self.fullSync();
+            return {
+                changes: self.fullSync(),
+                isFullSync: true
+            };
         } else {
-            return [];
+            return {
+                changes: [],
+                isFullSync: false
+            };
         }
     }
 };
@@ -126,11 +197,47 @@ Dissemination.prototype.recordChange = function recordChange(change) {
     this.changes[change.address] = change;
 };
 
+// Returns the oldest batch of changes issued to recipient to the queue,
+// uncounted, after the request carrying them failed.
+Dissemination.prototype.requeueIssued = function requeueIssued(recipient) {
+    var issued = this._shiftIssued(recipient);
+    var numRequeued = 0;
+    var numFullSyncsAvoided = 0;
+
+    for (var i = 0; i < issued.length; i++) {
+        var change = issued[i];
+
+        if (this.changes[change.address] !== change) {
+            continue;
+        }
+
+        numRequeued++;
+
+        // Had the change been counted, this would have been its last
+        // dissemination. It would have been dropped without reaching
+        // the recipient, leaving a full-sync as the only way to
+        // converge.
+        if (change.piggybackCount + 1 >= this.maxPiggybackCount) {
+            numFullSyncsAvoided++;
+        }
+    }
+
+    if (numRequeued > 0) {
+        this.ringpop.stat('increment', 'changes.requeued', numRequeued);
+    }
+
+    if (numFullSyncsAvoided > 0) {
+        this.ringpop.stat('increment', 'full-sync.avoided', numFullSyncsAvoided);
+    }
+};
+
 Dissemination.prototype.resetMaxPiggybackCount = function resetMaxPiggybackCount() {
     this.maxPiggybackCount = Dissemination.Defaults.maxPiggybackCount;
 };
 
-Dissemination.prototype._issueAs = function _issueAs(filterChange, mapChanges) {
+// issued, if given, collects the changes that are issued instead of
+// counting them.
+Dissemination.prototype._issueAs = function _issueAs(filterChange, mapChanges, issued) {
     var changesToDisseminate = [];
 
     var changedNodes = Object.keys(this.changes);
@@ -139,10 +246,6 @@ Dissemination.prototype._issueAs = function _issueAs(filterChange, mapChanges) {
         var address = changedNodes[i];
         var change = this.changes[address];
 
-        // TODO We're bumping the piggyback count even though
-        // we don't know whether the change successfully made
-        // it over to the other side. This can result in undesired
-        // full-syncs.
         if (typeof change.piggybackCount === 'undefined') {
             change.piggybackCount = 0;
         }
@@ -152,13 +255,17 @@ Dissemination.prototype._issueAs = function _issueAs(filterChange, mapChanges) {
             continue;
         }
 
-        change.piggybackCount += 1;
-
-        if (change.piggybackCount > this.maxPiggybackCount) {
+        if (change.piggybackCount >= this.maxPiggybackCount) {
             delete this.changes[address];
             continue;
         }
 
+        if (issued) {
+            issued.push(change);
+        } else {
+            change.piggybackCount += 1;
+        }
+
         // TODO Include change timestamp
         changesToDisseminate.push({
             id: change.id,
@@ -166,7 +273,13 @@ Dissemination.prototype._issueAs = function _issueAs(filterChange, mapChanges) {
             sourceIncarnationNumber: change.sourceIncarnationNumber,
             address: change.address,
             status: change.status,
-            incarnationNumber: change.incarnationNumber
+            incarnationNumber: change.incarnationNumber,
+            weight: change.weight,
+            load: change.load,
+            loadVersion: change.loadVersion,
+            zone: change.zone,
+            labels: change.labels,
+            version: change.version
         });
     }
 
@@ -175,6 +288,20 @@ Dissemination.prototype._issueAs = function _issueAs(filterChange, mapChanges) {
     return mapChanges(changesToDisseminate);
 };
 
+Dissemination.prototype._shiftIssued = function _shiftIssued(recipient) {
+    var batches = this.issuedByRecipient[recipient];
+    if (!batches) {
+        return [];
+    }
+
+    var issued = batches.shift();
+    if (batches.length === 0) {
+        delete this.issuedByRecipient[recipient];
+    }
+
+    return issued;
+};
+
 Dissemination.Defaults = {
     maxPiggybackCount: 1,
     piggybackFactor: 15 // A lower piggyback factor leads to more full-syncs
@@ -0,0 +1,178 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var getCompatibility = require('../compatibility.js').getCompatibility;
+var safeParse = require('../util').safeParse;
+var signRequest = require('../auth.js').signRequest;
+var TypedError = require('error/typed');
+
+var BadHealRespBodyError = TypedError({
+    type: 'ringpop.heal.bad-resp-body',
+    message: 'Bad response from heal {endpoint}: {body}',
+    target: null,
+    endpoint: null,
+    body: null
+});
+
+var HealError = TypedError({
+    type: 'ringpop.heal.error',
+    message: 'An error occurred on heal {endpoint}: {errMessage}',
+    target: null,
+    endpoint: null,
+    errMessage: null
+});
+
+/* jshint maxparams: 5 */
+function send(ringpop, target, endpoint, body, callback) {
+    var channelOpts = {
+        host: target,
+        timeout: endpoint === '/protocol/join' ?
+            ringpop.joinTimeout : ringpop.pingTimeout,
+        serviceName: 'ringpop',
+        hasNoParent: true,
+        trace: false,
+        retryLimit: 1,
+        headers: {
+            'as': 'raw',
+            'cn': 'ringpop'
+        }
+    };
+
+    var bodyStr = JSON.stringify(body);
+
+    ringpop.channel.waitForIdentified({
+        host: target
+    }, function onIdentified(err) {
+        if (err) {
+            onResponse(err);
+            return;
+        }
+
+        ringpop.channel
+            .request(channelOpts)
+            .send(endpoint, signRequest(ringpop, endpoint, bodyStr), bodyStr, onSend);
+    });
+
+    function onSend(err, res, arg2, arg3) {
+        if (!err && !res.ok) {
+            err = new Error(String(arg3));
+        }
+
+        onResponse(err, arg3);
+    }
+
+    function onResponse(err, res) {
+        if (err) {
+            callback(HealError({
+                target: target,
+                endpoint: endpoint,
+                errMessage: err.message
+            }));
+            return;
+        }
+
+        var resStr = String(res);
+        var resBody = safeParse(resStr);
+        if (!resBody) {
+            callback(BadHealRespBodyError({
+                target: target,
+                endpoint: endpoint,
+                body: resStr
+            }));
+            return;
+        }
+
+        callback(null, resBody);
+    }
+}
+
+// Joins target, as a member would when bootstrapping, for no other purpose
+// than to learn of target's membership. The response carries target's
+// membership list as changes, and its checksum.
+function sendHealJoin(opts, callback) {
+    var ringpop = opts.ringpop;
+    var localMember = ringpop.membership.localMember;
+
+    ringpop.stat('increment', 'heal.join.send');
+
+    send(ringpop, opts.target, '/protocol/join', {
+        app: ringpop.app,
+        source: ringpop.whoami(),
+        incarnationNumber: localMember.incarnationNumber,
+        weight: localMember.weight,
+        load: localMember.load,
+        loadVersion: localMember.loadVersion,
+        zone: localMember.zone,
+        labels: localMember.labels,
+        version: localMember.version,
+        compatibility: getCompatibility(ringpop)
+    }, function onJoin(err, res) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (!Array.isArray(res.membership)) {
+            callback(BadHealRespBodyError({
+                target: opts.target,
+                endpoint: '/protocol/join',
+                body: JSON.stringify(res)
+            }));
+            return;
+        }
+
+        callback(null, {
+            checksum: res.membershipChecksum,
+            members: res.membership
+        });
+    });
+}
+
+// Pings target with the given changes rather than those up for
+// dissemination. Changes target sends back in response are applied.
+function sendHealPing(opts, callback) {
+    var ringpop = opts.ringpop;
+
+    ringpop.stat('increment', 'heal.ping.send');
+
+    send(ringpop, opts.target, '/protocol/ping', {
+        checksum: ringpop.membership.checksum,
+        changes: opts.changes,
+        source: ringpop.whoami(),
+        sourceIncarnationNumber: ringpop.membership.getIncarnationNumber()
+    }, function onPing(err, res) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (Array.isArray(res.changes)) {
+            ringpop.membership.update(res.changes);
+        }
+
+        callback(null);
+    });
+}
+
+module.exports = {
+    sendHealJoin: sendHealJoin,
+    sendHealPing: sendHealPing
+};
@@ -41,8 +41,13 @@ function Gossip(options) {
 
 Gossip.prototype.computeProtocolDelay = function computeProtocolDelay() {
     if (this.numProtocolPeriods) {
-        var target = this.lastProtocolPeriod + this.lastProtocolRate;
-        return Math.max(target - Date.now(), this.minProtocolPeriod);
+        // The protocol period is stretched while local health is poor
+        // so that fewer probes are sent out, and failed, in the meantime.
+        var localHealth = this.ringpop.localHealth;
+        var target = this.lastProtocolPeriod +
+            localHealth.scaleTimeout(this.lastProtocolRate);
+        return Math.max(target - Date.now(),
+            localHealth.scaleTimeout(this.minProtocolPeriod));
     } else {
         // Delay for first tick will be staggered from 0 to `minProtocolPeriod` ms.
         return Math.floor(Math.random() * (this.minProtocolPeriod + 1));
@@ -162,6 +167,8 @@ Gossip.prototype.tick = function tick(callback) {
         self.ringpop.stat('timing', 'ping', start);
         if (isOk) {
             self.ringpop.isPinging = false;
+            self.ringpop.localHealth.onProbeSuccess();
+            self.ringpop.pingReqSelector.onProbeSuccess(member.address);
             self.ringpop.membership.update(body.changes);
             return callback();
         }
@@ -181,7 +188,7 @@ Gossip.prototype.tick = function tick(callback) {
         sendPingReq({
             ringpop: self.ringpop,
             unreachableMember: member,
-            pingReqSize: self.ringpop.pingReqSize
+            pingReqSize: self.ringpop.config.get('pingReqSize')
         }, function onPingReq() {
             self.ringpop.stat('timing', 'ping-req', pingReqStartTime);
             self.ringpop.isPinging = false;
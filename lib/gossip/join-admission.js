@@ -0,0 +1,87 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+// Admits joins at a sustained rate of `joinAdmissionRate` per second, and
+// up to `joinAdmissionBurst` at once, through a token bucket. A join takes
+// a token; joins that find the bucket empty are turned away busy, which
+// makes joiners try other members and back off. That way, a mass restart
+// does not swamp the few members joined first with full syncs.
+function JoinAdmission(opts) {
+    this.ringpop = opts.ringpop;
+    this.Date = opts.Date || Date;
+
+    this.tokens = null; // the bucket starts full, see _refill()
+    this.lastRefill = null;
+    this.numAdmitted = 0;
+    this.numRejected = 0;
+}
+
+JoinAdmission.prototype.admit = function admit() {
+    if (!this.ringpop.config.get('joinAdmissionEnabled')) {
+        this.numAdmitted++;
+        this.ringpop.stat('increment', 'join.admitted');
+        return true;
+    }
+
+    this._refill();
+
+    if (this.tokens < 1) {
+        this.numRejected++;
+        this.ringpop.stat('increment', 'join.rejected.busy');
+        return false;
+    }
+
+    this.tokens--;
+    this.numAdmitted++;
+    this.ringpop.stat('increment', 'join.admitted');
+    return true;
+};
+
+JoinAdmission.prototype.getStats = function getStats() {
+    if (this.ringpop.config.get('joinAdmissionEnabled')) {
+        this._refill();
+    }
+
+    return {
+        enabled: this.ringpop.config.get('joinAdmissionEnabled'),
+        numAdmitted: this.numAdmitted,
+        numRejected: this.numRejected,
+        tokens: this.tokens === null ? null : Math.floor(this.tokens)
+    };
+};
+
+JoinAdmission.prototype._refill = function _refill() {
+    var now = this.Date.now();
+    var burst = this.ringpop.config.get('joinAdmissionBurst');
+
+    if (this.tokens === null) {
+        this.tokens = burst;
+    } else {
+        var rate = this.ringpop.config.get('joinAdmissionRate');
+        this.tokens += (now - this.lastRefill) / 1000 * rate;
+    }
+
+    // The config may have been lowered since.
+    this.tokens = Math.min(this.tokens, burst);
+    this.lastRefill = now;
+};
+
+module.exports = JoinAdmission;
@@ -20,12 +20,15 @@
 'use strict';
 
 var captureHost = require('../util.js').captureHost;
+var compatibility = require('../compatibility.js');
 var errors = require('../errors.js');
 var isEmptyArray = require('../util.js').isEmptyArray;
 var mergeJoinResponses = require('./join-response-merge.js');
 var numOrDefault = require('../util.js').numOrDefault;
 var safeParse = require('../util.js').safeParse;
+var signRequest = require('../auth.js').signRequest;
 var TypedError = require('error/typed');
+var validateHosts = require('../discovery/hosts.js').validateHosts;
 
 var JoinAbortedError = TypedError({
     type: 'ringpop.join-aborted',
@@ -48,6 +51,10 @@ var JoinAttemptsExceededError = TypedError({
     maxJoinAttempts: null
 });
 
+// Joins turned away by busy members are retried after a delay that is
+// doubled for every group that met one, up to JOIN_BUSY_MAX_DELAY.
+var JOIN_BUSY_MAX_DELAY = 5000;
+var JOIN_BUSY_TYPE = errors.JoinBusyError().type;
 var JOIN_RETRY_DELAY = 100;
 var JOIN_SIZE = 3;
 var JOIN_TIMEOUT = 1000;
@@ -98,6 +105,13 @@ function JoinCluster(opts) {
 
     this.ringpop = opts.ringpop;
     this.host = captureHost(this.ringpop.hostPort);
+
+    // Hosts to join besides the bootstrap hosts, such as those of a
+    // membership snapshot.
+    this.extraHosts = Array.isArray(opts.extraHosts) ? opts.extraHosts : [];
+
+    // If given, the bootstrap hosts are discovered anew every round.
+    this.discoverProvider = opts.discoverProvider || null;
     this.joinTimeout = numOrDefault(opts.joinTimeout, JOIN_TIMEOUT);
 
     // This is used as a multiple of the required nodes left
@@ -129,8 +143,8 @@ function JoinCluster(opts) {
     // We either join the number of nodes defined by `joinSize`
     // or limit it to the number of `potentialNodes`. After all,
     // we can't join more than there are to join in the first place.
-    var joinSize = numOrDefault(opts.joinSize, JOIN_SIZE);
-    this.joinSize = Math.min(joinSize, this.potentialNodes.length);
+    this.requestedJoinSize = numOrDefault(opts.joinSize, JOIN_SIZE);
+    this.joinSize = Math.min(this.requestedJoinSize, this.potentialNodes.length);
 
     // A round is defined as a complete cycle through all
     // potential join targets. Once a round is completed,
@@ -151,7 +165,11 @@ JoinCluster.prototype.collectPotentialNodes = function collectPotentialNodes(nod
     nodesJoined = nodesJoined || [];
 
     var self = this;
-    return this.ringpop.bootstrapHosts.filter(function filterHost(hostPort) {
+    var extraHosts = this.extraHosts.filter(function filterExtra(hostPort) {
+        return self.ringpop.bootstrapHosts.indexOf(hostPort) === -1;
+    });
+
+    return this.ringpop.bootstrapHosts.concat(extraHosts).filter(function filterHost(hostPort) {
         return self.ringpop.hostPort !== hostPort && nodesJoined.indexOf(hostPort) === -1;
     });
 };
@@ -217,6 +235,7 @@ JoinCluster.prototype.join = function join(callback) {
 
     var nodesJoined = [];
     var numGroups = 0;
+    var numBusyGroups = 0;
     var numJoined = 0;
     var numFailed = 0;
     var startTime = Date.now();
@@ -247,6 +266,12 @@ JoinCluster.prototype.join = function join(callback) {
         numFailed += nodes.failures.length;
         numGroups++;
 
+        // Busy members are alive and well, so they do not count towards
+        // `maxJoinAttempts`. Other members are tried in the meantime.
+        if (nodes.busy.length > 0) {
+            numBusyGroups++;
+        }
+
         if (numJoined >= self.joinSize) {
             var joinTime = Date.now() - startTime;
 
@@ -266,7 +291,8 @@ JoinCluster.prototype.join = function join(callback) {
                 joinTime: joinTime,
                 numJoined: numJoined,
                 numGroups: numGroups,
-                numFailed: numFailed
+                numFailed: numFailed,
+                numBusyGroups: numBusyGroups
             });
 
             calledBack = true;
@@ -315,7 +341,8 @@ JoinCluster.prototype.join = function join(callback) {
                 numNodesLeft: self.joinSize - numJoined
             });
 
-            setTimeout(reJoin, self.joinRetryDelay);
+            setTimeout(reJoin, nodes.busy.length > 0 ?
+                self.getBusyRetryDelay(numBusyGroups) : self.joinRetryDelay);
         }
 
         function reJoin() {
@@ -328,6 +355,23 @@ JoinCluster.prototype.join = function join(callback) {
 
 JoinCluster.prototype.joinGroup = function joinGroup(totalNodesJoined, callback) {
     var self = this;
+
+    // A new round is about to be selected. Discover the hosts it is
+    // selected from first, unless it is the first round; those hosts were
+    // only just discovered by bootstrap().
+    if (this.discoverProvider && this.roundPotentialNodes !== null &&
+            this.isRoundExhausted()) {
+        this.refreshHosts(function onRefresh() {
+            self.joinGroupOfSelected(totalNodesJoined, callback);
+        });
+        return;
+    }
+
+    this.joinGroupOfSelected(totalNodesJoined, callback);
+};
+
+JoinCluster.prototype.joinGroupOfSelected = function joinGroupOfSelected(totalNodesJoined, callback) {
+    var self = this;
     var group = this.selectGroup(totalNodesJoined);
 
     this.ringpop.logger.debug('ringpop selected join group', {
@@ -338,6 +382,7 @@ JoinCluster.prototype.joinGroup = function joinGroup(totalNodesJoined, callback)
 
     var nodesJoined = [];
     var nodesFailed = [];
+    var nodesBusy = [];
     var numNodesLeft = this.joinSize - totalNodesJoined.length;
     var calledBack = false;
     var startTime = Date.now();
@@ -347,13 +392,16 @@ JoinCluster.prototype.joinGroup = function joinGroup(totalNodesJoined, callback)
             return;
         }
 
-        if (err) {
+        if (err && err.type === JOIN_BUSY_TYPE) {
+            nodesBusy.push(node);
+        } else if (err) {
             nodesFailed.push(node);
         } else {
             nodesJoined.push(node);
         }
 
-        var numCompleted = nodesJoined.length + nodesFailed.length;
+        var numCompleted = nodesJoined.length + nodesFailed.length +
+            nodesBusy.length;
 
         // Finished when either all joins have completed or enough to satisfy
         // the join requirements as defined by `joinSize`.
@@ -365,15 +413,18 @@ JoinCluster.prototype.joinGroup = function joinGroup(totalNodesJoined, callback)
                 joinTime: Date.now() - startTime,
                 numFailures: nodesFailed.length,
                 numSuccesses: nodesJoined.length,
+                numBusy: nodesBusy.length,
                 numNodesLeft: numNodesLeft,
                 failures: nodesFailed,
-                successes: nodesJoined
+                successes: nodesJoined,
+                busy: nodesBusy
             });
 
             calledBack = true;
             callback(null, {
                 successes: nodesJoined,
-                failures: nodesFailed
+                failures: nodesFailed,
+                busy: nodesBusy
             });
         }
     }
@@ -400,7 +451,14 @@ JoinCluster.prototype.joinNode = function joinNode(node, callback) {
     var joinBody = JSON.stringify({
         app: this.ringpop.app,
         source: this.ringpop.whoami(),
-        incarnationNumber: this.ringpop.membership.localMember.incarnationNumber
+        incarnationNumber: this.ringpop.membership.localMember.incarnationNumber,
+        weight: this.ringpop.membership.localMember.weight,
+        load: this.ringpop.membership.localMember.load,
+        loadVersion: this.ringpop.membership.localMember.loadVersion,
+        zone: this.ringpop.membership.localMember.zone,
+        labels: this.ringpop.membership.localMember.labels,
+        version: this.ringpop.membership.localMember.version,
+        compatibility: compatibility.getCompatibility(this.ringpop)
     });
 
     self.ringpop.channel
@@ -414,9 +472,16 @@ JoinCluster.prototype.joinNode = function joinNode(node, callback) {
         } else {
             self.ringpop.channel
                 .request(joinOpts)
-                .send('/protocol/join', null, joinBody, function onSend(err, res, arg2, arg3) {
+                .send('/protocol/join', signRequest(self.ringpop, '/protocol/join', joinBody),
+                    joinBody, function onSend(err, res, arg2, arg3) {
+                    // Busy members send the type of their error as the head.
                     if (!err && !res.ok) {
-                        err = new Error(String(arg3));
+                        err = arg2 && String(arg2) === JOIN_BUSY_TYPE ?
+                            errors.JoinBusyError() : new Error(String(arg3));
+                    }
+
+                    if (err && err.type === JOIN_BUSY_TYPE) {
+                        self.ringpop.stat('increment', 'join.busy');
                     }
 
                     if (err) {
@@ -425,6 +490,14 @@ JoinCluster.prototype.joinNode = function joinNode(node, callback) {
 
                     var bodyObj = safeParse(arg3.toString());
 
+                    // The node let us in, though its ring may still place
+                    // keys differently than ours.
+                    var incompatibility = compatibility.checkCompatibility(
+                        self.ringpop, node, bodyObj && bodyObj.compatibility);
+                    if (compatibility.isRefused(self.ringpop, node, incompatibility)) {
+                        return callback(incompatibility, node);
+                    }
+
                     // Verify that `joinResponses` is not null. It is set
                     // to null upon completion of the join process. There may,
                     // however, be in-flight /protocol/join requests that have
@@ -442,13 +515,55 @@ JoinCluster.prototype.joinNode = function joinNode(node, callback) {
     }
 };
 
+// Backs off exponentially, with jitter so that joiners turned away at the
+// same time do not come back at the same time too.
+JoinCluster.prototype.getBusyRetryDelay = function getBusyRetryDelay(numBusyGroups) {
+    var delay = Math.min(this.joinRetryDelay * Math.pow(2, numBusyGroups),
+        JOIN_BUSY_MAX_DELAY);
+
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+};
+
+JoinCluster.prototype.isRoundExhausted = function isRoundExhausted() {
+    return isEmptyArray(this.roundPreferredNodes) &&
+        isEmptyArray(this.roundNonPreferredNodes);
+};
+
+// Asks the discover provider for the bootstrap hosts. Should it fail, or
+// provide hosts that are not valid, the hosts it last provided are kept.
+JoinCluster.prototype.refreshHosts = function refreshHosts(callback) {
+    var self = this;
+
+    this.discoverProvider.getHosts(function onHosts(err, hosts) {
+        var reason = err ? null : validateHosts(hosts);
+        if (err || reason) {
+            self.ringpop.stat('increment', 'join.discover.failed');
+            self.ringpop.logger.warn('ringpop could not rediscover bootstrap hosts', {
+                local: self.ringpop.whoami(),
+                error: err,
+                reason: reason
+            });
+            callback();
+            return;
+        }
+
+        self.ringpop.stat('increment', 'join.discover');
+        self.ringpop.bootstrapHosts = hosts;
+        self.potentialNodes = self.collectPotentialNodes();
+        self.joinSize = Math.min(self.requestedJoinSize, self.potentialNodes.length);
+        callback();
+    });
+};
+
+// Rounds are initialized from the bootstrap hosts as they were last
+// discovered, see joinGroup().
 JoinCluster.prototype.selectGroup = function selectGroup(nodesJoined) {
     nodesJoined = nodesJoined || [];
 
     var self = this;
 
     // If fully exhausted or first round, initialize this rounds' nodes.
-    if (isEmptyArray(this.roundPreferredNodes) && isEmptyArray(this.roundNonPreferredNodes)) {
+    if (this.isRoundExhausted()) {
         this.init(nodesJoined);
     }
 
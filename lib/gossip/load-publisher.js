@@ -0,0 +1,108 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var Member = require('../membership/member.js');
+
+// Publishes the load reported through ringpop.setLocalLoad(). Loads are
+// published without reincarnating, each carrying a version of its own, see
+// Member.prototype._isLoadUpdate(). Every load published nevertheless changes
+// the membership checksum and the checksum bounded-load lookups are made
+// under, and members do not proxy requests to each other while the latter
+// differ. Loads are therefore rounded to a multiple of `boundedLoadQuantum`,
+// published only when that changes them, and at most once every
+// `boundedLoadReportInterval`.
+function LoadPublisher(opts) {
+    this.ringpop = opts.ringpop;
+
+    this.load = null; // as last reported
+    this.lastPublishTime = null;
+    this.publishTimer = null;
+
+    // Loads reported before bootstrap are published once ready.
+    var self = this;
+    this.ringpop.on('ready', function onReady() {
+        self.publish();
+    });
+}
+
+LoadPublisher.prototype.destroy = function destroy() {
+    clearTimeout(this.publishTimer);
+    this.publishTimer = null;
+};
+
+// Publishes the load right away, unless one was published within the last
+// `boundedLoadReportInterval`. It is published once the interval is over
+// then, or rather the last load reported by that time is.
+LoadPublisher.prototype.report = function report(load) {
+    this.load = load;
+
+    if (this.publishTimer) {
+        return;
+    }
+
+    var interval = this.ringpop.config.get('boundedLoadReportInterval');
+    var elapsed = this.lastPublishTime === null ? interval :
+        Date.now() - this.lastPublishTime;
+
+    if (elapsed >= interval) {
+        this.publish();
+        return;
+    }
+
+    var self = this;
+    this.publishTimer = this.ringpop.setTimeout(function onTimeout() {
+        self.publishTimer = null;
+        self.publish();
+    }, interval - elapsed);
+};
+
+// Returns true if a new load was published. Only alive members publish
+// their load; others publish the load last reported with the next report.
+LoadPublisher.prototype.publish = function publish() {
+    var ringpop = this.ringpop;
+    var localMember = ringpop.membership.localMember;
+
+    if (this.load === null || !localMember ||
+            localMember.status !== Member.Status.alive) {
+        return false;
+    }
+
+    var load = this.quantize(this.load);
+    if (load === localMember.load) {
+        return false;
+    }
+
+    this.lastPublishTime = Date.now();
+    ringpop.membership.makeAlive(ringpop.whoami(), localMember.incarnationNumber, {
+        load: load,
+        loadVersion: Math.max(Date.now(), (localMember.loadVersion || 0) + 1)
+    });
+    ringpop.stat('increment', 'bounded-load.published');
+
+    return true;
+};
+
+LoadPublisher.prototype.quantize = function quantize(load) {
+    var quantum = this.ringpop.config.get('boundedLoadQuantum');
+    return quantum > 0 ? Math.round(load / quantum) * quantum : load;
+};
+
+module.exports = LoadPublisher;
@@ -0,0 +1,92 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+// Local health, as described by Lifeguard, is a measure of how likely the
+// local member is to be the cause of failed probes. A member that is slow
+// to process messages, e.g. under CPU or GC pressure, misses acks from
+// healthy members and would otherwise suspect them. Its score goes up on
+// signs of local trouble and down on successful probes, and scales ping
+// timeouts and the protocol period so that a struggling member gives
+// others more time before suspecting them.
+function LocalHealth(opts) {
+    this.ringpop = opts.ringpop;
+    this.score = 0;
+}
+
+LocalHealth.prototype.getMultiplier = function getMultiplier() {
+    if (!this.ringpop.config.get('localHealthEnabled')) {
+        return 1;
+    }
+
+    return this.score + 1;
+};
+
+LocalHealth.prototype.getStats = function getStats() {
+    return {
+        multiplier: this.getMultiplier(),
+        score: this.score
+    };
+};
+
+// Helpers that do not respond to a ping-req at all, not even with a nack,
+// are more likely to have been missed by the local member.
+LocalHealth.prototype.onMissedNacks = function onMissedNacks(numMissed) {
+    this._adjustScore(numMissed, 'missed-nack');
+};
+
+LocalHealth.prototype.onProbeFailure = function onProbeFailure() {
+    this._adjustScore(1, 'probe-failure');
+};
+
+LocalHealth.prototype.onProbeSuccess = function onProbeSuccess() {
+    this._adjustScore(-1, 'probe-success');
+};
+
+// Other members suspecting the local member is a sign that it is slow to
+// respond to them.
+LocalHealth.prototype.onRefutedSuspicion = function onRefutedSuspicion() {
+    this._adjustScore(1, 'refuted-suspicion');
+};
+
+LocalHealth.prototype.scaleTimeout = function scaleTimeout(timeout) {
+    return timeout * this.getMultiplier();
+};
+
+LocalHealth.prototype._adjustScore = function _adjustScore(delta, reason) {
+    var oldScore = this.score;
+    this.score = Math.min(Math.max(this.score + delta, 0),
+        this.ringpop.config.get('localHealthMaxScore'));
+
+    if (this.score === oldScore) {
+        return;
+    }
+
+    this.ringpop.stat('increment', 'local-health.' + reason);
+    this.ringpop.stat('gauge', 'local-health.score', this.score);
+    this.ringpop.logger.debug('ringpop local health score changed', {
+        local: this.ringpop.whoami(),
+        oldScore: oldScore,
+        score: this.score,
+        reason: reason
+    });
+};
+
+module.exports = LocalHealth;
@@ -0,0 +1,289 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var healSender = require('./heal-sender.js');
+var Member = require('../membership/member.js');
+var timers = require('timers');
+var Update = require('../membership/update.js').Update;
+
+// When a cluster partitions, each side declares the members of the other
+// faulty. Faulty members are never pinged, so the sides would never learn
+// that the network has recovered. The partition healer periodically joins
+// a faulty member, or a bootstrap host that is not a pingable member, to
+// compare the views of the membership on either side.
+//
+// Should either side consider faulty a member the other considers alive at
+// the same or a greater incarnation number, merging the views as they are
+// would do no good: faulty wins over alive at the same incarnation number.
+// Those members are instead declared suspect, on the side that considers
+// them alive, so that they reincarnate when they hear of it. Once they
+// have, their new incarnation number wins over the faulty declarations,
+// and the next heal merges the views by exchanging them in full.
+function PartitionHealer(opts) {
+    this.ringpop = opts.ringpop;
+    this.sendHealJoin = opts.sendHealJoin || healSender.sendHealJoin;
+    this.sendHealPing = opts.sendHealPing || healSender.sendHealPing;
+    this.setTimeout = opts.setTimeout || this.ringpop.setTimeout;
+    this.clearTimeout = opts.clearTimeout || timers.clearTimeout;
+
+    this.healTimer = null;
+    this.isHealing = false;
+    this.numPartitionsDetected = 0;
+    this.numPartitionsHealed = 0;
+}
+
+PartitionHealer.prototype.getCandidates = function getCandidates() {
+    var ringpop = this.ringpop;
+    var membership = ringpop.membership;
+    var candidates = {};
+
+    for (var i = 0; i < membership.members.length; i++) {
+        var member = membership.members[i];
+        if (member.status === Member.Status.faulty) {
+            candidates[member.address] = true;
+        }
+    }
+
+    var bootstrapHosts = Array.isArray(ringpop.bootstrapHosts) ?
+        ringpop.bootstrapHosts : [];
+    for (var j = 0; j < bootstrapHosts.length; j++) {
+        var host = bootstrapHosts[j];
+        var known = membership.findMemberByAddress(host);
+        if (host !== ringpop.whoami() && (!known || !membership.isPingable(known))) {
+            candidates[host] = true;
+        }
+    }
+
+    return Object.keys(candidates);
+};
+
+PartitionHealer.prototype.getStats = function getStats() {
+    return {
+        partitionsDetected: this.numPartitionsDetected,
+        partitionsHealed: this.numPartitionsHealed
+    };
+};
+
+// Attempts to heal through a randomly selected candidate. The callback is
+// given the target, or null if there was nothing to heal.
+PartitionHealer.prototype.heal = function heal(callback) {
+    var self = this;
+
+    if (this.isHealing) {
+        process.nextTick(function onTick() {
+            callback(null, null);
+        });
+        return;
+    }
+
+    var candidates = this.getCandidates();
+    if (candidates.length === 0) {
+        process.nextTick(function onTick() {
+            callback(null, null);
+        });
+        return;
+    }
+
+    var target = candidates[Math.floor(Math.random() * candidates.length)];
+
+    this.isHealing = true;
+    this.ringpop.stat('increment', 'heal.attempt');
+    this.healWith(target, function onHeal(err) {
+        self.isHealing = false;
+
+        if (err) {
+            self.ringpop.stat('increment', 'heal.failed');
+            self.ringpop.logger.debug('ringpop partition heal failed', {
+                local: self.ringpop.whoami(),
+                target: target,
+                err: err
+            });
+            callback(err);
+            return;
+        }
+
+        callback(null, target);
+    });
+};
+
+PartitionHealer.prototype.healWith = function healWith(target, callback) {
+    var self = this;
+    var ringpop = this.ringpop;
+
+    this.sendHealJoin({
+        ringpop: ringpop,
+        target: target
+    }, function onJoin(err, res) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        var declarations = self._findReincarnations(res.members);
+        if (declarations.local.length > 0 || declarations.remote.length > 0) {
+            self._reincarnate(target, declarations, callback);
+        } else {
+            self._merge(target, res.members, callback);
+        }
+    });
+};
+
+PartitionHealer.prototype.start = function start() {
+    var self = this;
+
+    if (this.healTimer) {
+        return;
+    }
+
+    schedule();
+
+    function schedule() {
+        self.healTimer = self.setTimeout(function onTimeout() {
+            self.heal(function onHeal() {
+                if (self.healTimer) {
+                    schedule();
+                }
+            });
+        }, self.ringpop.config.get('partitionHealPeriod'));
+    }
+};
+
+PartitionHealer.prototype.stop = function stop() {
+    this.clearTimeout(this.healTimer);
+    this.healTimer = null;
+};
+
+// Finds the members one side considers faulty and the other pingable, at
+// an incarnation number that keeps the faulty declaration standing. Each
+// is to be declared suspect on the side that considers it pingable.
+PartitionHealer.prototype._findReincarnations = function _findReincarnations(remoteMembers) {
+    var ringpop = this.ringpop;
+    var declarations = {
+        local: [],
+        remote: []
+    };
+
+    for (var i = 0; i < remoteMembers.length; i++) {
+        var remote = remoteMembers[i];
+        var local = ringpop.membership.findMemberByAddress(remote.address);
+        if (!local) {
+            continue;
+        }
+
+        if (remote.status === Member.Status.faulty && isUp(local.status) &&
+                remote.incarnationNumber >= local.incarnationNumber) {
+            declarations.local.push(createSuspect(local.address,
+                local.incarnationNumber));
+        } else if (local.status === Member.Status.faulty && isUp(remote.status) &&
+                local.incarnationNumber >= remote.incarnationNumber) {
+            declarations.remote.push(createSuspect(remote.address,
+                remote.incarnationNumber));
+        }
+    }
+
+    return declarations;
+
+    function createSuspect(address, incarnationNumber) {
+        return new Update(address, incarnationNumber, Member.Status.suspect,
+            ringpop.membership.localMember);
+    }
+
+    function isUp(status) {
+        return status === Member.Status.alive || status === Member.Status.suspect;
+    }
+};
+
+PartitionHealer.prototype._merge = function _merge(target, remoteMembers, callback) {
+    var self = this;
+    var ringpop = this.ringpop;
+
+    var wasPingable = this._isPingable(target);
+    ringpop.membership.update(remoteMembers);
+
+    this.sendHealPing({
+        ringpop: ringpop,
+        target: target,
+        changes: ringpop.dissemination.fullSync()
+    }, function onPing(err) {
+        if (err) {
+            callback(err);
+            return;
+        }
+
+        if (!wasPingable && self._isPingable(target)) {
+            self.numPartitionsHealed++;
+            ringpop.stat('increment', 'heal.partition.healed');
+            ringpop.logger.info('ringpop healed partition', {
+                local: ringpop.whoami(),
+                target: target
+            });
+            ringpop.emit('partitionHealed', {
+                target: target
+            });
+        }
+
+        callback(null);
+    });
+};
+
+PartitionHealer.prototype._isPingable = function _isPingable(address) {
+    var member = this.ringpop.membership.findMemberByAddress(address);
+    return !!member && this.ringpop.membership.isPingable(member);
+};
+
+PartitionHealer.prototype._reincarnate = function _reincarnate(target, declarations, callback) {
+    var ringpop = this.ringpop;
+
+    this.numPartitionsDetected++;
+    ringpop.stat('increment', 'heal.partition.detected');
+    ringpop.logger.info('ringpop detected partition', {
+        local: ringpop.whoami(),
+        target: target,
+        numLocalReincarnations: declarations.local.length,
+        numRemoteReincarnations: declarations.remote.length
+    });
+    ringpop.emit('partitionDetected', {
+        target: target,
+        localReincarnations: declarations.local.map(getAddress),
+        remoteReincarnations: declarations.remote.map(getAddress)
+    });
+
+    ringpop.membership.update(declarations.local);
+
+    if (declarations.remote.length === 0) {
+        process.nextTick(function onTick() {
+            callback(null);
+        });
+        return;
+    }
+
+    this.sendHealPing({
+        ringpop: ringpop,
+        target: target,
+        changes: declarations.remote
+    }, callback);
+
+    function getAddress(change) {
+        return change.address;
+    }
+};
+
+module.exports = PartitionHealer;
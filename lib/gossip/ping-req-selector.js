@@ -0,0 +1,125 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var _ = require('underscore');
+var captureHost = require('../util.js').captureHost;
+
+// Selects the members asked to ping-req an unreachable member. By default,
+// they are selected at random. In adaptive mode, members in failure domains
+// other than those of the local and unreachable members, and of each other,
+// are preferred, as are members that were recently probed successfully.
+// That way, a single bad zone or subnet is less likely to make a healthy
+// member look unreachable. A failure domain is a member's zone, or its /24
+// subnet if it advertises none.
+function PingReqSelector(opts) {
+    this.ringpop = opts.ringpop;
+    this.Date = opts.Date || Date;
+
+    this.probeSuccesses = {}; // address -> timestamp of last success
+}
+
+PingReqSelector.Modes = {
+    adaptive: 'adaptive',
+    random: 'random'
+};
+
+PingReqSelector.prototype.getStats = function getStats() {
+    return {
+        mode: this.ringpop.config.get('pingReqSelection'),
+        numRecentProbeSuccesses: this._expireProbeSuccesses()
+    };
+};
+
+PingReqSelector.prototype.onProbeSuccess = function onProbeSuccess(address) {
+    this.probeSuccesses[address] = this.Date.now();
+};
+
+PingReqSelector.prototype.select = function select(n, unreachableMember) {
+    var membership = this.ringpop.membership;
+
+    if (this.ringpop.config.get('pingReqSelection') !== PingReqSelector.Modes.adaptive) {
+        return membership.getRandomPingableMembers(n, [unreachableMember.address]);
+    }
+
+    this._expireProbeSuccesses();
+
+    var self = this;
+    var candidates = _.shuffle(membership.members.filter(function filter(member) {
+        return member.address !== unreachableMember.address &&
+            membership.isPingable(member);
+    }));
+
+    // Recently successful members first, the order is random otherwise.
+    candidates = _.sortBy(candidates, function sortBy(member) {
+        return self.probeSuccesses[member.address] ? 0 : 1;
+    });
+
+    var usedDomains = {};
+    usedDomains[getFailureDomain(membership.localMember || {
+        address: this.ringpop.whoami()
+    })] = true;
+    usedDomains[getFailureDomain(unreachableMember)] = true;
+
+    var selected = [];
+    var passedOver = [];
+
+    for (var i = 0; i < candidates.length && selected.length < n; i++) {
+        var domain = getFailureDomain(candidates[i]);
+        if (usedDomains[domain]) {
+            passedOver.push(candidates[i]);
+        } else {
+            usedDomains[domain] = true;
+            selected.push(candidates[i]);
+        }
+    }
+
+    // Too few failure domains to go around; settle for the best of the rest.
+    return selected.concat(passedOver.slice(0, n - selected.length));
+};
+
+// Returns the number of probe successes left.
+PingReqSelector.prototype._expireProbeSuccesses = function _expireProbeSuccesses() {
+    var window = this.ringpop.config.get('pingReqProbeSuccessWindow');
+    var now = this.Date.now();
+    var numLeft = 0;
+
+    var addresses = Object.keys(this.probeSuccesses);
+    for (var i = 0; i < addresses.length; i++) {
+        if (now - this.probeSuccesses[addresses[i]] > window) {
+            delete this.probeSuccesses[addresses[i]];
+        } else {
+            numLeft++;
+        }
+    }
+
+    return numLeft;
+};
+
+function getFailureDomain(member) {
+    if (typeof member.zone === 'string') {
+        return 'zone:' + member.zone;
+    }
+
+    var host = captureHost(member.address) || member.address;
+    return 'subnet:' + host.split('.').slice(0, 3).join('.');
+}
+
+module.exports = PingReqSelector;
@@ -20,6 +20,7 @@
 'use strict';
 
 var safeParse = require('../util').safeParse;
+var signRequest = require('../auth.js').signRequest;
 var TypedError = require('error/typed');
 
 var BadPingReqPingStatusError = TypedError({
@@ -59,9 +60,10 @@ function PingReqSender(ring, member, target, callback) {
 PingReqSender.prototype.send = function send() {
     var self = this;
 
+    var timeout = this.ring.localHealth.scaleTimeout(this.ring.pingReqTimeout);
     var channelOpts = {
         host: this.member.address,
-        timeout: this.ring.pingReqTimeout,
+        timeout: timeout,
         serviceName: 'ringpop',
         hasNoParent: true,
         trace: false,
@@ -74,10 +76,12 @@ PingReqSender.prototype.send = function send() {
 
     var body = JSON.stringify({
         checksum: this.ring.membership.checksum,
-        changes: this.ring.dissemination.issueAsSender(),
+        changes: this.ring.dissemination.issueAsSender(this.member.address),
         source: this.ring.whoami(),
         sourceIncarnationNumber: this.ring.membership.getIncarnationNumber(),
-        target: this.target.address
+        target: this.target.address,
+        // Lets the ping-req member nack before the request times out.
+        timeout: timeout
     });
 
     this.ring.channel
@@ -93,7 +97,8 @@ PingReqSender.prototype.send = function send() {
 
         self.ring.channel
             .request(channelOpts)
-            .send('/protocol/ping-req', null, body, onSend);
+            .send('/protocol/ping-req', signRequest(self.ring, '/protocol/ping-req', body),
+                body, onSend);
     }
 
     function onSend(err, res, arg2, arg3) {
@@ -106,6 +111,7 @@ PingReqSender.prototype.send = function send() {
 
 PingReqSender.prototype.onPingReq = function (err, res1, res2) {
     if (err) {
+        this.ring.dissemination.requeueIssued(this.member.address);
         this.ring.logger.warn('bad response to ping-req', {
             address: this.member.address,
             error: err
@@ -119,6 +125,7 @@ PingReqSender.prototype.onPingReq = function (err, res1, res2) {
     var res2Str = res2.toString();
     var bodyObj = safeParse(res2Str);
     if (! bodyObj || !bodyObj.changes || bodyObj.pingStatus === 'undefined') {
+        this.ring.dissemination.requeueIssued(this.member.address);
         this.ring.logger.warn('bad response body in ping-req', {
             address: this.member.address
         });
@@ -130,9 +137,14 @@ PingReqSender.prototype.onPingReq = function (err, res1, res2) {
         return;
     }
 
+    this.ring.dissemination.acknowledgeIssued(this.member.address);
     this.ring.membership.update(bodyObj.changes);
     this.ring.debugLog('ping-req recv peer=' + this.member.address + ' target=' + this.target.address + ' isOk=' + bodyObj.pingStatus);
 
+    if (bodyObj.nack) {
+        this.ring.stat('increment', 'ping-req.nack.recv');
+    }
+
     if (!bodyObj.pingStatus) {
         this.callback(BadPingReqPingStatusError({
             selected: this.member.address,
@@ -148,11 +160,12 @@ PingReqSender.prototype.onPingReq = function (err, res1, res2) {
 module.exports = function sendPingReq(opts, callback) {
     var ringpop = opts.ringpop;
     var unreachableMember = opts.unreachableMember;
-    var pingReqSize = opts.pingReqSize;
+    var pingReqSize = typeof opts.pingReqSize === 'number' ?
+        opts.pingReqSize : ringpop.config.get('pingReqSize');
 
     ringpop.stat('increment', 'ping-req.send');
 
-    var pingReqMembers = randomMembers();
+    var pingReqMembers = selectMembers();
     var addrs = pingReqAddrs(pingReqMembers);
     var errors = [];
 
@@ -160,6 +173,7 @@ module.exports = function sendPingReq(opts, callback) {
 
     // allow 2-node cluster to work by short cutting directly to suspect
     if (pingReqMembers.length === 0) {
+        ringpop.localHealth.onProbeFailure();
         ringpop.membership.makeSuspect(
             unreachableMember.address,
             unreachableMember.incarnationNumber);
@@ -204,6 +218,7 @@ module.exports = function sendPingReq(opts, callback) {
             // through implicit exchange of membership updates on
             // ping-req requests and responses.
             if (!err) {
+                ringpop.pingReqSelector.onProbeSuccess(pingReqMember.address);
                 ringpop.logger.debug('ringpop ping-req determined member is reachable', {
                     local: ringpop.whoami(),
                     errors: errors,
@@ -236,16 +251,28 @@ module.exports = function sendPingReq(opts, callback) {
             // chosen ping-req member that also could not reach that
             // member. If all errors are of that type, then make the
             // unreachable member a suspect.
+            //
+            // Those valid responses are nacks. Ping-req members that did
+            // not respond at all count against the local member's health
+            // instead.
             var numPingReqStatusErrs = 0;
+            var numMissedNacks = 0;
 
             for (var i = 0; i < errors.length; i++) {
                 var error = errors[i];
 
                 if (error.type === 'ringpop.ping-req.bad-ping-status') {
                     numPingReqStatusErrs++;
+                } else if (error.type === 'ringpop.ping-req.ping') {
+                    numMissedNacks++;
                 }
             }
 
+            if (numMissedNacks > 0) {
+                ringpop.stat('increment', 'ping-req.nack.missed', numMissedNacks);
+                ringpop.localHealth.onMissedNacks(numMissedNacks);
+            }
+
             if (numPingReqStatusErrs > 0) {
                 ringpop.logger.warn('ringpop ping-req determined member is unreachable', {
                     local: ringpop.whoami(),
@@ -290,8 +317,7 @@ module.exports = function sendPingReq(opts, callback) {
         });
     }
 
-    function randomMembers() {
-        return ringpop.membership.getRandomPingableMembers(
-            pingReqSize, [unreachableMember.address]);
+    function selectMembers() {
+        return ringpop.pingReqSelector.select(pingReqSize, unreachableMember);
     }
 };
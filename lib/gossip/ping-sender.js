@@ -20,28 +20,116 @@
 'use strict';
 
 var safeParse = require('../util').safeParse;
+var signRequest = require('../auth.js').signRequest;
 
-function PingSender(ring, member, callback) {
+// A full-sync ping carries the entire membership list instead of the
+// changes that are up for dissemination.
+function PingSender(ring, member, callback, isFullSync) {
     this.ring = ring;
     this.address = member.address || member;
     this.callback = callback;
+    this.isFullSync = !!isFullSync;
+    this.isDeltaSync = false;
 }
 
 PingSender.prototype.onPing = function onPing(err, res1, res2) {
     if (err) {
         this.ring.debugLog('ping failed member=' + this.address + ' err=' + err.message, 'p');
+        this.onIssued(false);
         return this.doCallback(false);
     }
 
     var bodyObj = safeParse(res2.toString());
     if (bodyObj && bodyObj.changes) {
+        this.onIssued(true);
         this.ring.membership.update(bodyObj.changes);
+
+        if (bodyObj.isFullSync) {
+            this.onFullSync(bodyObj.checksum);
+        } else if (this.isDeltaSync && bodyObj.changes.length === 0) {
+            this.onChecksum(bodyObj.checksum);
+        }
+
         return this.doCallback(true, bodyObj);
     }
     this.ring.logger.warn('ping failed member=' + this.address + ' bad response body=' + res2.toString());
+    this.onIssued(false);
     return this.doCallback(false);
 };
 
+// The member that was pinged has sent its entire membership list. If
+// the checksums still differ after applying it, this member knows of
+// changes the other does not, and replies with its own membership list.
+// Both then converge within a single round trip instead of waiting for
+// the other member to ping this one.
+PingSender.prototype.onFullSync = function onFullSync(checksum) {
+    var self = this;
+
+    this.ring.stat('increment', 'full-sync.recv');
+
+    if (typeof checksum !== 'number' ||
+            checksum === this.ring.membership.checksum) {
+        return;
+    }
+
+    this.ring.stat('increment', 'full-sync.reply');
+    this.ring.logger.info('ringpop replying to full sync with full sync', {
+        local: this.ring.whoami(),
+        localChecksum: this.ring.membership.checksum,
+        dest: this.address,
+        destChecksum: checksum
+    });
+
+    var sender = new PingSender(this.ring, this.address, onReply, true);
+    sender.send();
+
+    function onReply(isOk) {
+        if (!isOk) {
+            self.ring.logger.warn('ringpop full sync reply failed', {
+                local: self.ring.whoami(),
+                dest: self.address
+            });
+        }
+    }
+};
+
+// The member that was pinged was asked not to answer with a full-sync. If
+// it had no changes for this member and the checksums still differ, the
+// two are brought in step through a delta sync instead. Should that fail,
+// this member falls back to a full-sync.
+PingSender.prototype.onChecksum = function onChecksum(checksum) {
+    var self = this;
+
+    if (typeof checksum !== 'number' ||
+            checksum === this.ring.membership.checksum) {
+        return;
+    }
+
+    this.ring.deltaSync.sync(this.address, function onSync(err) {
+        if (!err) {
+            return;
+        }
+
+        self.ring.stat('increment', 'full-sync.fallback');
+
+        var sender = new PingSender(self.ring, self.address, null, true);
+        sender.send();
+    });
+};
+
+PingSender.prototype.onIssued = function onIssued(isOk) {
+    // Full-syncs do not issue changes up for dissemination.
+    if (this.isFullSync) {
+        return;
+    }
+
+    if (isOk) {
+        this.ring.dissemination.acknowledgeIssued(this.address);
+    } else {
+        this.ring.dissemination.requeueIssued(this.address);
+    }
+};
+
 // make sure that callback doesn't get run twice
 PingSender.prototype.doCallback = function doCallback(isOk, bodyObj) {
     bodyObj = bodyObj || {};
@@ -57,7 +145,7 @@ PingSender.prototype.doCallback = function doCallback(isOk, bodyObj) {
 PingSender.prototype.send = function send() {
     var options = {
         host: this.address,
-        timeout: this.ring.pingTimeout,
+        timeout: this.ring.localHealth.scaleTimeout(this.ring.pingTimeout),
         serviceName: 'ringpop',
         hasNoParent: true,
         trace: false,
@@ -67,10 +155,15 @@ PingSender.prototype.send = function send() {
             'cn': 'ringpop'
         }
     };
-    var changes = this.ring.dissemination.issueAsSender();
+    var changes = this.isFullSync ? this.ring.dissemination.fullSync() :
+        this.ring.dissemination.issueAsSender(this.address);
+    this.isDeltaSync = !this.isFullSync &&
+        this.ring.deltaSync.isEnabledFor(this.address);
     var body = JSON.stringify({
         checksum: this.ring.membership.checksum,
         changes: changes,
+        deltaSync: this.isDeltaSync,
+        isFullSync: this.isFullSync,
         source: this.ring.whoami(),
         sourceIncarnationNumber: this.ring.membership.getIncarnationNumber()
     });
@@ -90,7 +183,7 @@ PingSender.prototype.send = function send() {
 
         self.ring.channel
             .request(options)
-            .send('/protocol/ping', null, body, function(err, res, arg2, arg3) {
+            .send('/protocol/ping', signRequest(self.ring, '/protocol/ping', body), body, function(err, res, arg2, arg3) {
                 if (!err && !res.ok) {
                     err = new Error(String(arg3));
                 }
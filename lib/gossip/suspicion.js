@@ -19,6 +19,17 @@
 // THE SOFTWARE.
 'use strict';
 
+// Suspect periods start out long and shrink as other members independently
+// confirm the suspicion, as described by Lifeguard. The period for a suspect
+// with c confirmations out of k expected ones is:
+//
+//     max(min, max - (max - min) * log(c + 1) / log(k + 1))
+//
+// where min is the configured suspicion timeout and max is min times the
+// suspicionMaxTimeoutMultiplier config, which is 1, and so turns this off,
+// unless set otherwise. Isolated, and possibly false,
+// suspicions thereby get more time to be refuted while real failures that
+// many members notice are detected in as little as min.
 function Suspicion(options) {
     this.ringpop = options.ringpop;
     this.period = options.suspicionTimeout ||
@@ -26,8 +37,57 @@ function Suspicion(options) {
 
     this.isStoppedAll = null;
     this.timers = {};
+    this.suspects = {};
 }
 
+// Counts a suspect update from another member than the ones already known
+// to suspect the member towards shortening its suspect period. Returns true
+// if the period was shortened.
+Suspicion.prototype.confirm = function confirm(update) {
+    var suspect = this.suspects[update.address];
+    if (!suspect || !update.source || suspect.sources[update.source] ||
+            update.incarnationNumber !== suspect.incarnationNumber) {
+        return false;
+    }
+
+    suspect.sources[update.source] = true;
+    suspect.numConfirmations++;
+    this.ringpop.stat('increment', 'suspicion.confirmation');
+
+    if (suspect.numConfirmations > suspect.numExpectedConfirmations) {
+        return false;
+    }
+
+    var timeout = this.computeTimeout(suspect.numConfirmations,
+        suspect.numExpectedConfirmations);
+    var remaining = Math.max(timeout - (Date.now() - suspect.startTime), 0);
+
+    clearTimeout(this.timers[update.address]);
+    this.timers[update.address] = this._setFaultyTimer(suspect, remaining);
+
+    this.ringpop.logger.debug('confirmed suspect', {
+        local: this.ringpop.whoami(),
+        suspect: update.address,
+        source: update.source,
+        numConfirmations: suspect.numConfirmations,
+        timeout: timeout
+    });
+    return true;
+};
+
+Suspicion.prototype.computeTimeout = function computeTimeout(numConfirmations, numExpectedConfirmations) {
+    var min = this.period;
+    var max = min * this.ringpop.config.get('suspicionMaxTimeoutMultiplier');
+
+    if (numExpectedConfirmations < 1 || max <= min) {
+        return min;
+    }
+
+    var frac = Math.log(numConfirmations + 1) /
+        Math.log(numExpectedConfirmations + 1);
+    return Math.max(min, Math.floor(max - frac * (max - min)));
+};
+
 Suspicion.prototype.reenable = function reenable() {
     if (this.isStoppedAll !== true) {
         this.ringpop.logger.warn('cannot reenable suspicion protocol because it was never disabled', {
@@ -63,11 +123,23 @@ Suspicion.prototype.start = function start(member) {
         this.stop(member);
     }
 
-    var self = this;
-    this.timers[member.address] = setTimeout(function() {
-        self.ringpop.membership.makeFaulty(member.address,
-            member.incarnationNumber);
-    }, self.period);
+    var suspect = {
+        address: member.address,
+        incarnationNumber: member.incarnationNumber,
+        numConfirmations: 0,
+        numExpectedConfirmations: this._computeExpectedConfirmations(member),
+        sources: {},
+        startTime: Date.now()
+    };
+
+    // The member that started the suspicion does not confirm it.
+    if (member.source) {
+        suspect.sources[member.source] = true;
+    }
+
+    this.suspects[member.address] = suspect;
+    this.timers[member.address] = this._setFaultyTimer(suspect,
+        this.computeTimeout(0, suspect.numExpectedConfirmations));
 
     this.ringpop.logger.debug('started suspect period', {
         local: this.ringpop.whoami(),
@@ -78,6 +150,7 @@ Suspicion.prototype.start = function start(member) {
 Suspicion.prototype.stop = function stop(member) {
     clearTimeout(this.timers[member.address]);
     delete this.timers[member.address];
+    delete this.suspects[member.address];
 
     this.ringpop.logger.debug('stopped members suspect timer', {
         local: this.ringpop.whoami(),
@@ -87,6 +160,7 @@ Suspicion.prototype.stop = function stop(member) {
 
 Suspicion.prototype.stopAll = function stopAll() {
     this.isStoppedAll = true;
+    this.suspects = {};
 
     var timerKeys = Object.keys(this.timers);
 
@@ -108,6 +182,28 @@ Suspicion.prototype.stopAll = function stopAll() {
     });
 };
 
+// As many confirmations are expected as configured, unless there are too
+// few other members to provide them.
+Suspicion.prototype._computeExpectedConfirmations = function _computeExpectedConfirmations(member) {
+    var membership = this.ringpop.membership;
+    var numExpected = this.ringpop.config.get('suspicionConfirmations');
+    var numOthers = membership.members.filter(function filter(other) {
+        return other.address !== member.address && membership.isPingable(other);
+    }).length;
+
+    return numOthers < numExpected ? 0 : numExpected;
+};
+
+Suspicion.prototype._setFaultyTimer = function _setFaultyTimer(suspect, timeout) {
+    var self = this;
+
+    return this.ringpop.setTimeout(function onTimeout() {
+        delete self.suspects[suspect.address];
+        self.ringpop.membership.makeFaulty(suspect.address,
+            suspect.incarnationNumber);
+    }, timeout);
+};
+
 Suspicion.Defaults = {
     suspicionTimeout: 5000
 };
@@ -0,0 +1,137 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var safeParse = require('../util').safeParse;
+var signRequest = require('../auth.js').signRequest;
+var TypedError = require('error/typed');
+
+var BadSyncRespBodyError = TypedError({
+    type: 'ringpop.sync.bad-resp-body',
+    message: 'Bad response from sync: {body}',
+    target: null,
+    body: null
+});
+
+var SyncError = TypedError({
+    type: 'ringpop.sync.error',
+    message: 'An error occurred on sync: {errMessage}',
+    target: null,
+    errMessage: null
+});
+
+var SyncUnsupportedError = TypedError({
+    type: 'ringpop.sync.unsupported',
+    message: 'Sync is not supported by {target}: {errMessage}',
+    target: null,
+    errMessage: null
+});
+
+// Members that predate delta syncs have no handler for /protocol/sync, in
+// which case TChannel answers with a bad request error frame.
+function isNoHandlerError(err) {
+    return err.type === 'tchannel.bad-request' || err.codeName === 'BadRequest';
+}
+
+// Sends one round of a delta sync to target. A round either compares
+// subtree hashes, in which case the response lists the differing ones,
+// or exchanges the members of differing leaves, in which case the
+// response carries the target's members in those leaves as changes.
+function sendSync(opts, callback) {
+    var ringpop = opts.ringpop;
+    var target = opts.target;
+
+    ringpop.stat('increment', 'sync.send');
+
+    var channelOpts = {
+        host: target,
+        timeout: ringpop.pingReqTimeout,
+        serviceName: 'ringpop',
+        hasNoParent: true,
+        trace: false,
+        retryLimit: 1,
+        headers: {
+            'as': 'raw',
+            'cn': 'ringpop'
+        }
+    };
+
+    var body = opts.body;
+    body.source = ringpop.whoami();
+    body = JSON.stringify(body);
+
+    ringpop.channel.waitForIdentified({
+        host: target
+    }, function onIdentified(err) {
+        if (err) {
+            onSync(err);
+            return;
+        }
+
+        ringpop.channel
+            .request(channelOpts)
+            .send('/protocol/sync', signRequest(ringpop, '/protocol/sync', body),
+                body, onSend);
+    });
+
+    function onSend(err, res, arg2, arg3) {
+        if (!err && !res.ok) {
+            err = new Error(String(arg3));
+        }
+
+        onSync(err, arg3);
+    }
+
+    function onSync(err, res) {
+        if (err && isNoHandlerError(err)) {
+            callback(SyncUnsupportedError({
+                target: target,
+                errMessage: err.message
+            }));
+            return;
+        }
+
+        if (err) {
+            callback(SyncError({
+                target: target,
+                errMessage: err.message
+            }));
+            return;
+        }
+
+        var resStr = String(res);
+        var resBody = safeParse(resStr);
+        if (!resBody || !(Array.isArray(resBody.differing) ||
+                Array.isArray(resBody.changes))) {
+            callback(BadSyncRespBodyError({
+                target: target,
+                body: resStr
+            }));
+            return;
+        }
+
+        callback(null, resBody);
+    }
+}
+
+module.exports = sendSync;
+module.exports.BadSyncRespBodyError = BadSyncRespBodyError;
+module.exports.SyncError = SyncError;
+module.exports.SyncUnsupportedError = SyncUnsupportedError;
@@ -0,0 +1,68 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var farmhash = require('farmhash');
+
+var HASH_SPACE = 4294967296; // 2^32
+
+// Checksums can be computed in one of two modes. Members of a cluster must
+// agree on the mode for their checksums to be comparable:
+//
+//   - legacy: a hash of the sorted entries joined together. Re-hashes every
+//     entry on every change. Understood by all versions of Ringpop.
+//   - incremental: the sum, modulo 2^32, of the hashes of the entries. Only
+//     entries that change are re-hashed.
+var Modes = {
+    incremental: 'incremental',
+    legacy: 'legacy'
+};
+
+// Maintains the incremental checksum of a set of keyed entries.
+function IncrementalChecksum(hashFunc) {
+    this.hashFunc = hashFunc || farmhash.hash32;
+    this.hashes = {};
+    this.sum = 0;
+}
+
+IncrementalChecksum.prototype.remove = function remove(key) {
+    if (!this.hashes.hasOwnProperty(key)) {
+        return;
+    }
+
+    this.sum = (this.sum - this.hashes[key] + HASH_SPACE) % HASH_SPACE;
+    delete this.hashes[key];
+};
+
+IncrementalChecksum.prototype.set = function set(key, str) {
+    this.remove(key);
+
+    var hash = this.hashFunc(str) >>> 0;
+    this.hashes[key] = hash;
+    this.sum = (this.sum + hash) % HASH_SPACE;
+};
+
+IncrementalChecksum.prototype.value = function value() {
+    return this.sum;
+};
+
+IncrementalChecksum.Modes = Modes;
+
+module.exports = IncrementalChecksum;
@@ -27,6 +27,118 @@ function LocalMemberLeaveEvent(member, oldStatus) {
 
 LocalMemberLeaveEvent.Name = 'localMemberLeave';
 
+// The local member refutes updates that declare it suspect, faulty or a
+// tombstone by reasserting that it is alive.
+function LocalMemberRefuteEvent(member, refutedStatus) {
+    this.name = LocalMemberRefuteEvent.Name;
+    this.member = member;
+    this.refutedStatus = refutedStatus;
+}
+
+LocalMemberRefuteEvent.Name = 'localMemberRefute';
+
+// Member events describe a change of a member's status as applied to the
+// membership list. oldStatus is null for members that were not known
+// before the update.
+function MemberJoinedEvent(update, oldStatus) {
+    initMemberEvent(this, MemberJoinedEvent.Name, update, oldStatus);
+}
+
+MemberJoinedEvent.Name = 'memberJoined';
+
+function MemberSuspectedEvent(update, oldStatus) {
+    initMemberEvent(this, MemberSuspectedEvent.Name, update, oldStatus);
+}
+
+MemberSuspectedEvent.Name = 'memberSuspected';
+
+function MemberFaultyEvent(update, oldStatus) {
+    initMemberEvent(this, MemberFaultyEvent.Name, update, oldStatus);
+}
+
+MemberFaultyEvent.Name = 'memberFaulty';
+
+function MemberLeftEvent(update, oldStatus) {
+    initMemberEvent(this, MemberLeftEvent.Name, update, oldStatus);
+}
+
+MemberLeftEvent.Name = 'memberLeft';
+
+function MemberRecoveredEvent(update, oldStatus) {
+    initMemberEvent(this, MemberRecoveredEvent.Name, update, oldStatus);
+}
+
+MemberRecoveredEvent.Name = 'memberRecovered';
+
+// Damped members are out of the ring until they come back, undamped, as
+// alive or suspect.
+function MemberDampedEvent(update, oldStatus) {
+    initMemberEvent(this, MemberDampedEvent.Name, update, oldStatus);
+}
+
+MemberDampedEvent.Name = 'memberDamped';
+
+function MemberUndampedEvent(update, oldStatus) {
+    initMemberEvent(this, MemberUndampedEvent.Name, update, oldStatus);
+}
+
+MemberUndampedEvent.Name = 'memberUndamped';
+
+function initMemberEvent(event, name, update, oldStatus) {
+    event.name = name;
+    event.address = update.address;
+    event.oldStatus = oldStatus || null;
+    event.newStatus = update.status;
+    event.incarnationNumber = update.incarnationNumber;
+    event.source = update.source;
+}
+
+// Returns the member event for an applied update or null if the update
+// did not change the member's status, e.g. a refuted suspicion that
+// only bumped the incarnation number of an alive member.
+function createMemberEvent(update, oldStatus) {
+    // Required here rather than at the top; member.js requires this module.
+    var Status = require('./member.js').Status;
+
+    if (update.status === oldStatus) {
+        return null;
+    }
+
+    if (oldStatus === Status.damped &&
+            (update.status === Status.alive || update.status === Status.suspect)) {
+        return new MemberUndampedEvent(update, oldStatus);
+    }
+
+    switch (update.status) {
+        case Status.alive:
+            if (oldStatus === Status.suspect || oldStatus === Status.faulty) {
+                return new MemberRecoveredEvent(update, oldStatus);
+            }
+
+            // New members and members that come back after leaving.
+            return new MemberJoinedEvent(update, oldStatus);
+        case Status.suspect:
+            return new MemberSuspectedEvent(update, oldStatus);
+        case Status.faulty:
+            return new MemberFaultyEvent(update, oldStatus);
+        case Status.leave:
+            return new MemberLeftEvent(update, oldStatus);
+        case Status.damped:
+            return new MemberDampedEvent(update, oldStatus);
+        default:
+            return null;
+    }
+}
+
 module.exports = {
-    LocalMemberLeaveEvent: LocalMemberLeaveEvent
+    createMemberEvent: createMemberEvent,
+    LocalMemberLeaveEvent: LocalMemberLeaveEvent,
+    LocalMemberRefuteEvent: LocalMemberRefuteEvent,
+    MemberDampedEvent: MemberDampedEvent,
+    MemberFaultyEvent: MemberFaultyEvent,
+    MemberJoinedEvent: MemberJoinedEvent,
+    MemberLeftEvent: MemberLeftEvent,
+    MemberRecoveredEvent: MemberRecoveredEvent,
+    MemberSuspectedEvent: MemberSuspectedEvent,
+    MemberUndampedEvent: MemberUndampedEvent
 };
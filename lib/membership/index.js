@@ -22,7 +22,10 @@
 var _ = require('underscore');
 var EventEmitter = require('events').EventEmitter;
 var farmhash = require('farmhash');
+var IncrementalChecksum = require('../incremental-checksum.js');
 var Member = require('./member.js');
+var MembershipEvents = require('./events.js');
+var MerkleTree = require('./merkle.js');
 var mergeMembershipChangesets = require('./merge.js');
 var timers = require('timers');
 var update = require('./update.js');
@@ -39,8 +42,15 @@ function Membership(opts) {
     this.members = [];
     this.membersByAddress = {};
     this.checksum = null;
+    this.incrementalChecksum = new IncrementalChecksum(farmhash.hash32);
     this.stashedUpdates = [];
     this.decayTimer = null;
+    this.reapTimer = null;
+    this.merkleTrees = {}; // by depth, dropped whenever membership changes
+
+    // Reaped members are remembered for a while so that stale gossip
+    // about them is not mistaken for news of new members.
+    this.reapedMembers = {};
 }
 
 util.inherits(Membership, EventEmitter);
@@ -57,12 +67,22 @@ Membership.prototype.computeChecksum = function computeChecksum() {
      *    localhost:3000alive1414142122274;localhost:3001alive1414142122275
      *
      * The member fields that are part of the checksum string are: address, status and
-     * incarnation number.
+     * incarnation number. Tombstones are left out so that members that have
+     * reaped a tombstone agree with those that have yet to.
+     *
+     * In incremental mode, the checksum is instead the sum of the farmhashes of
+     * each member's checksum string, maintained as members change.
      */
     var start = new Date();
 
+    this.merkleTrees = {};
+
     var prevChecksum = this.checksum;
-    this.checksum = farmhash.hash32(this.generateChecksumString());
+    if (this.ringpop.config.get('checksumMode') === IncrementalChecksum.Modes.incremental) {
+        this.checksum = this.incrementalChecksum.value();
+    } else {
+        this.checksum = farmhash.hash32(this.generateChecksumString());
+    }
 
     this.emit('checksumComputed');
     this.ringpop.stat('timing', 'compute-checksum', start);
@@ -112,16 +132,28 @@ Membership.prototype.generateChecksumString = function generateChecksumString()
     var checksumString = '';
 
     for (var i = 0; i < sortedMembers.length; ++i) {
-        var member = sortedMembers[i];
+        if (sortedMembers[i].status === Member.Status.tombstone) {
+            continue;
+        }
 
-        checksumString += member.address +
-            member.status +
-            member.incarnationNumber + ';';
+        checksumString += sortedMembers[i].getChecksumString() + ';';
     }
 
     return checksumString.slice(0, -1);
 };
 
+// Finds the members that match all of the given criteria:
+//
+//   - labels: an object of labels that members must carry, with the same
+//     values.
+Membership.prototype.findMembers = function findMembers(criteria) {
+    var labels = criteria && criteria.labels;
+
+    return this.members.filter(function filter(member) {
+        return !labels || member.hasLabels(labels);
+    });
+};
+
 Membership.prototype.getIncarnationNumber = function getIncarnationNumber() {
     return this.localMember && this.localMember.incarnationNumber;
 };
@@ -130,6 +162,22 @@ Membership.prototype.getJoinPosition = function getJoinPosition() {
     return Math.floor(Math.random() * (this.members.length - 0)) + 0;
 };
 
+// Tombstones are left out of the tree, as they are out of the checksum.
+Membership.prototype.getMerkleTree = function getMerkleTree(depth) {
+    if (!this.merkleTrees[depth]) {
+        this.merkleTrees[depth] = new MerkleTree(this.members.filter(isNotTombstone), {
+            depth: depth,
+            hashFunc: farmhash.hash32
+        });
+    }
+
+    return this.merkleTrees[depth];
+
+    function isNotTombstone(member) {
+        return member.status !== Member.Status.tombstone;
+    }
+};
+
 Membership.prototype.getMemberAt = function getMemberAt(index) {
     return this.members[index];
 };
@@ -176,11 +224,30 @@ Membership.prototype.isPingable = function isPingable(member) {
         member.status === 'suspect');
 };
 
-Membership.prototype.makeAlive = function makeAlive(address, incarnationNumber) {
+// `attributes` is optional and may carry any of the member's
+// `Member.Attributes`. Attributes that are omitted keep the value the
+// member is already known by.
+Membership.prototype.makeAlive = function makeAlive(address, incarnationNumber, attributes) {
     this.ringpop.stat('increment', 'make-alive');
     var isLocal = address === this.ringpop.whoami();
+    var update = new Update(address, incarnationNumber,
+        Member.Status.alive, this.localMember);
+
+    attributes = attributes || {};
+
+    Object.keys(Member.Attributes).forEach(function each(name) {
+        if (Member.hasAttribute(attributes, name)) {
+            update[name] = attributes[name];
+        }
+    });
+
+    return this._updateMember(update, isLocal);
+};
+
+Membership.prototype.makeDamped = function makeDamped(address, incarnationNumber) {
+    this.ringpop.stat('increment', 'make-damped');
     return this._updateMember(new Update(address, incarnationNumber,
-        Member.Status.alive, this.localMember), isLocal);
+        Member.Status.damped, this.localMember));
 };
 
 Membership.prototype.makeFaulty = function makeFaulty(address, incarnationNumber) {
@@ -201,6 +268,41 @@ Membership.prototype.makeSuspect = function makeSuspect(address, incarnationNumb
         Member.Status.suspect, this.localMember));
 };
 
+Membership.prototype.makeTombstone = function makeTombstone(address, incarnationNumber) {
+    this.ringpop.stat('increment', 'make-tombstone');
+    return this._updateMember(new Update(address, incarnationNumber,
+        Member.Status.tombstone, this.localMember));
+};
+
+// Removes a tombstone from the membership list. Unlike status changes,
+// reaping is not disseminated. Every member reaps the tombstones it has
+// heard of on its own.
+Membership.prototype.reap = function reap(address) {
+    var member = this.findMemberByAddress(address);
+    if (!member || member.status !== Member.Status.tombstone) {
+        return false;
+    }
+
+    this.members.splice(this.members.indexOf(member), 1);
+    delete this.membersByAddress[address];
+    this.incrementalChecksum.remove(address);
+    this.reapedMembers[address] = {
+        incarnationNumber: member.incarnationNumber,
+        timestamp: Date.now()
+    };
+
+    this.ringpop.stat('increment', 'membership.reaped');
+    this.ringpop.logger.debug('ringpop reaped member', {
+        local: this.ringpop.whoami(),
+        member: address,
+        incarnationNumber: member.incarnationNumber
+    });
+
+    this.computeChecksum();
+    this.emit('reaped', member);
+    return true;
+};
+
 // Sets stashed updates. set() is different from update() in that it bypasses
 // evaluating membership update rules and places new members at the end of the
 // membership list rather than in a random position as defined by
@@ -233,6 +335,7 @@ Membership.prototype.set = function set() {
         var member = this._createMember(update);
         this.members.push(member);
         this.membersByAddress[member.address] = member;
+        this._updateIncrementalChecksum(member);
     }
 
     this.stashedUpdates = null;
@@ -240,6 +343,15 @@ Membership.prototype.set = function set() {
     this.computeChecksum();
     this.emit('set', updates);
 
+    // Every member set is new, so each gets its member event, such as
+    // memberJoined, once the ring has been built from all of them.
+    for (var j = 0; j < updates.length; j++) {
+        var event = MembershipEvents.createMemberEvent(updates[j], null);
+        if (event) {
+            this.emit('event', event);
+        }
+    }
+
     function reduceUpdates(total, updates) {
         total += updates.length;
         return total;
@@ -268,6 +380,7 @@ Membership.prototype.update = function update(changes, isLocal) {
     // Not all changes will be applied.
     var self = this;
     var updates = [];
+    var events = [];
 
     for (var i = 0 ; i < changes.length; i++) {
         var change = changes[i];
@@ -275,6 +388,10 @@ Membership.prototype.update = function update(changes, isLocal) {
         var member = this.findMemberByAddress(change.address);
 
         if (!member) {
+            if (!this._isNewMember(change)) {
+                continue;
+            }
+
             member = this._createMember(change);
 
             // localMember is carried around as a convenience.
@@ -284,11 +401,12 @@ Membership.prototype.update = function update(changes, isLocal) {
 
             this.members.splice(this.getJoinPosition(), 0, member);
             this.membersByAddress[member.address] = member;
+            this._updateIncrementalChecksum(member);
 
             // Note that I am invoking the 'updated' event handler here. There
             // are two reasons for that. Firstly, what the handler does is
             // necessary here too. Secondly, it is convenient to reuse it.
-            onMemberUpdated(change);
+            onMemberUpdated(change, null);
 
             continue;
         }
@@ -299,7 +417,13 @@ Membership.prototype.update = function update(changes, isLocal) {
         // guaranteed if the update is determined to be invalid or
         // redundant.
         member.once('updated', onMemberUpdated);
-        member.evaluateUpdate(change);
+        if (member.evaluateUpdate(change)) {
+            this._updateIncrementalChecksum(member);
+        } else if (isSuspectConfirmation(member, change)) {
+            // Redundant as it is, another member suspecting the same
+            // incarnation of a suspect is of use to the suspicion protocol.
+            this.emit('suspectConfirmed', change);
+        }
         member.removeListener('updated', onMemberUpdated);
     }
 
@@ -308,9 +432,22 @@ Membership.prototype.update = function update(changes, isLocal) {
         this.emit('updated', updates);
     }
 
+    // Member events are emitted only once all updates have been applied
+    // so that listeners observe a membership list, and ring, consistent
+    // with them.
+    for (var j = 0; j < events.length; j++) {
+        this.emit('event', events[j]);
+    }
+
     return updates;
 
-    function onMemberUpdated(update) {
+    function isSuspectConfirmation(member, change) {
+        return change.status === Member.Status.suspect &&
+            member.status === Member.Status.suspect &&
+            change.incarnationNumber === member.incarnationNumber;
+    }
+
+    function onMemberUpdated(update, oldStatus) {
         if (update.source !== self.ringpop.whoami()) {
             self.ringpop.logger.debug('ringpop applied remote update', {
                 local: self.ringpop.whoami(),
@@ -320,6 +457,11 @@ Membership.prototype.update = function update(changes, isLocal) {
         }
 
         updates.push(update);
+
+        var event = MembershipEvents.createMemberEvent(update, oldStatus);
+        if (event) {
+            events.push(event);
+        }
     }
 };
 
@@ -327,6 +469,30 @@ Membership.prototype.shuffle = function shuffle() {
     this.members = _.shuffle(this.members);
 };
 
+Membership.prototype.startReaper = function startReaper() {
+    var self = this;
+
+    if (this.reapTimer) {
+        return;
+    }
+
+    schedule();
+
+    function schedule() {
+        self.reapTimer = self.setTimeout(function onTimeout() {
+            self._reapMembers();
+            schedule(); // loop until stopped
+        }, self.ringpop.config.get('reaperInterval'));
+    }
+};
+
+Membership.prototype.stopReaper = function stopReaper() {
+    if (this.reapTimer) {
+        this.clearTimeout(this.reapTimer);
+        this.reapTimer = null;
+    }
+};
+
 Membership.prototype.startDampScoreDecayer = function startDampScoreDecayer() {
     var self = this;
 
@@ -364,6 +530,7 @@ Membership.prototype._createMember = function _createMember(update) {
     var self = this;
 
     var member = new Member(this.ringpop, update);
+    member.lastStatusChangeTimestamp = Date.now();
     member.on('suppressLimitExceeded', onExceeded);
     return member;
 
@@ -382,7 +549,89 @@ Membership.prototype._decayMembersDampScore = function _decayMembersDampScore()
     }
 };
 
+// Tells whether a change about a member that is not in the membership list
+// introduces a new member. Changes about reaped members only do if they
+// declare them alive under a newer incarnation number; anything else is
+// stale gossip.
+Membership.prototype._isNewMember = function _isNewMember(change) {
+    var reaped = this.reapedMembers[change.address];
+
+    if (change.status === Member.Status.tombstone) {
+        return false;
+    }
+
+    if (!reaped) {
+        return true;
+    }
+
+    if (change.status === Member.Status.alive &&
+            change.incarnationNumber > reaped.incarnationNumber) {
+        delete this.reapedMembers[change.address];
+        return true;
+    }
+
+    this.ringpop.stat('increment', 'membership.reaped-update-ignored');
+    return false;
+};
+
+// Declares tombstones, if enabled, for members that have been faulty, or
+// have left, for longer than the tombstone period and reaps tombstones once
+// they have had time to be disseminated.
+Membership.prototype._reapMembers = function _reapMembers() {
+    var config = this.ringpop.config;
+    var isDeclaringTombstones = config.get('tombstonesEnabled');
+    var tombstonePeriod = config.get('tombstonePeriod');
+    var reapDelay = config.get('tombstoneReapDelay');
+    var now = Date.now();
+
+    var members = this.members.slice();
+    for (var i = 0; i < members.length; i++) {
+        var member = members[i];
+        var timeSince = now - member.lastStatusChangeTimestamp;
+
+        if (member.status === Member.Status.tombstone) {
+            if (timeSince >= reapDelay) {
+                this.reap(member.address);
+            }
+        } else if (isDeclaringTombstones &&
+                (member.status === Member.Status.faulty ||
+                member.status === Member.Status.leave) &&
+                timeSince >= tombstonePeriod) {
+            this.makeTombstone(member.address, member.incarnationNumber);
+        }
+    }
+
+    var reapedAddresses = Object.keys(this.reapedMembers);
+    for (var j = 0; j < reapedAddresses.length; j++) {
+        var reaped = this.reapedMembers[reapedAddresses[j]];
+        if (now - reaped.timestamp >= tombstonePeriod) {
+            delete this.reapedMembers[reapedAddresses[j]];
+        }
+    }
+};
+
+Membership.prototype._updateIncrementalChecksum = function _updateIncrementalChecksum(member) {
+    if (member.status === Member.Status.tombstone) {
+        this.incrementalChecksum.remove(member.address);
+        return;
+    }
+
+    this.incrementalChecksum.set(member.address, member.getChecksumString());
+};
+
 Membership.prototype._updateMember = function _updateMember(update, isLocal) {
+    // Locally declared updates carry the member's attributes along so that
+    // whoever hears about the member first through them knows it as it is.
+    var member = this.findMemberByAddress(update.address);
+    if (member) {
+        Object.keys(Member.Attributes).forEach(function each(name) {
+            if (!Member.hasAttribute(update, name) &&
+                    Member.hasAttribute(member, name)) {
+                update[name] = member[name];
+            }
+        });
+    }
+
     var updates = this.update(update, isLocal);
 
     if (updates.length > 0) {
@@ -405,14 +654,16 @@ module.exports = function initMembership(ringpop) {
     });
     membership.on('memberSuppressLimitExceeded', onExceeded);
     membership.startDampScoreDecayer();
+    membership.startReaper();
     ringpop.on('destroyed', onDestroyed);
     return membership;
 
     function onDestroyed() {
         membership.stopDampScoreDecayer();
+        membership.stopReaper();
     }
 
-    function onExceeded(/*member*/) {
-        // TODO Initiate flap damping subprotocol
+    function onExceeded(member) {
+        ringpop.damper.initiateSubprotocol(member);
     }
 };
@@ -21,7 +21,7 @@
 
 var _ = require('underscore');
 var EventEmitter = require('events').EventEmitter;
-var LocalMemberLeaveEvent = require('./events.js').LocalMemberLeaveEvent;
+var events = require('./events.js');
 var numOrDefault = require('../util.js').numOrDefault;
 var util = require('util');
 
@@ -34,10 +34,20 @@ function Member(ringpop, update) {
     this.dampScore = numOrDefault(update.dampScore,
         ringpop.config.get('dampScoringInitial'));
     this.dampedTimestamp = update.dampedTimestamp;
+    this.weight = numOrDefault(update.weight, Member.Defaults.weight);
+    this.load = numOrDefault(update.load, null);
+    this.loadVersion = numOrDefault(update.loadVersion, null);
+    this.zone = typeof update.zone === 'string' ? update.zone : null;
+    this.labels = Member.hasAttribute(update, 'labels') ?
+        _.clone(update.labels) : {};
+    this.version = typeof update.version === 'string' ? update.version : null;
+    // Only known from a membership snapshot, until any update is applied.
+    this.isFromSnapshot = update.fromSnapshot === true;
 
     this.lastUpdateTimestamp = null;
     this.lastUpdateDampScore = this.dampScore;
     this.Date = Date;
+    this.lastStatusChangeTimestamp = null;
 }
 
 util.inherits(Member, EventEmitter);
@@ -74,23 +84,36 @@ Member.prototype.evaluateUpdate = function evaluateUpdate(update) {
     // a bit from that literature since Ringpop has added the "leave"
     // status and retains faulty members in its membership list.
     if (this._isLocalOverride(update)) {
+        this.ringpop.membership.emit('event',
+            new events.LocalMemberRefuteEvent(this, update.status));
+
         // Override intended update. Assert aliveness!
         update = _.defaults({
             status: Member.Status.alive,
             incarnationNumber: this.Date.now()
         }, update);
+    } else if (this._isLoadUpdate(update)) {
+        // A new load is all there is to it. It is no change of the member's
+        // status, and is not penalized.
+        this.load = update.load;
+        this.loadVersion = update.loadVersion;
+        this.emit('updated', update, this.status);
+        return true;
     } else if (!this._isOtherOverride(update)) {
         return;
     }
 
     // We've got an update. Apply all-the-things.
+    this.isFromSnapshot = false;
+
     var oldStatus = this.status;
     if (this.status !== update.status) {
         this.status = update.status;
+        this.lastStatusChangeTimestamp = this.Date.now();
 
         if (this.address === this.ringpop.whoami()) {
             if (this.status === Member.Status.leave) {
-                var event = new LocalMemberLeaveEvent(this, oldStatus);
+                var event = new events.LocalMemberLeaveEvent(this, oldStatus);
                 this.ringpop.membership.emit('event', event);
             }
         }
@@ -100,6 +123,34 @@ Member.prototype.evaluateUpdate = function evaluateUpdate(update) {
         this.incarnationNumber = update.incarnationNumber;
     }
 
+    // Updates from members that predate weights carry none. The last
+    // known weight is kept in that case.
+    if (typeof update.weight === 'number' && this.weight !== update.weight) {
+        this.weight = update.weight;
+    }
+
+    // Load is only reported by members that opt into it. Those that
+    // do not are left with an unknown, null, load. Updates may carry an
+    // older load than the one known, loads being versioned on their own.
+    if (this._isNewerLoad(update)) {
+        this.load = update.load;
+        this.loadVersion = update.loadVersion;
+    }
+
+    // Likewise for zones, members that do not advertise one have none.
+    if (typeof update.zone === 'string' && this.zone !== update.zone) {
+        this.zone = update.zone;
+    }
+
+    if (Member.hasAttribute(update, 'labels')) {
+        this.labels = _.clone(update.labels);
+    }
+
+    // And for the version of ringpop members run.
+    if (typeof update.version === 'string' && this.version !== update.version) {
+        this.version = update.version;
+    }
+
     // For damping. Also, you are not allowed to penalize yourself.
     if (this.ringpop.config.get('dampScoringEnabled') &&
             update.address !== this.ringpop.whoami()) {
@@ -111,7 +162,7 @@ Member.prototype.evaluateUpdate = function evaluateUpdate(update) {
         this.lastUpdateDampScore = this.dampScore;
     }
 
-    this.emit('updated', update);
+    this.emit('updated', update, oldStatus);
 
     // lastUpdateTimestamp must be updated after the penalty is applied
     // because decaying the damp score uses the last timestamp to calculate
@@ -121,12 +172,50 @@ Member.prototype.evaluateUpdate = function evaluateUpdate(update) {
     return true;
 };
 
+// The member's part of the membership checksum. Loads and labels are only
+// part of it when there are any, so that members without them are
+// checksummed the same way they always have been. Loads are, so that
+// members that missed a load converge on it through full syncs like on any
+// other change. Labels are encoded as JSON so that no labels can be
+// mistaken for others, whatever characters they contain.
+Member.prototype.getChecksumString = function getChecksumString() {
+    var checksumString = this.address + this.status + this.incarnationNumber;
+    var labelKeys = Object.keys(this.labels).sort();
+
+    if (this.load !== null) {
+        checksumString += '%' + this.load;
+    }
+
+    if (labelKeys.length > 0) {
+        var labels = this.labels;
+        checksumString += '#' + JSON.stringify(labelKeys.map(function mapLabel(key) {
+            return [key, labels[key]];
+        }));
+    }
+
+    return checksumString;
+};
+
+// Tells whether the member carries all of the given labels.
+Member.prototype.hasLabels = function hasLabels(labels) {
+    var self = this;
+
+    return Object.keys(labels).every(function every(key) {
+        return self.labels[key] === labels[key];
+    });
+};
+
 Member.prototype.getStats = function getStats() {
     return {
         address: this.address,
         status: this.status,
         incarnationNumber: this.incarnationNumber,
-        dampScore: this.dampScore
+        dampScore: this.dampScore,
+        weight: this.weight,
+        load: this.load,
+        zone: this.zone,
+        labels: this.labels,
+        version: this.version
     };
 };
 
@@ -152,10 +241,27 @@ Member.prototype._applyUpdatePenalty = function _applyUpdatePenalty() {
     }
 };
 
+// Members publish their load without reincarnating; each load carries a
+// version of its own instead. An update at the incarnation number an alive
+// member is known by may thereby only bring a newer load.
+Member.prototype._isLoadUpdate = function _isLoadUpdate(update) {
+    return update.status === Member.Status.alive &&
+        this.status === Member.Status.alive &&
+        update.incarnationNumber === this.incarnationNumber &&
+        this._isNewerLoad(update);
+};
+
+Member.prototype._isNewerLoad = function _isNewerLoad(update) {
+    return typeof update.load === 'number' &&
+        typeof update.loadVersion === 'number' &&
+        (this.loadVersion === null || update.loadVersion > this.loadVersion);
+};
+
 Member.prototype._isLocalOverride = function _isLocalOverride(update) {
     var self = this;
 
-    return isLocalFaultyOverride() || isLocalSuspectOverride();
+    return isLocalFaultyOverride() || isLocalSuspectOverride() ||
+        isLocalTombstoneOverride();
 
     function isLocalFaultyOverride() {
         return self.ringpop.whoami() === self.address &&
@@ -166,13 +272,18 @@ Member.prototype._isLocalOverride = function _isLocalOverride(update) {
         return self.ringpop.whoami() === self.address &&
             update.status === Member.Status.suspect;
     }
+
+    function isLocalTombstoneOverride() {
+        return self.ringpop.whoami() === self.address &&
+            update.status === Member.Status.tombstone;
+    }
 };
 
 Member.prototype._isOtherOverride = function _isOtherOverride(update) {
     var self = this;
 
     return isAliveOverride() || isSuspectOverride() || isFaultyOverride() ||
-        isLeaveOverride();
+        isLeaveOverride() || isTombstoneOverride() || isDampedOverride();
 
     function isAliveOverride() {
         return update.status === 'alive' &&
@@ -184,28 +295,89 @@ Member.prototype._isOtherOverride = function _isOtherOverride(update) {
         return update.status === 'faulty' &&
             ((self.status === 'suspect' && update.incarnationNumber >= self.incarnationNumber) ||
             (self.status === 'faulty' && update.incarnationNumber > self.incarnationNumber) ||
-            (self.status === 'alive' && update.incarnationNumber >= self.incarnationNumber));
+            (self.status === 'alive' && update.incarnationNumber >= self.incarnationNumber) ||
+            (self.status === Member.Status.damped && update.incarnationNumber >= self.incarnationNumber));
+    }
+
+    // Members are damped by the flap damping subprotocol, at the incarnation
+    // number they flapped at. Damped members are out of the ring until they
+    // reincarnate, which they do rather than refute being damped.
+    function isDampedOverride() {
+        return update.status === Member.Status.damped &&
+            ((self.status === Member.Status.damped && update.incarnationNumber > self.incarnationNumber) ||
+            ((self.status === 'alive' || self.status === 'suspect') &&
+                update.incarnationNumber >= self.incarnationNumber));
     }
 
     function isLeaveOverride() {
         return update.status === 'leave' &&
-            self.status !== Member.Status.leave &&
-            update.incarnationNumber >= self.incarnationNumber;
+            ((self.status === Member.Status.tombstone && update.incarnationNumber > self.incarnationNumber) ||
+            (self.status !== Member.Status.leave && self.status !== Member.Status.tombstone &&
+                update.incarnationNumber >= self.incarnationNumber));
     }
 
     function isSuspectOverride() {
         return update.status === 'suspect' &&
             ((self.status === 'suspect' && update.incarnationNumber > self.incarnationNumber) ||
             (self.status === 'faulty' && update.incarnationNumber > self.incarnationNumber) ||
+            (self.status === Member.Status.damped && update.incarnationNumber > self.incarnationNumber) ||
             (self.status === 'alive' && update.incarnationNumber >= self.incarnationNumber));
     }
+
+    // A tombstone is declared for members that have been faulty, or have
+    // left, for long enough. It overrides any other status at the same
+    // incarnation number. Only an alive member is expected to come back
+    // from it, under a new incarnation number.
+    function isTombstoneOverride() {
+        return update.status === Member.Status.tombstone &&
+            ((self.status === Member.Status.tombstone && update.incarnationNumber > self.incarnationNumber) ||
+            (self.status !== Member.Status.tombstone && update.incarnationNumber >= self.incarnationNumber));
+    }
+};
+
+// Attributes that a member advertises along with its status, and their
+// types. Updates that do not carry an attribute leave it unchanged.
+Member.Attributes = {
+    weight: 'number',
+    load: 'number',
+    loadVersion: 'number',
+    zone: 'string',
+    labels: 'object',
+    version: 'string'
+};
+
+Member.Defaults = {
+    weight: 1
+};
+
+// Labels are held to the same rules whether they are set locally or come
+// from other members.
+Member.hasAttribute = function hasAttribute(obj, name) {
+    if (name === 'labels') {
+        return Member.isValidLabels(obj.labels);
+    }
+
+    return typeof obj[name] === Member.Attributes[name] && obj[name] !== null;
+};
+
+// Labels are an object of string values.
+Member.isValidLabels = function isValidLabels(labels) {
+    if (typeof labels !== 'object' || labels === null || Array.isArray(labels)) {
+        return false;
+    }
+
+    return Object.keys(labels).every(function every(key) {
+        return typeof labels[key] === 'string';
+    });
 };
 
 Member.Status = {
     alive: 'alive',
+    damped: 'damped',
     faulty: 'faulty',
     leave: 'leave',
-    suspect: 'suspect'
+    suspect: 'suspect',
+    tombstone: 'tombstone'
 };
 
 module.exports = Member;
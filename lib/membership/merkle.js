@@ -0,0 +1,142 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var farmhash = require('farmhash');
+
+// A Merkle tree over a membership list. Members are placed in one of
+// 2^depth leaves by the hash of their address, so that the same member
+// always lands in the same leaf no matter who builds the tree. Two trees of
+// the same depth can then be compared subtree by subtree to find the
+// leaves, and thus the members, that differ.
+//
+// Nodes are numbered as in a binary heap. The root is 1, the children of
+// node i are 2i and 2i + 1, and leaves are numbered from 2^depth up to,
+// but excluding, 2^(depth + 1).
+function MerkleTree(members, opts) {
+    opts = opts || {};
+
+    this.depth = typeof opts.depth === 'number' ?
+        opts.depth : MerkleTree.Defaults.depth;
+    this.hashFunc = opts.hashFunc || farmhash.hash32;
+    this.numLeaves = Math.pow(2, this.depth);
+    this.hashes = new Array(this.numLeaves * 2);
+    this.leaves = {};
+
+    this._build(members);
+}
+
+// Returns the indexes of the hashes that differ from those of this tree.
+MerkleTree.prototype.diff = function diff(hashes) {
+    var self = this;
+
+    return Object.keys(hashes).map(Number).filter(function filter(index) {
+        return self.isNode(index) && self.getHash(index) !== hashes[index];
+    }).sort(function sort(a, b) {
+        return a - b;
+    });
+};
+
+// Returns the descendants of a node that are the given number of levels
+// below it, or the leaves below it if those are closer.
+MerkleTree.prototype.getDescendants = function getDescendants(index, levels) {
+    var first = index;
+    var count = 1;
+
+    for (var i = 0; i < levels && !this.isLeaf(first); i++) {
+        first *= 2;
+        count *= 2;
+    }
+
+    var descendants = new Array(count);
+    for (var j = 0; j < count; j++) {
+        descendants[j] = first + j;
+    }
+
+    return descendants;
+};
+
+MerkleTree.prototype.getHash = function getHash(index) {
+    return this.hashes[index];
+};
+
+MerkleTree.prototype.getLeafIndex = function getLeafIndex(address) {
+    return this.numLeaves + (this.hashFunc(address) >>> 0) % this.numLeaves;
+};
+
+MerkleTree.prototype.getMembers = function getMembers(leafIndexes) {
+    var members = [];
+
+    for (var i = 0; i < leafIndexes.length; i++) {
+        var leaf = this.leaves[leafIndexes[i]];
+        if (leaf) {
+            members = members.concat(leaf);
+        }
+    }
+
+    return members;
+};
+
+MerkleTree.prototype.isLeaf = function isLeaf(index) {
+    return index >= this.numLeaves && index < this.numLeaves * 2;
+};
+
+MerkleTree.prototype.isNode = function isNode(index) {
+    return index >= 1 && index < this.numLeaves * 2 && index % 1 === 0;
+};
+
+MerkleTree.prototype._build = function _build(members) {
+    var i;
+
+    for (i = 0; i < members.length; i++) {
+        var index = this.getLeafIndex(members[i].address);
+        this.leaves[index] = this.leaves[index] || [];
+        this.leaves[index].push(members[i]);
+    }
+
+    // Empty leaves, and nodes above only empty leaves, hash to 0.
+    for (i = this.numLeaves; i < this.numLeaves * 2; i++) {
+        this.hashes[i] = this.leaves[i] ? this._hashLeaf(this.leaves[i]) : 0;
+    }
+
+    for (i = this.numLeaves - 1; i >= 1; i--) {
+        var left = this.hashes[i * 2];
+        var right = this.hashes[i * 2 + 1];
+        this.hashes[i] = left === 0 && right === 0 ? 0 :
+            this.hashFunc(left + ';' + right) >>> 0;
+    }
+};
+
+MerkleTree.prototype._hashLeaf = function _hashLeaf(members) {
+    var checksumStrings = members.map(function map(member) {
+        return member.getChecksumString();
+    }).sort();
+
+    return this.hashFunc(checksumStrings.join(';')) >>> 0;
+};
+
+MerkleTree.Defaults = {
+    depth: 8
+};
+
+// Deeper trees take more memory to build than they could possibly save.
+MerkleTree.MAX_DEPTH = 16;
+
+module.exports = MerkleTree;
@@ -0,0 +1,226 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var fs = require('fs');
+var Member = require('./member.js');
+var safeParse = require('../util.js').safeParse;
+var timers = require('timers');
+
+// Persists the membership list to the file named by the
+// membershipSnapshotFile config, periodically and when Ringpop is
+// destroyed, so that a restarted Ringpop need not rely on its bootstrap
+// hosts alone. See read() for how stale snapshots are guarded against.
+function MembershipSnapshot(opts) {
+    this.ringpop = opts.ringpop;
+    this.setInterval = opts.setInterval || timers.setInterval;
+    this.clearInterval = opts.clearInterval || timers.clearInterval;
+    this.Date = opts.Date || Date;
+
+    this.writeTimer = null;
+    this.isWriting = false;
+    this.writeGeneration = 0;
+}
+
+MembershipSnapshot.VERSION = 1;
+
+MembershipSnapshot.prototype.isEnabled = function isEnabled() {
+    return typeof this.ringpop.config.get('membershipSnapshotFile') === 'string';
+};
+
+// Returns the snapshot if there is one that is fit for use, null
+// otherwise. Snapshots written by another app or address, or longer ago
+// than membershipSnapshotMaxAge, are not. Of those that are, only the
+// members that were alive are kept; their status may well have changed
+// since.
+MembershipSnapshot.prototype.read = function read() {
+    if (!this.isEnabled()) {
+        return null;
+    }
+
+    var ringpop = this.ringpop;
+    var file = ringpop.config.get('membershipSnapshotFile');
+
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+
+    var snapshot;
+    try {
+        snapshot = safeParse(fs.readFileSync(file).toString());
+    } catch (e) {
+        return reject('unreadable');
+    }
+
+    if (!snapshot || snapshot.version !== MembershipSnapshot.VERSION ||
+            !Array.isArray(snapshot.members) || typeof snapshot.timestamp !== 'number') {
+        return reject('malformed');
+    }
+
+    if (snapshot.app !== ringpop.app || snapshot.address !== ringpop.whoami()) {
+        return reject('foreign');
+    }
+
+    var age = this.Date.now() - snapshot.timestamp;
+    if (age > ringpop.config.get('membershipSnapshotMaxAge')) {
+        return reject('stale');
+    }
+
+    ringpop.stat('increment', 'membership-snapshot.read');
+
+    return {
+        age: age,
+        members: snapshot.members.filter(function filter(member) {
+            return member && typeof member.address === 'string' &&
+                typeof member.incarnationNumber === 'number' &&
+                member.status === Member.Status.alive &&
+                member.address !== ringpop.whoami();
+        })
+    };
+
+    function reject(reason) {
+        ringpop.stat('increment', 'membership-snapshot.rejected.' + reason);
+        ringpop.logger.warn('ringpop ignoring membership snapshot', {
+            local: ringpop.whoami(),
+            file: file,
+            reason: reason
+        });
+        return null;
+    }
+};
+
+MembershipSnapshot.prototype.start = function start() {
+    var self = this;
+
+    if (!this.isEnabled() || this.writeTimer) {
+        return;
+    }
+
+    this.writeTimer = this.setInterval(function onInterval() {
+        self.write();
+    }, this.ringpop.config.get('membershipSnapshotInterval'));
+};
+
+MembershipSnapshot.prototype.stop = function stop() {
+    this.clearInterval(this.writeTimer);
+    this.writeTimer = null;
+};
+
+// The snapshot is written to a temporary file first and then renamed, so
+// that a crash while writing never leaves a partial snapshot behind.
+MembershipSnapshot.prototype.write = function write(callback) {
+    var self = this;
+    callback = callback || function noop() {};
+
+    if (!this.isEnabled() || this.isWriting) {
+        process.nextTick(callback);
+        return;
+    }
+
+    var file = this.ringpop.config.get('membershipSnapshotFile');
+    var tmpFile = file + '.tmp';
+    var generation = ++this.writeGeneration;
+
+    this.isWriting = true;
+    fs.writeFile(tmpFile, this._serialize(), function onWrite(err) {
+        if (err) {
+            onDone(err);
+            return;
+        }
+
+        // A synchronous write has since written a newer snapshot.
+        if (generation !== self.writeGeneration) {
+            fs.unlink(tmpFile, function onUnlink() {
+                self.isWriting = false;
+                callback(null);
+            });
+            return;
+        }
+
+        fs.rename(tmpFile, file, onDone);
+    });
+
+    function onDone(err) {
+        self.isWriting = false;
+        self._onWritten(file, err);
+        callback(err);
+    }
+};
+
+// Used on destroy(), when there may be no next tick to write on. It writes
+// to a temporary file of its own, since a write() may be pending, and
+// supersedes that write, which would otherwise replace the snapshot with
+// an older one.
+MembershipSnapshot.prototype.writeSync = function writeSync() {
+    if (!this.isEnabled()) {
+        return;
+    }
+
+    var file = this.ringpop.config.get('membershipSnapshotFile');
+    var tmpFile = file + '.sync.tmp';
+    this.writeGeneration++;
+
+    try {
+        fs.writeFileSync(tmpFile, this._serialize());
+        fs.renameSync(tmpFile, file);
+        this._onWritten(file, null);
+    } catch (e) {
+        this._onWritten(file, e);
+    }
+};
+
+MembershipSnapshot.prototype._onWritten = function _onWritten(file, err) {
+    if (err) {
+        this.ringpop.stat('increment', 'membership-snapshot.write.failed');
+        this.ringpop.logger.warn('ringpop failed to write membership snapshot', {
+            local: this.ringpop.whoami(),
+            file: file,
+            err: err
+        });
+        return;
+    }
+
+    this.ringpop.stat('increment', 'membership-snapshot.write');
+};
+
+MembershipSnapshot.prototype._serialize = function _serialize() {
+    var members = this.ringpop.membership.members.filter(function filter(member) {
+        return member.status !== Member.Status.tombstone;
+    });
+
+    return JSON.stringify({
+        version: MembershipSnapshot.VERSION,
+        app: this.ringpop.app,
+        address: this.ringpop.whoami(),
+        timestamp: this.Date.now(),
+        members: members.map(function map(member) {
+            return {
+                address: member.address,
+                status: member.status,
+                incarnationNumber: member.incarnationNumber,
+                weight: member.weight,
+                zone: member.zone,
+                labels: member.labels
+            };
+        })
+    });
+};
+
+module.exports = MembershipSnapshot;
@@ -22,6 +22,13 @@
 var Member = require('./membership/member.js');
 var MembershipEvents = require('./membership/events.js');
 
+// The member, not the update, is the source of truth for weight. Updates
+// from members that predate weights do not carry one.
+function getMemberWeight(ringpop, update) {
+    var member = ringpop.membership.findMemberByAddress(update.address);
+    return member ? member.weight : update.weight;
+}
+
 function createChecksumComputedHandler(ringpop) {
     return function onMembershipChecksumComputed() {
         ringpop.stat('increment', 'membership.checksum-computed');
@@ -36,12 +43,34 @@ function createEventHandler(ringpop) {
                 ringpop.gossip.stop();
                 ringpop.suspicion.stopAll();
                 break;
+            case MembershipEvents.LocalMemberRefuteEvent.Name:
+                ringpop.localHealth.onRefutedSuspicion();
+                break;
+            case MembershipEvents.MemberJoinedEvent.Name:
+            case MembershipEvents.MemberSuspectedEvent.Name:
+            case MembershipEvents.MemberFaultyEvent.Name:
+            case MembershipEvents.MemberLeftEvent.Name:
+            case MembershipEvents.MemberRecoveredEvent.Name:
+                ringpop.stat('increment', 'membership.' + event.name);
+                ringpop.emit(event.name, event);
+                break;
+            case MembershipEvents.MemberDampedEvent.Name:
+                ringpop.damper.onMemberDamped(event.address);
+                ringpop.stat('increment', 'membership.' + event.name);
+                ringpop.emit(event.name, event);
+                break;
+            case MembershipEvents.MemberUndampedEvent.Name:
+                ringpop.damper.onMemberUndamped(event.address);
+                ringpop.stat('increment', 'membership.' + event.name);
+                ringpop.emit(event.name, event);
+                break;
         }
     };
 }
 function createSetHandler(ringpop) {
     return function onMembershipSet(updates) {
         var serversToAdd = [];
+        var weights = {};
 
         for (var i = 0; i < updates.length; i++) {
             var update = updates[i];
@@ -49,24 +78,39 @@ function createSetHandler(ringpop) {
             ringpop.stat('increment', 'membership-set.' + (update.status || 'unknown'));
 
             if (update.status === Member.Status.alive) {
-                serversToAdd.push(update.address);
+                addServer(update);
             } else if (update.status === Member.Status.suspect) {
-                serversToAdd.push(update.address);
+                addServer(update);
                 ringpop.suspicion.start(update);
             }
 
-            ringpop.dissemination.recordChange(update);
+            // Members only known from a membership snapshot are not
+            // disseminated; see RingPop.stashSnapshotMembers().
+            if (!update.fromSnapshot) {
+                ringpop.dissemination.recordChange(update);
+            }
         }
 
         // Must add/remove servers from ring in batch. There are
         // efficiency gains when only having to compute the ring
         // checksum once.
         if (serversToAdd.length > 0) {
-            ringpop.ring.addRemoveServers(serversToAdd);
+            ringpop.ring.addRemoveServers(serversToAdd, null, weights);
+        }
+
+        function addServer(update) {
+            serversToAdd.push(update.address);
+            weights[update.address] = getMemberWeight(ringpop, update);
         }
     };
 }
 
+function createSuspectConfirmedHandler(ringpop) {
+    return function onSuspectConfirmed(update) {
+        ringpop.suspicion.confirm(update);
+    };
+}
+
 function createUpdatedHandler(ringpop) {
     return function onMembershipUpdated(updates) {
         for (var i = 0; i < updates.length; i++) {
@@ -89,8 +133,10 @@ function createUpdatedHandlerForGossip(ringpop) {
             var update = updates[i];
             switch (update.status) {
                 case Member.Status.alive:
+                case Member.Status.damped:
                 case Member.Status.faulty:
                 case Member.Status.leave:
+                case Member.Status.tombstone:
                     ringpop.suspicion.stop(update);
                     break;
                 case Member.Status.suspect:
@@ -105,15 +151,18 @@ function createUpdatedHandlerForGossip(ringpop) {
 
 function createUpdatedHandlerForRing(ringpop) {
     return function onUpdated(updates) {
-        var serversToAdd = [], serversToRemove = [];
+        var serversToAdd = [], serversToRemove = [], weights = {};
         for (var i = 0; i < updates.length; i++) {
             var update = updates[i];
             switch (update.status) {
                 case Member.Status.alive:
                     serversToAdd.push(update.address);
+                    weights[update.address] = getMemberWeight(ringpop, update);
                     break;
+                case Member.Status.damped:
                 case Member.Status.faulty:
                 case Member.Status.leave:
+                case Member.Status.tombstone:
                     serversToRemove.push(update.address);
                     break;
             }
@@ -124,7 +173,7 @@ function createUpdatedHandlerForRing(ringpop) {
         // checksum once.
         if (serversToAdd.length > 0 || serversToRemove.length > 0) {
             var ringChanged = ringpop.ring.addRemoveServers(serversToAdd,
-                serversToRemove);
+                serversToRemove, weights);
 
             if (ringChanged) {
                 ringpop.emit('ringChanged');
@@ -138,6 +187,7 @@ function register(ringpop) {
     membership.on('checksumComputed', createChecksumComputedHandler(ringpop));
     membership.on('event', createEventHandler(ringpop));
     membership.on('set', createSetHandler(ringpop));
+    membership.on('suspectConfirmed', createSuspectConfirmedHandler(ringpop));
     membership.on('updated', createUpdatedHandler(ringpop));
     membership.on('updated', createUpdatedHandlerForGossip(ringpop));
     membership.on('updated', createUpdatedHandlerForRing(ringpop));
@@ -147,6 +197,7 @@ module.exports = {
     createChecksumComputedHandler: createChecksumComputedHandler,
     createEventHandler: createEventHandler,
     createSetHandler: createSetHandler,
+    createSuspectConfirmedHandler: createSuspectConfirmedHandler,
     createUpdatedHandler: createUpdatedHandler,
     createUpdatedHandlerForGossip: createUpdatedHandlerForGossip,
     createUpdatedHandlerForRing: createUpdatedHandlerForRing,
@@ -19,6 +19,8 @@
 // THE SOFTWARE.
 'use strict';
 
+var ownership = require('./ring/ownership.js');
+
 function createChecksumComputedHandler(ringpop) {
     return function onRingChecksumComputed() {
         ringpop.stat('increment', 'ring.checksum-computed');
@@ -26,6 +28,52 @@ function createChecksumComputedHandler(ringpop) {
     };
 }
 
+// Compares the ring to the way it was when the checksum was last computed
+// and reports the ranges of hashes the local member gained and lost. Tokens
+// are only kept, and compared, while there are listeners for the event.
+function createOwnershipChangedHandler(ringpop) {
+    var ring = ringpop.ring;
+    var lastTokens = null;
+
+    // listenerCount() is not available on the oldest of supported Nodes.
+    ringpop.on('newListener', function onNewListener(event) {
+        if (event === 'ownershipChanged' && lastTokens === null) {
+            lastTokens = ring.getTokens();
+        }
+    });
+
+    return function onRingOwnershipChanged() {
+        if (ringpop.listeners('ownershipChanged').length === 0) {
+            lastTokens = null;
+            return;
+        }
+
+        var tokens = ring.getTokens();
+        var changes = ownership.diff(lastTokens, tokens);
+        var whoami = ringpop.whoami();
+
+        lastTokens = tokens;
+
+        var gained = changes.filter(function filterGained(change) {
+            return change.newOwner === whoami;
+        });
+        var lost = changes.filter(function filterLost(change) {
+            return change.oldOwner === whoami;
+        });
+
+        if (gained.length === 0 && lost.length === 0) {
+            return;
+        }
+
+        ringpop.stat('increment', 'ring.ownership-changed');
+        ringpop.emit('ownershipChanged', {
+            checksum: ring.checksum,
+            gained: gained,
+            lost: lost
+        });
+    };
+}
+
 function createServerAddedHandler(ringpop) {
     return function onRingServerAdded() {
         ringpop.stat('increment', 'ring.server-added');
@@ -45,10 +93,15 @@ function register(ringpop) {
     ring.on('added', createServerAddedHandler(ringpop));
     ring.on('checksumComputed', createChecksumComputedHandler(ringpop));
     ring.on('removed', createServerRemovedHandler(ringpop));
+
+    if (typeof ring.getTokens === 'function') {
+        ring.on('checksumComputed', createOwnershipChangedHandler(ringpop));
+    }
 }
 
 module.exports = {
     createChecksumComputedHandler: createChecksumComputedHandler,
+    createOwnershipChangedHandler: createOwnershipChangedHandler,
     createServerAddedHandler: createServerAddedHandler,
     createServerRemovedHandler: createServerRemovedHandler,
     register: register
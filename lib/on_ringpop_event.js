@@ -24,6 +24,12 @@ function createReadyHandler(ringpop) {
         if (ringpop.config.get('autoGossip')) {
             ringpop.gossip.start();
         }
+
+        if (ringpop.config.get('partitionHealEnabled')) {
+            ringpop.partitionHealer.start();
+        }
+
+        ringpop.membershipSnapshot.start();
     };
 }
 
@@ -172,10 +172,11 @@ proto.handleRequest = function handleRequest(head, body, cb) {
     var method = head.method;
     var httpVersion = head.httpVersion;
     var checksum = head.ringpopChecksum;
+    var expectedChecksum = ringpop.getLookupChecksum();
 
-    if (checksum !== ringpop.ring.checksum) {
+    if (checksum !== expectedChecksum) {
         var err = InvalidCheckSumError({
-            expected: ringpop.ring.checksum,
+            expected: expectedChecksum,
             actual: checksum
         });
         ringpop.logger.warn('handleRequest got invalid checksum', {
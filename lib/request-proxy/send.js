@@ -134,14 +134,14 @@ RequestProxySend.prototype.destroy = function destroy() {
 
 RequestProxySend.prototype.getRawHead = function getRawHead() {
     return rawHead(this.request.obj, {
-        checksum: this.ringpop.ring.checksum,
+        checksum: this.ringpop.getLookupChecksum(),
         keys: this.keys
     });
 };
 
 RequestProxySend.prototype.getStrHead = function getStrHead() {
     return strHead(this.request.obj, {
-        checksum: this.ringpop.ring.checksum,
+        checksum: this.ringpop.getLookupChecksum(),
         keys: this.keys
     });
 };
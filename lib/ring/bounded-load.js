@@ -0,0 +1,148 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var farmhash = require('farmhash');
+
+// Consistent hashing with bounded loads. A key is owned by the first server,
+// in the order of its preference list, whose load is within `loadFactor`
+// times the average load of the ring. Keys of an overloaded server spill
+// over to its successors, and stop spilling once its load drops back down.
+//
+// Loads are published by members themselves, see lib/gossip/load-publisher.js,
+// and take a while to reach the whole cluster. Lookups are made under a
+// checksum of the ring, the load factor and the loads of the ring's servers,
+// see getChecksum(), which members compare before proxying requests to each
+// other. Members with the same checksum therefore look keys up the same way.
+// Members that do not publish a load are never considered overloaded and do
+// not count towards the average.
+function BoundedLoadLookup(opts) {
+    this.ringpop = opts.ringpop;
+
+    // The load threshold and the checksum are cached until the ring, the
+    // published loads or the load factor change.
+    this.threshold = null;
+    this.checksum = null;
+
+    var self = this;
+    this.ringpop.ring.on('checksumComputed', invalidate);
+    this.ringpop.membership.on('updated', invalidate);
+    this.ringpop.config.on('set.boundedLoadFactor', invalidate);
+
+    function invalidate() {
+        self.threshold = null;
+        self.checksum = null;
+    }
+}
+
+// Without loads, keys are owned by whoever the ring says, and the checksum is
+// that of the ring.
+BoundedLoadLookup.prototype.getChecksum = function getChecksum() {
+    if (this.checksum !== null) {
+        return this.checksum;
+    }
+
+    var ring = this.ringpop.ring;
+    var servers = this.getServers().slice().sort();
+    var loads = [];
+
+    for (var i = 0; i < servers.length; i++) {
+        var load = this.getLoad(servers[i]);
+
+        if (load !== null) {
+            loads.push(servers[i] + '=' + load);
+        }
+    }
+
+    this.checksum = loads.length === 0 ? ring.checksum :
+        farmhash.hash32(ring.checksum + ';' + this.getLoadFactor() + ';' +
+            loads.join(';'));
+
+    return this.checksum;
+};
+
+BoundedLoadLookup.prototype.getLoad = function getLoad(server) {
+    var member = this.ringpop.membership.findMemberByAddress(server);
+    return member && typeof member.load === 'number' ? member.load : null;
+};
+
+BoundedLoadLookup.prototype.getThreshold = function getThreshold() {
+    if (this.threshold !== null) {
+        return this.threshold;
+    }
+
+    var servers = this.getServers();
+    var totalLoad = 0;
+    var numLoads = 0;
+
+    for (var i = 0; i < servers.length; i++) {
+        var load = this.getLoad(servers[i]);
+
+        if (load !== null) {
+            totalLoad += load;
+            numLoads++;
+        }
+    }
+
+    this.threshold = numLoads > 0 ?
+        this.getLoadFactor() * totalLoad / numLoads : Infinity;
+
+    return this.threshold;
+};
+
+// A load factor below 1 would leave every server overloaded.
+BoundedLoadLookup.prototype.getLoadFactor = function getLoadFactor() {
+    return Math.max(this.ringpop.config.get('boundedLoadFactor'), 1);
+};
+
+BoundedLoadLookup.prototype.getServers = function getServers() {
+    var ring = this.ringpop.ring;
+    return typeof ring.getServers === 'function' ?
+        ring.getServers() : ring.getStats().servers;
+};
+
+BoundedLoadLookup.prototype.isOverloaded = function isOverloaded(server) {
+    var load = this.getLoad(server);
+    return load !== null && load > this.getThreshold();
+};
+
+BoundedLoadLookup.prototype.lookup = function lookup(key) {
+    var ring = this.ringpop.ring;
+    var owner = ring.lookup(key);
+
+    if (!owner || !this.isOverloaded(owner)) {
+        return owner;
+    }
+
+    // At least one server is always within the threshold, the average
+    // being no greater than it.
+    var successors = ring.lookupN(key, ring.getServerCount());
+
+    for (var i = 1; i < successors.length; i++) {
+        if (!this.isOverloaded(successors[i])) {
+            this.ringpop.stat('increment', 'lookup.bounded-load.spilled');
+            return successors[i];
+        }
+    }
+
+    return owner;
+};
+
+module.exports = BoundedLoadLookup;
@@ -17,10 +17,16 @@
 // LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
+var errors = require('../errors.js');
 var EventEmitter = require('events').EventEmitter;
 var farmhash = require('farmhash');
+var IncrementalChecksum = require('../incremental-checksum.js');
 var util = require('util');
+var ownership = require('./ownership.js');
 var RBTree = require('./rbtree').RBTree;
+var ringUtil = require('./util.js');
+
+var normalizeWeight = ringUtil.normalizeWeight;
 
 function HashRing(options) {
     this.options = options || {};
@@ -28,41 +34,59 @@ function HashRing(options) {
     this.replicaPoints = this.options.replicaPoints || 100;
     this.hashFunc = this.options.hashFunc || farmhash.hash32;
 
+    // Identifies the hash function in snapshots. A custom hash function
+    // should be given a name of its own.
+    this.hashFuncId = this.options.hashFuncId ||
+        (this.options.hashFunc ? 'custom' : HashRing.Defaults.hashFuncId);
+
     this.rbtree = new RBTree();
     this.servers = {};
+    this.weights = {};
     this.checksum = null;
+
+    // The incremental checksum is kept up to date in either mode, so that
+    // the mode can be switched at any time.
+    this.checksumMode = this.options.checksumMode ||
+        IncrementalChecksum.Modes.legacy;
+    this.incrementalChecksum = new IncrementalChecksum(this.hashFunc);
 }
 
 util.inherits(HashRing, EventEmitter);
 
+HashRing.prototype.strategy = 'consistent-hash';
+
 // TODO - error checking from rbtree.insert
-HashRing.prototype.addServer = function addServer(name) {
+HashRing.prototype.addServer = function addServer(name, weight) {
     if (this.hasServer(name)) {
         return;
     }
 
-    this.addServerReplicas(name);
+    this.addServerReplicas(name, weight);
     this.computeChecksum();
 
     this.emit('added', name);
 };
 
-HashRing.prototype.addServerReplicas = function addServerReplicas(server) {
+HashRing.prototype.addServerReplicas = function addServerReplicas(server, weight) {
     // Assumes server has not been previously added.
     this.servers[server] = true;
+    this.weights[server] = normalizeWeight(weight);
 
-    for (var i = 0; i < this.replicaPoints; i++) {
-        var hash = this.hashFunc(server + i);
-        this.rbtree.insert(hash, server);
-    }
+    this.insertReplicaRange(server, 0, this.getReplicaCount(server));
+    this.updateIncrementalChecksum(server);
 };
 
-HashRing.prototype.addRemoveServers = function addRemoveServers(serversToAdd, serversToRemove) {
+// `weights` is an optional map of server name to weight. Servers that are
+// already in the ring have their replica points adjusted in place when their
+// weight differs from the one given.
+HashRing.prototype.addRemoveServers = function addRemoveServers(serversToAdd, serversToRemove, weights) {
     serversToAdd = serversToAdd || [];
     serversToRemove = serversToRemove || [];
+    weights = weights || {};
 
     var addedServers = false;
     var removedServers = false;
+    var reweightedServers = false;
 
     var server;
 
@@ -70,8 +94,10 @@ HashRing.prototype.addRemoveServers = function addRemoveServers(serversToAdd, se
         server = serversToAdd[i];
 
         if (!this.hasServer(server)) {
-            this.addServerReplicas(server);
+            this.addServerReplicas(server, weights[server]);
             addedServers = true;
+        } else if (this.adjustServerReplicas(server, weights[server])) {
+            reweightedServers = true;
         }
     }
 
@@ -84,7 +110,7 @@ HashRing.prototype.addRemoveServers = function addRemoveServers(serversToAdd, se
         }
     }
 
-    var ringChanged = addedServers || removedServers;
+    var ringChanged = addedServers || removedServers || reweightedServers;
 
     if (ringChanged) {
         this.computeChecksum();
@@ -93,32 +119,185 @@ HashRing.prototype.addRemoveServers = function addRemoveServers(serversToAdd, se
     return ringChanged;
 };
 
+// Adds or removes only the replica points that make up the difference between
+// the server's current and new weight. Replica points are numbered, so the
+// points that remain are exactly the ones that were already in the ring.
+HashRing.prototype.adjustServerReplicas = function adjustServerReplicas(server, weight) {
+    // Assumes server has been previously added.
+    if (typeof weight === 'undefined') {
+        return false;
+    }
+
+    var oldWeight = this.getWeight(server);
+    var oldCount = this.getReplicaCount(server);
+    this.weights[server] = normalizeWeight(weight);
+    var newCount = this.getReplicaCount(server);
+
+    if (newCount > oldCount) {
+        this.insertReplicaRange(server, oldCount, newCount);
+    } else if (newCount < oldCount) {
+        this.removeReplicaRange(server, newCount, oldCount);
+    }
+
+    // The weight is part of the checksum even if the number of replica
+    // points happens to stay the same.
+    if (this.getWeight(server) === oldWeight) {
+        return false;
+    }
+
+    this.updateIncrementalChecksum(server);
+    return true;
+};
+
 HashRing.prototype.computeChecksum = function computeChecksum() {
+    if (this.checksumMode === IncrementalChecksum.Modes.incremental) {
+        this.checksum = this.incrementalChecksum.value();
+        this.emit('checksumComputed');
+        return;
+    }
+
     // If servers is empty, a checksum will still be computed
     // for the empty string.
-    var serverNames = Object.keys(this.servers);
-    var serverNameStr = serverNames.sort().join(';');
+    var serverNames = Object.keys(this.servers).sort();
+    var serverNameStr = ringUtil.serversToChecksumString(serverNames,
+        this.getWeight.bind(this));
 
     this.checksum = this.hashFunc(serverNameStr);
 
     this.emit('checksumComputed');
 };
 
+// Returns the ranges of hashes whose owner differs between two snapshots
+// of the ring. The new snapshot defaults to the ring as it is now. Rings
+// are rebuilt from the snapshots, which makes this as costly as building
+// them in the first place. It is meant for tools, not for every change.
+HashRing.prototype.diff = function diff(oldSnapshot, newSnapshot) {
+    var oldTokens = this.restoreSnapshot(oldSnapshot).getTokens();
+    var newTokens = newSnapshot ?
+        this.restoreSnapshot(newSnapshot).getTokens() : this.getTokens();
+
+    return ownership.diff(oldTokens, newTokens);
+};
+
+// Returns the ranges of hashes owned by the server, sorted by their start.
+// Each replica point owns the range from its predecessor on the ring,
+// exclusive, up to itself, inclusive.
+HashRing.prototype.getOwnedRanges = function getOwnedRanges(server) {
+    var ranges = [];
+
+    if (!this.hasServer(server)) {
+        return ranges;
+    }
+
+    var replicaCount = this.getReplicaCount(server);
+    for (var i = 0; i < replicaCount; i++) {
+        var hash = this.hashFunc(server + i);
+
+        // Replica points that collide with another server's are not owned.
+        if (this.rbtree.lowerBound(hash).str() !== server) {
+            continue;
+        }
+
+        var prev = this.rbtree.predecessor(hash).val();
+        if (prev === null) {
+            prev = this.rbtree.max().val;
+        }
+
+        if (prev < hash) {
+            ownership.addRange(ranges, { start: prev + 1, end: hash });
+        } else {
+            // The first replica point on the ring owns the wrap-around.
+            ownership.addRange(ranges, { start: 0, end: hash });
+
+            if (prev < ownership.MAX_HASH) {
+                ownership.addRange(ranges, { start: prev + 1, end: ownership.MAX_HASH });
+            }
+        }
+    }
+
+    return ranges;
+};
+
+HashRing.prototype.getReplicaCount = function getReplicaCount(server) {
+    return Math.max(1, Math.round(this.replicaPoints * this.getWeight(server)));
+};
+
 HashRing.prototype.getServerCount = function getServerCount() {
     return Object.keys(this.servers).length;
 };
 
+// Returns the share of the hash space, in percent, owned by each server.
+HashRing.prototype.getOwnership = function getOwnership() {
+    return ownership.toPercentages(this.getTokens());
+};
+
+HashRing.prototype.getServers = function getServers() {
+    return Object.keys(this.servers);
+};
+
 HashRing.prototype.getStats = function getStats() {
+    var self = this;
+
     return {
         checksum: this.checksum,
-        servers: Object.keys(this.servers)
+        servers: Object.keys(this.servers),
+        weights: Object.keys(this.servers).reduce(reduceWeights, {})
     };
+
+    // Only servers that deviate from the default weight are reported.
+    function reduceWeights(weights, server) {
+        var weight = self.getWeight(server);
+
+        if (weight !== HashRing.Defaults.weight) {
+            weights[server] = weight;
+        }
+
+        return weights;
+    }
+};
+
+// Returns all tokens of the ring, in order of their hash. A token is
+// `{hash: Number, server: String}`.
+HashRing.prototype.getTokens = function getTokens() {
+    var tokens = [];
+    var iter = this.rbtree.iterator();
+
+    while (iter.next() !== null) {
+        tokens.push({
+            hash: iter.val(),
+            server: iter.str()
+        });
+    }
+
+    return tokens;
+};
+
+// Returns the tokens whose hashes lie between start and end, both inclusive,
+// in order of their hash.
+HashRing.prototype.getTokensInRange = function getTokensInRange(start, end) {
+    return this.rbtree.range(start, end).map(function toToken(node) {
+        return {
+            hash: node.val,
+            server: node.str
+        };
+    });
+};
+
+HashRing.prototype.getWeight = function getWeight(server) {
+    return normalizeWeight(this.weights[server]);
 };
 
 HashRing.prototype.hasServer = function hasServer(name) {
     return !!this.servers[name];
 };
 
+HashRing.prototype.insertReplicaRange = function insertReplicaRange(server, from, to) {
+    for (var i = from; i < to; i++) {
+        var hash = this.hashFunc(server + i);
+        this.rbtree.insert(hash, server);
+    }
+};
+
 // TODO - error checking around removing servers that aren't there
 // TODO - error checking from rbtree.insert
 HashRing.prototype.removeServer = function removeServer(name) {
@@ -134,14 +313,89 @@ HashRing.prototype.removeServer = function removeServer(name) {
 
 HashRing.prototype.removeServerReplicas = function removeServerReplicas(server) {
     // Assumes server has been previously added.
+    this.removeReplicaRange(server, 0, this.getReplicaCount(server));
+
     delete this.servers[server];
+    delete this.weights[server];
+    this.incrementalChecksum.remove(server);
+};
 
-    for (var i = 0; i < this.replicaPoints; i++) {
+HashRing.prototype.removeReplicaRange = function removeReplicaRange(server, from, to) {
+    for (var i = from; i < to; i++) {
         var hash = this.hashFunc(server + i);
         this.rbtree.remove(hash, server);
     }
 };
 
+// Changes the weight of a server that is already part of the ring without
+// rebuilding it. Returns true if the ring changed as a result.
+HashRing.prototype.setServerWeight = function setServerWeight(name, weight) {
+    if (!this.hasServer(name)) {
+        return false;
+    }
+
+    var ringChanged = this.adjustServerReplicas(name, weight);
+
+    if (ringChanged) {
+        this.computeChecksum();
+        this.emit('weightChanged', name);
+    }
+
+    return ringChanged;
+};
+
+// Switches between legacy and incremental checksums. The checksum is
+// recomputed, if it has been computed before, in the new mode.
+HashRing.prototype.setChecksumMode = function setChecksumMode(mode) {
+    if (mode === this.checksumMode) {
+        return;
+    }
+
+    this.checksumMode = mode;
+
+    if (this.checksum !== null) {
+        this.computeChecksum();
+    }
+};
+
+// Restores a snapshot using the same hash function as this ring.
+HashRing.prototype.restoreSnapshot = function restoreSnapshot(snapshot) {
+    return HashRing.fromSnapshot(snapshot, {
+        hashFunc: this.options.hashFunc,
+        hashFuncId: this.options.hashFuncId
+    });
+};
+
+// Captures everything needed to rebuild the ring elsewhere, as plain JSON.
+// See HashRing.fromSnapshot().
+HashRing.prototype.snapshot = function snapshot() {
+    var self = this;
+    var servers = Object.keys(this.servers).sort();
+
+    return {
+        version: HashRing.SNAPSHOT_VERSION,
+        hashFunc: this.hashFuncId,
+        replicaPoints: this.replicaPoints,
+        checksumMode: this.checksumMode,
+        checksum: this.checksum,
+        servers: servers,
+        weights: servers.reduce(function reduceWeights(weights, server) {
+            var weight = self.getWeight(server);
+
+            if (weight !== HashRing.Defaults.weight) {
+                weights[server] = weight;
+            }
+
+            return weights;
+        }, {})
+    };
+};
+
+HashRing.prototype.updateIncrementalChecksum = function updateIncrementalChecksum(server) {
+    this.incrementalChecksum.set(server,
+        ringUtil.serverToChecksumString(server, this.getWeight(server)));
+};
+
 HashRing.prototype.lookup = function lookup(str) {
     var hash = this.hashFunc(str);
     var iter = this.rbtree.upperBound(hash);
@@ -154,7 +408,12 @@ HashRing.prototype.lookup = function lookup(str) {
 };
 
 // find (up to) N unique successor nodes (aka the 'preference list') for the given key
-HashRing.prototype.lookupN = function lookupN(str, n) {
+//
+// opts.spreadBy, if given, maps a server to its failure domain. Successors
+// in a domain that is already part of the list are then skipped, until every
+// domain is, after which the list is filled up with the skipped servers in
+// order. Servers without a domain are never skipped.
+HashRing.prototype.lookupN = function lookupN(str, n, opts) {
     // can't return more than the number of servers
     var serverCount = this.getServerCount();
     if (n > serverCount) {
@@ -163,6 +422,7 @@ HashRing.prototype.lookupN = function lookupN(str, n) {
 
     var resultArray = [];
     var resultSet = {}; // for fast dedup
+    var spread = ringUtil.createSpreader(opts && opts.spreadBy);
     var hash = this.hashFunc(str);
     var iter = this.rbtree.upperBound(hash);
     // remember start of loop to prevent infinite loops
@@ -178,14 +438,69 @@ HashRing.prototype.lookupN = function lookupN(str, n) {
         } else {
             // only add unique servers
             if (!resultSet[res]) {
-                resultArray.push(res);
+                spread.add(resultArray, res);
                 resultSet[res] = true;
             }
         }
         iter.next();
     } while (resultArray.length < n && iter.val() !== firstVal);
 
+    spread.fill(resultArray, n);
+
     return resultArray;
 };
 
+// Rebuilds a ring from a snapshot. Snapshots of rings with a custom hash
+// function can only be restored given the same function in options.hashFunc.
+// The restored ring must reproduce the snapshot's checksum.
+HashRing.fromSnapshot = function fromSnapshot(snapshot, options) {
+    options = options || {};
+
+    if (!snapshot || typeof snapshot !== 'object' ||
+            snapshot.version !== HashRing.SNAPSHOT_VERSION) {
+        throw errors.InvalidSnapshotError({
+            reason: 'version ' + HashRing.SNAPSHOT_VERSION + ' is expected'
+        });
+    }
+
+    if (!Array.isArray(snapshot.servers)) {
+        throw errors.InvalidSnapshotError({
+            reason: 'servers are missing'
+        });
+    }
+
+    var hashFuncId = options.hashFunc ?
+        options.hashFuncId || 'custom' : HashRing.Defaults.hashFuncId;
+    if (snapshot.hashFunc !== hashFuncId) {
+        throw errors.InvalidSnapshotError({
+            reason: 'hash function ' + snapshot.hashFunc + ' is not ' + hashFuncId
+        });
+    }
+
+    var ring = new HashRing({
+        replicaPoints: snapshot.replicaPoints,
+        hashFunc: options.hashFunc,
+        hashFuncId: options.hashFuncId,
+        checksumMode: snapshot.checksumMode
+    });
+    ring.addRemoveServers(snapshot.servers, null, snapshot.weights);
+
+    // Rings with no servers have no checksum
+    if (snapshot.servers.length > 0 && ring.checksum !== snapshot.checksum) {
+        throw errors.InvalidSnapshotError({
+            reason: 'checksum ' + snapshot.checksum + ' does not match ' +
+                'the restored checksum ' + ring.checksum
+        });
+    }
+
+    return ring;
+};
+
+HashRing.Defaults = {
+    hashFuncId: ringUtil.DEFAULT_HASH_FUNC_ID,
+    weight: ringUtil.DEFAULT_WEIGHT
+};
+
+HashRing.SNAPSHOT_VERSION = 1;
+
 module.exports = HashRing;
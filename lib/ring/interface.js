@@ -0,0 +1,96 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var errors = require('../errors.js');
+
+// A ring maps keys onto the servers that own them. Ringpop accepts any
+// ring implementation through the `Ring` option, so long as it honors
+// the contract below:
+//
+//   - It is an EventEmitter that emits `checksumComputed` every time its
+//     checksum is recomputed.
+//   - `checksum` is null until servers are first added or removed. After
+//     that it only depends on the set of servers (and their weights), never
+//     on the order in which they were added or removed. Rings that place keys
+//     differently must not produce the same checksum for the same servers.
+//   - `addRemoveServers(serversToAdd, serversToRemove, weights)` applies
+//     a batch of changes, recomputes the checksum at most once and returns
+//     true only if the ring changed. `weights` is an optional map of server
+//     to weight and may be ignored by rings that do not support weights.
+//   - `getServerCount()` returns the number of servers in the ring.
+//   - `getStats()` returns an object with at least `checksum` and `servers`.
+//   - `hasServer(server)` tells whether a server is part of the ring.
+//   - `lookup(key)` returns the owner of `key`, or null when the ring is empty.
+//     Rings with the same checksum must return the same owner.
+//   - `lookupN(key, n)` returns up to `n` unique servers for `key`, the first
+//     of which is the owner returned by `lookup(key)`. `opts.spreadBy`, if
+//     given, maps servers to failure domains that the servers returned should
+//     be spread over. See lib/ring/util.js.
+//
+// Rings may also implement:
+//
+//   - `getServers()`, which lists the servers of the ring more cheaply than
+//     `getStats()`.
+//   - `snapshot()`, which captures the ring as plain JSON. Ringpop serves
+//     snapshots from `/admin/ring/snapshot` for rings that implement it.
+//   - `strategy`, `hashFuncId` and `replicaPoints`, which tell how the ring
+//     places keys. Members exchange them when joining, and refuse members
+//     whose rings would place keys differently. See lib/compatibility.js.
+//
+// Rings that divide the hash space into ranges may also implement:
+//
+//   - `getTokens()`, which returns the ring's tokens in order of their hash.
+//     See lib/ring/ownership.js. Ringpop only emits `ownershipChanged` for
+//     rings that implement it.
+//   - `getOwnership()`, which returns the share of the hash space, in
+//     percent, owned by each server. Ringpop reports it under `ring.ownership`
+//     in its stats.
+//   - `diff(oldSnapshot, newSnapshot)`, which returns the ranges of hashes
+//     that moved between two snapshots.
+var RING_METHODS = [
+    'addRemoveServers',
+    'getServerCount',
+    'getStats',
+    'hasServer',
+    'lookup',
+    'lookupN',
+    'on'
+];
+
+function validateRing(ring) {
+    for (var i = 0; i < RING_METHODS.length; i++) {
+        var method = RING_METHODS[i];
+
+        if (typeof ring[method] !== 'function') {
+            throw errors.MethodRequiredError({
+                argument: 'ring',
+                method: method
+            });
+        }
+    }
+
+    return ring;
+}
+
+module.exports = {
+    RING_METHODS: RING_METHODS,
+    validateRing: validateRing
+};
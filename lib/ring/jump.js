@@ -0,0 +1,98 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var ringUtil = require('./util.js');
+var ServerListRing = require('./server-list-ring.js');
+var util = require('util');
+
+var HASH_SPACE = 4294967296; // 2^32
+
+// Jump consistent hashing (Lamping and Veach). Keys are mapped onto buckets
+// in constant memory and in time logarithmic to the number of buckets,
+// without hashing every server. Buckets are servers in sorted order, which
+// keeps lookups the same on every member with the same checksum.
+//
+// The trade-off is movement: only servers that sort last can come and go
+// with minimal key movement. Adding or removing a server elsewhere in the
+// order shifts the servers after it onto other buckets. Weights are not
+// supported and are ignored.
+function JumpRing(options) {
+    ServerListRing.call(this, options);
+}
+
+util.inherits(JumpRing, ServerListRing);
+
+JumpRing.prototype.isWeighted = false;
+JumpRing.prototype.strategy = 'jump';
+
+JumpRing.prototype.jump = function jump(str, numBuckets) {
+    var bucket = -1;
+    var next = 0;
+
+    // The original algorithm draws from a 64-bit LCG seeded by the key. A
+    // xorshift generator seeded by the key's hash keeps to 32-bit arithmetic.
+    // It must never be seeded with 0, from which it cannot move.
+    var state = (this.hashFunc(str) >>> 0) || 1;
+
+    while (next < numBuckets) {
+        bucket = next;
+
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        state = state >>> 0;
+
+        next = Math.floor((bucket + 1) / (state / HASH_SPACE));
+    }
+
+    return bucket;
+};
+
+JumpRing.prototype.lookup = function lookup(str) {
+    var numServers = this.serverList.length;
+
+    if (numServers === 0) {
+        return null;
+    }
+
+    return this.serverList[this.jump(str, numServers)];
+};
+
+// The preference list starts at the key's bucket and continues through
+// the buckets that follow it. See HashRing.lookupN() for opts.spreadBy.
+JumpRing.prototype.lookupN = function lookupN(str, n, opts) {
+    var numServers = this.serverList.length;
+    var servers = [];
+
+    if (numServers === 0) {
+        return servers;
+    }
+
+    var bucket = this.jump(str, numServers);
+
+    for (var i = 0; i < numServers; i++) {
+        servers.push(this.serverList[(bucket + i) % numServers]);
+    }
+
+    return ringUtil.spreadServers(servers, n, opts && opts.spreadBy);
+};
+
+module.exports = JumpRing;
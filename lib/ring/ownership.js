@@ -0,0 +1,180 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+// Hashes are unsigned 32-bit integers.
+var MAX_HASH = 4294967295;
+
+// A token is a point on the ring, `{hash: Number, server: String}`. A key
+// is owned by the server of the first token at or after the key's hash,
+// wrapping around to the first token on the ring. Given tokens sorted by
+// hash, the token at index i therefore owns the range of hashes from the
+// previous token, exclusive, up to its own hash, inclusive.
+//
+// Ranges are `{start: Number, end: Number}`, both inclusive.
+
+// Returns the ranges whose owner differs between the old and the new
+// tokens, each with its `oldOwner` and `newOwner`. Owners are null if
+// their ring was empty. Adjacent ranges that moved between the same
+// owners are merged. Runs in time linear to the number of tokens.
+function diff(oldTokens, newTokens) {
+    var changes = [];
+    var oldIndex = 0;
+    var newIndex = 0;
+    var start = 0;
+
+    // Walk every boundary of either ring in order. No boundary lies within
+    // the range that ends at the next one, so that range has a single owner
+    // in both rings.
+    while (oldIndex < oldTokens.length || newIndex < newTokens.length) {
+        var end = Math.min(hashAt(oldTokens, oldIndex), hashAt(newTokens, newIndex));
+
+        addChange(changes, {
+            start: start,
+            end: end,
+            oldOwner: ownerAt(oldTokens, oldIndex),
+            newOwner: ownerAt(newTokens, newIndex)
+        });
+
+        while (hashAt(oldTokens, oldIndex) === end) {
+            oldIndex++;
+        }
+
+        while (hashAt(newTokens, newIndex) === end) {
+            newIndex++;
+        }
+
+        start = end + 1;
+    }
+
+    // Past the last boundary, both rings wrap around to their first token.
+    if (start <= MAX_HASH) {
+        addChange(changes, {
+            start: start,
+            end: MAX_HASH,
+            oldOwner: ownerAt(oldTokens, 0),
+            newOwner: ownerAt(newTokens, 0)
+        });
+    }
+
+    return changes;
+}
+
+function addChange(changes, change) {
+    if (change.oldOwner === change.newOwner) {
+        return;
+    }
+
+    var last = changes[changes.length - 1];
+    if (last && last.end === change.start - 1 &&
+            last.oldOwner === change.oldOwner &&
+            last.newOwner === change.newOwner) {
+        last.end = change.end;
+        return;
+    }
+
+    changes.push(change);
+}
+
+// Adds a range to ranges sorted by start, merging it with its neighbours
+// when they touch.
+function addRange(ranges, range) {
+    var i = ranges.length;
+    while (i > 0 && ranges[i - 1].start > range.start) {
+        i--;
+    }
+
+    var prev = ranges[i - 1];
+    if (prev && prev.end === range.start - 1) {
+        prev.end = range.end;
+        range = prev;
+        i--;
+    } else {
+        ranges.splice(i, 0, range);
+    }
+
+    var next = ranges[i + 1];
+    if (next && next.start === range.end + 1) {
+        range.end = next.end;
+        ranges.splice(i + 1, 1);
+    }
+}
+
+// Returns the share of the hash space, in percent, covered by the ranges.
+function toPercentage(ranges) {
+    var size = 0;
+
+    for (var i = 0; i < ranges.length; i++) {
+        size += ranges[i].end - ranges[i].start + 1;
+    }
+
+    return size / (MAX_HASH + 1) * 100;
+}
+
+// Returns the share of the hash space, in percent, owned by each server of
+// the tokens. Runs in time linear to the number of tokens.
+function toPercentages(tokens) {
+    var sizes = {};
+    var start = 0;
+
+    for (var i = 0; i < tokens.length; i++) {
+        // Of tokens that collide, only the first owns anything.
+        if (i > 0 && tokens[i].hash === tokens[i - 1].hash) {
+            continue;
+        }
+
+        addSize(sizes, tokens[i].server, tokens[i].hash - start + 1);
+        start = tokens[i].hash + 1;
+    }
+
+    if (tokens.length > 0 && start <= MAX_HASH) {
+        addSize(sizes, tokens[0].server, MAX_HASH - start + 1);
+    }
+
+    return Object.keys(sizes).reduce(function reducePercentages(percentages, server) {
+        percentages[server] = sizes[server] / (MAX_HASH + 1) * 100;
+        return percentages;
+    }, {});
+}
+
+function addSize(sizes, server, size) {
+    sizes[server] = (sizes[server] || 0) + size;
+}
+
+// Beyond the last token lies nothing but the wrap-around.
+function hashAt(tokens, index) {
+    return index < tokens.length ? tokens[index].hash : Infinity;
+}
+
+function ownerAt(tokens, index) {
+    if (tokens.length === 0) {
+        return null;
+    }
+
+    return index < tokens.length ? tokens[index].server : tokens[0].server;
+}
+
+module.exports = {
+    MAX_HASH: MAX_HASH,
+    addRange: addRange,
+    diff: diff,
+    toPercentage: toPercentage,
+    toPercentages: toPercentages
+};
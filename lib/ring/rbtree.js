@@ -270,6 +270,47 @@ RBTree.prototype.upperBound = function(val) {
     return iter;
 };
 
+// Returns an iterator to the tree node immediately before the item. If there
+// is none, the iterator is null.
+RBTree.prototype.predecessor = function(val) {
+    var iter = this.lowerBound(val);
+
+    // If no node is at or after the item, the iterator is null and
+    // stepping back from it lands on the last node
+    iter.prev();
+    return iter;
+};
+
+// Returns the nodes from low to high, both inclusive, in order
+RBTree.prototype.range = function(low, high) {
+    var nodes = [];
+    var iter = this.lowerBound(low);
+
+    while (iter.val() !== null && iter.val() <= high) {
+        nodes.push({
+            val: iter.val(),
+            str: iter.str()
+        });
+        iter.next();
+    }
+
+    return nodes;
+};
+
+// returns null if tree is empty
+RBTree.prototype.max = function() {
+    var res = this.root;
+    if (res === null) {
+        return null;
+    }
+
+    while (res.right !== null) {
+        res = res.right;
+    }
+
+    return res;
+};
+
 // returns null if tree is empty
 RBTree.prototype.min = function() {
     var res = this.root;
@@ -332,6 +373,45 @@ RBIterator.prototype.next = function() {
     return this.cursor !== null ? this.cursor.val : null;
 };
 
+// if null-iterator, return last node, otherwise previous node
+RBIterator.prototype.prev = function() {
+    if (this.cursor === null) {
+        var root = this.tree.root;
+        if (root !== null) {
+            this.maxNode(root);
+        }
+    } else {
+        if (this.cursor.left === null) {
+            // no lesser node in subtree, go up to parent
+            // if coming from a left child, continue up the stack
+            var save;
+            do {
+                save = this.cursor;
+                if (this.ancestors.length) {
+                    this.cursor = this.ancestors.pop();
+                } else {
+                    this.cursor = null;
+                    break;
+                }
+            } while (this.cursor.left === save);
+        } else {
+            // get the previous node from the subtree
+            this.ancestors.push(this.cursor);
+            this.maxNode(this.cursor.left);
+        }
+    }
+    return this.cursor !== null ? this.cursor.val : null;
+};
+
+// find the right-most node from this subtree
+RBIterator.prototype.maxNode = function(start) {
+    while (start.right !== null) {
+        this.ancestors.push(start);
+        start = start.right;
+    }
+    this.cursor = start;
+};
+
 // find the left-most node from this subtree
 RBIterator.prototype.minNode = function(start) {
     while (start.left !== null) {
@@ -0,0 +1,97 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var ringUtil = require('./util.js');
+var ServerListRing = require('./server-list-ring.js');
+var util = require('util');
+
+var HASH_SPACE = 4294967296; // 2^32
+
+// Rendezvous, or highest random weight, hashing. Every server is scored
+// against the key and the highest score wins. Removing a server only moves
+// the keys it owned and adding one only takes keys from others, the least
+// movement possible. The price is a lookup that is linear in the number of
+// servers rather than logarithmic.
+//
+// Weights are honored through logarithmic scoring: a server with twice the
+// weight wins twice as many keys.
+function RendezvousRing(options) {
+    ServerListRing.call(this, options);
+}
+
+util.inherits(RendezvousRing, ServerListRing);
+
+RendezvousRing.prototype.strategy = 'rendezvous';
+
+RendezvousRing.prototype.lookup = function lookup(str) {
+    var owner = null;
+    var ownerScore = -Infinity;
+
+    // Servers are sorted, so ties go to the lowest server name.
+    for (var i = 0; i < this.serverList.length; i++) {
+        var server = this.serverList[i];
+        var score = this.score(str, server);
+
+        if (score > ownerScore) {
+            owner = server;
+            ownerScore = score;
+        }
+    }
+
+    return owner;
+};
+
+// The preference list is made up of the N highest scoring servers. See
+// HashRing.lookupN() for opts.spreadBy.
+RendezvousRing.prototype.lookupN = function lookupN(str, n, opts) {
+    var self = this;
+
+    var scored = this.serverList.map(function mapServer(server) {
+        return {
+            server: server,
+            score: self.score(str, server)
+        };
+    });
+
+    scored.sort(function sort(a, b) {
+        if (a.score !== b.score) {
+            return b.score - a.score;
+        }
+
+        return a.server < b.server ? -1 : 1;
+    });
+
+    var servers = scored.map(function mapScored(entry) {
+        return entry.server;
+    });
+
+    return ringUtil.spreadServers(servers, n, opts && opts.spreadBy);
+};
+
+RendezvousRing.prototype.score = function score(str, server) {
+    // Map the hash onto the open interval (0, 1).
+    var hash = this.hashFunc(str + server) >>> 0;
+    var unit = (hash + 1) / (HASH_SPACE + 1);
+
+    return -this.getWeight(server) / Math.log(unit);
+};
+
+module.exports = RendezvousRing;
@@ -0,0 +1,193 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var farmhash = require('farmhash');
+var ringUtil = require('./util.js');
+var util = require('util');
+
+// Base for rings that keep their servers in a plain sorted list rather than
+// in a tree of replica points. Subclasses name their `strategy`, which is
+// mixed into the checksum, and implement `lookup` and `lookupN`.
+function ServerListRing(options) {
+    this.options = options || {};
+    this.hashFunc = this.options.hashFunc || farmhash.hash32;
+
+    // Identifies the hash function to other members. A custom hash function
+    // should be given a name of its own.
+    this.hashFuncId = this.options.hashFuncId ||
+        (this.options.hashFunc ? 'custom' : ringUtil.DEFAULT_HASH_FUNC_ID);
+
+    this.servers = {};
+    this.weights = {};
+    this.serverList = [];
+    this.checksum = null;
+}
+
+util.inherits(ServerListRing, EventEmitter);
+
+ServerListRing.prototype.isWeighted = true;
+
+ServerListRing.prototype.addServer = function addServer(name, weight) {
+    if (this.hasServer(name)) {
+        return;
+    }
+
+    this._addServer(name, weight);
+    this._onServersChanged();
+
+    this.emit('added', name);
+};
+
+ServerListRing.prototype.addRemoveServers = function addRemoveServers(serversToAdd, serversToRemove, weights) {
+    serversToAdd = serversToAdd || [];
+    serversToRemove = serversToRemove || [];
+    weights = weights || {};
+
+    var ringChanged = false;
+    var server;
+
+    for (var i = 0; i < serversToAdd.length; i++) {
+        server = serversToAdd[i];
+
+        if (!this.hasServer(server)) {
+            this._addServer(server, weights[server]);
+            ringChanged = true;
+        } else if (this._setWeight(server, weights[server])) {
+            ringChanged = true;
+        }
+    }
+
+    for (var j = 0; j < serversToRemove.length; j++) {
+        server = serversToRemove[j];
+
+        if (this.hasServer(server)) {
+            this._removeServer(server);
+            ringChanged = true;
+        }
+    }
+
+    if (ringChanged) {
+        this._onServersChanged();
+    }
+
+    return ringChanged;
+};
+
+ServerListRing.prototype.computeChecksum = function computeChecksum() {
+    var serverStr = ringUtil.serversToChecksumString(this.serverList,
+        this.getWeight.bind(this));
+
+    this.checksum = this.hashFunc(this.strategy + ';' + serverStr);
+
+    this.emit('checksumComputed');
+};
+
+ServerListRing.prototype.getServerCount = function getServerCount() {
+    return this.serverList.length;
+};
+
+ServerListRing.prototype.getServers = function getServers() {
+    return this.serverList.slice();
+};
+
+ServerListRing.prototype.getStats = function getStats() {
+    var self = this;
+
+    return {
+        checksum: this.checksum,
+        servers: this.serverList.slice(),
+        strategy: this.strategy,
+        weights: this.serverList.reduce(reduceWeights, {})
+    };
+
+    // Only servers that deviate from the default weight are reported.
+    function reduceWeights(weights, server) {
+        var weight = self.getWeight(server);
+
+        if (weight !== ringUtil.DEFAULT_WEIGHT) {
+            weights[server] = weight;
+        }
+
+        return weights;
+    }
+};
+
+ServerListRing.prototype.getWeight = function getWeight(server) {
+    return ringUtil.normalizeWeight(this.weights[server]);
+};
+
+ServerListRing.prototype.hasServer = function hasServer(name) {
+    return !!this.servers[name];
+};
+
+ServerListRing.prototype.removeServer = function removeServer(name) {
+    if (!this.hasServer(name)) {
+        return;
+    }
+
+    this._removeServer(name);
+    this._onServersChanged();
+
+    this.emit('removed', name);
+};
+
+ServerListRing.prototype.setServerWeight = function setServerWeight(name, weight) {
+    if (!this.hasServer(name) || !this._setWeight(name, weight)) {
+        return false;
+    }
+
+    this._onServersChanged();
+    this.emit('weightChanged', name);
+
+    return true;
+};
+
+ServerListRing.prototype._addServer = function _addServer(server, weight) {
+    this.servers[server] = true;
+
+    if (this.isWeighted) {
+        this.weights[server] = ringUtil.normalizeWeight(weight);
+    }
+};
+
+ServerListRing.prototype._onServersChanged = function _onServersChanged() {
+    this.serverList = Object.keys(this.servers).sort();
+    this.computeChecksum();
+};
+
+ServerListRing.prototype._removeServer = function _removeServer(server) {
+    delete this.servers[server];
+    delete this.weights[server];
+};
+
+ServerListRing.prototype._setWeight = function _setWeight(server, weight) {
+    if (!this.isWeighted || typeof weight === 'undefined') {
+        return false;
+    }
+
+    var oldWeight = this.getWeight(server);
+    this.weights[server] = ringUtil.normalizeWeight(weight);
+
+    return this.getWeight(server) !== oldWeight;
+};
+
+module.exports = ServerListRing;
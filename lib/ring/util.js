@@ -0,0 +1,101 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var DEFAULT_HASH_FUNC_ID = 'farmhash32';
+var DEFAULT_WEIGHT = 1;
+
+// Builds preference lists that spread servers over failure domains. Servers
+// are added in order of preference. Those in a domain that is already part
+// of the list are set aside, to fill up the list once every domain is.
+// spreadBy maps a server to its domain; without it, nothing is set aside.
+function createSpreader(spreadBy) {
+    var domains = Object.create(null);
+    var skipped = [];
+
+    return {
+        add: function add(servers, server) {
+            var domain = typeof spreadBy === 'function' ? spreadBy(server) : null;
+
+            if (domain === null || typeof domain === 'undefined') {
+                servers.push(server);
+            } else if (domains[domain]) {
+                skipped.push(server);
+            } else {
+                domains[domain] = true;
+                servers.push(server);
+            }
+        },
+        fill: function fill(servers, n) {
+            for (var i = 0; i < skipped.length && servers.length < n; i++) {
+                servers.push(skipped[i]);
+            }
+        }
+    };
+}
+
+function normalizeWeight(weight) {
+    return typeof weight === 'number' && weight > 0 ? weight : DEFAULT_WEIGHT;
+}
+
+// Picks up to n servers out of a full preference list. See createSpreader().
+function spreadServers(servers, n, spreadBy) {
+    var spread = createSpreader(spreadBy);
+    var results = [];
+
+    for (var i = 0; i < servers.length && results.length < n; i++) {
+        spread.add(results, servers[i]);
+    }
+
+    spread.fill(results, n);
+
+    return results;
+}
+
+// Weights are only appended for servers that do not carry the default
+// weight so that unweighted rings produce the same checksum as they
+// always have.
+function serverToChecksumString(server, weight) {
+    return weight !== DEFAULT_WEIGHT ? server + '@' + weight : server;
+}
+
+// Produces the string a ring checksum is computed from.
+function serversToChecksumString(sortedServers, getWeight) {
+    var str = '';
+
+    for (var i = 0; i < sortedServers.length; i++) {
+        var server = sortedServers[i];
+
+        str += (i > 0 ? ';' : '') +
+            serverToChecksumString(server, getWeight(server));
+    }
+
+    return str;
+}
+
+module.exports = {
+    DEFAULT_HASH_FUNC_ID: DEFAULT_HASH_FUNC_ID,
+    DEFAULT_WEIGHT: DEFAULT_WEIGHT,
+    createSpreader: createSpreader,
+    normalizeWeight: normalizeWeight,
+    serverToChecksumString: serverToChecksumString,
+    serversToChecksumString: serversToChecksumString,
+    spreadServers: spreadServers
+};
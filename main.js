@@ -17,14 +17,22 @@
 // LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
+var fs = require('fs');
+var HashRing = require('./lib/ring');
 var program = require('commander');
 var RingPop = require('./index');
+var safeParse = require('./lib/util').safeParse;
 var TChannel = require('tchannel');
 
 function main(args) {
+    if (args[2] === 'lookup') {
+        lookup(args.slice(0, 2).concat(args.slice(3)));
+        return;
+    }
+
     program
         .version(require('./package.json').version)
-        .usage('[options]')
+        .usage('[options]\n         ringpop lookup [options] <key...>')
         .option('-l, --listen <listen>', 'Host and port on which server listens (also node\'s identity in cluster)')
         .option('-h, --hosts <hosts>', 'Seed file of list of hosts to join')
         .parse(args);
@@ -61,6 +69,44 @@ function main(args) {
     }
 }
 
+// Answers lookups from a ring snapshot, as served by /admin/ring/snapshot,
+// rather than from a live ring.
+function lookup(args) {
+    var command = new program.Command('ringpop lookup')
+        .usage('[options] <key...>')
+        .option('-s, --snapshot <file>', 'Ring snapshot file')
+        .option('-n, --count <n>', 'Number of owners to look up per key', Number, 1)
+        .parse(args);
+
+    if (!command.snapshot || command.args.length === 0) {
+        console.error('Error: snapshot file and at least one key are required');
+        command.outputHelp();
+        process.exit(1);
+    }
+
+    var ring;
+    try {
+        var snapshot = safeParse(fs.readFileSync(command.snapshot, 'utf8'));
+        if (snapshot === null) {
+            console.error('Error: could not parse snapshot: ' + command.snapshot);
+            process.exit(1);
+        }
+
+        ring = HashRing.fromSnapshot(snapshot);
+    } catch (err) {
+        console.error('Error: could not load snapshot: ' + err.message);
+        process.exit(1);
+    }
+
+    command.args.forEach(function each(key) {
+        console.log(JSON.stringify({
+            key: key,
+            hash: ring.hashFunc(key),
+            dests: ring.lookupN(key, command.count)
+        }));
+    });
+}
+
 function createLogger(name) {
     return {
         trace: function noop() {},
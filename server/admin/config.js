@@ -21,12 +21,29 @@
 
 var safeParse = require('../../lib/util.js').safeParse;
 
+// Configs whose values are never handed out, only set. Whether they are
+// set at all is no secret.
+var REDACTED_CONFIGS = ['authKeys'];
+
+function redact(configs) {
+    var redacted = {};
+
+    Object.keys(configs).forEach(function each(key) {
+        var value = configs[key];
+        var isSet = Array.isArray(value) ? value.length > 0 : !!value;
+        redacted[key] = REDACTED_CONFIGS.indexOf(key) !== -1 && isSet ?
+            '<redacted>' : value;
+    });
+
+    return redacted;
+}
+
 function createConfigGetHandler(ringpop) {
     return function handleConfigGet(arg2, arg3, hostInfo, callback) {
         var body = safeParse(arg3 && arg3.toString());
 
         if (!body || !Array.isArray(body)) {
-            callback(null, null, JSON.stringify(ringpop.config.getAll()));
+            callback(null, null, JSON.stringify(redact(ringpop.config.getAll())));
             return;
         }
 
@@ -35,7 +52,7 @@ function createConfigGetHandler(ringpop) {
             return memo;
         }, {});
 
-        callback(null, null, JSON.stringify(configs));
+        callback(null, null, JSON.stringify(redact(configs)));
     };
 }
 
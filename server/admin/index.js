@@ -65,4 +65,4 @@ var baseEndpointHandlers = {
 };
 
 module.exports = _.extend({}, baseEndpointHandlers, require('./config.js'),
-    require('./gossip.js'), require('./member.js'));
+    require('./gossip.js'), require('./member.js'), require('./ring.js'));
@@ -21,6 +21,7 @@
 
 var errors = require('../../lib/errors.js');
 var Member = require('../../lib/membership/member.js');
+var safeParse = require('../../lib/util.js').safeParse;
 var sendJoin = require('../../lib/gossip/join-sender.js').joinCluster;
 var TypedError = require('error/typed');
 
@@ -42,7 +43,8 @@ function createJoinHandler(ringpop) {
         var localStatus = ringpop.membership.localMember.status;
         if (localStatus === Member.Status.leave) {
             // Assert local member is alive.
-            ringpop.membership.makeAlive(ringpop.whoami(), Date.now());
+            ringpop.membership.makeAlive(ringpop.whoami(), Date.now(),
+                ringpop.getLocalMemberAttributes());
 
             ringpop.gossip.start();
             ringpop.suspicion.reenable();
@@ -68,6 +70,33 @@ function createJoinHandler(ringpop) {
     };
 }
 
+function createListHandler(ringpop) {
+    return function handleList(arg1, arg2, hostInfo, callback) {
+        var body = safeParse(arg2 && arg2.toString()) || {};
+
+        if (typeof body !== 'object') {
+            callback(new Error('body must be an object'));
+            return;
+        }
+
+        if (typeof body.labels !== 'undefined' &&
+                (typeof body.labels !== 'object' || body.labels === null)) {
+            callback(new Error('labels must be an object'));
+            return;
+        }
+
+        var members = ringpop.membership.findMembers({
+            labels: body.labels
+        });
+
+        callback(null, null, JSON.stringify({
+            members: members.map(function map(member) {
+                return member.getStats();
+            })
+        }));
+    };
+}
+
 function createLeaveHandler(ringpop) {
     return function handleLeave(arg1, arg2, hostInfo, callback) {
         if (typeof callback !== 'function') {
@@ -106,5 +135,9 @@ module.exports = {
     memberLeave: {
         endpoint: '/admin/member/leave',
         handler: createLeaveHandler
+    },
+    memberList: {
+        endpoint: '/admin/member/list',
+        handler: createListHandler
     }
 };
@@ -23,11 +23,11 @@ var safeParse = require('../../lib/util.js').safeParse;
 
 module.exports = function createReloadHandler(ringpop) {
     return function handleReload(arg1, arg2, hostInfo, callback) {
+        // Without a file, the file the bootstrap hosts were read from is
+        // reloaded.
         var body = safeParse(arg2.toString());
-        if (body && body.file) {
-            ringpop.reload(body.file, function(err) {
-                callback(err);
-            });
-        }
+        ringpop.reload(body && body.file, function(err) {
+            callback(err);
+        });
     };
 };
@@ -19,15 +19,18 @@
 // THE SOFTWARE.
 'use strict';
 
+var verifyRequest = require('../lib/auth.js').verifyRequest;
 
 function RingpopServer(ringpop, tchannel) {
     var self = this;
     self.ringpop = ringpop;
     self.tchannel = tchannel;
 
-    registerEndpointHandlers(require('./admin'));
-    registerEndpointHandlers(require('./protocol'));
-    registerEndpointHandlers(require('./trace'));
+    // Admin and protocol requests can change membership, and so are the
+    // ones required to be signed when authentication is enabled.
+    registerEndpointHandlers(require('./admin'), true);
+    registerEndpointHandlers(require('./protocol'), true);
+    registerEndpointHandlers(require('./trace'), false);
 
     // Register stragglers ;)
     var createProxyReqHandler = require('./proxy-req.js');
@@ -36,25 +39,40 @@ function RingpopServer(ringpop, tchannel) {
     var createHealthHandler = require('./health.js');
     registerEndpoint('/health', createHealthHandler());
 
-    function registerEndpointHandlers(endpointHandlers) {
+    function registerEndpointHandlers(endpointHandlers, isAuthenticated) {
         Object.keys(endpointHandlers).forEach(function each(key) {
             var endpointHandler = endpointHandlers[key];
             registerEndpoint(endpointHandler.endpoint,
-                endpointHandler.handler(ringpop));
+                endpointHandler.handler(ringpop), isAuthenticated);
         });
     }
 
     // Wraps endpoint handler so that it doesn't have to
     // know TChannel req/res API.
-    function registerEndpoint(url, handler) {
+    function registerEndpoint(url, handler, isAuthenticated) {
         tchannel.register(url, function (req, res, arg2, arg3) {
+            if (isAuthenticated) {
+                var authErr = verifyRequest(self.ringpop, {
+                    endpoint: url,
+                    head: arg2,
+                    body: arg3,
+                    remoteAddr: req.remoteAddr
+                });
+                if (authErr) {
+                    onResponse(authErr);
+                    return;
+                }
+            }
+
             handler(arg2, arg3, req.remoteAddr, onResponse);
 
             function onResponse(err, res1, res2) {
                 res.headers.as = 'raw';
+                // The type of typed errors is sent as the head, so that
+                // callers can tell errors apart.
                 if (err) {
                     self.ringpop.logger.warn(err.message, err);
-                    res.sendNotOk(null, err.message);
+                    res.sendNotOk(err.type || null, err.message);
                 } else {
                     res.sendOk(res1, res2);
                 }
@@ -0,0 +1,50 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var safeParse = require('../../lib/util').safeParse;
+
+module.exports = function createDampReqHandler(ringpop) {
+    return function handleDampReq(arg1, arg2, hostInfo, callback) {
+        ringpop.stat('increment', 'damp-req.recv');
+
+        var body = safeParse(arg2);
+        if (body === null || !body.source || !Array.isArray(body.flappers)) {
+            return callback(new Error('need req body with source and flappers'));
+        }
+
+        // Members unknown to this node are left out; they count as
+        // unconfirmed to the requester.
+        var scores = [];
+        for (var i = 0; i < body.flappers.length; i++) {
+            var member = ringpop.membership.findMemberByAddress(body.flappers[i]);
+            if (member) {
+                scores.push({
+                    member: member.address,
+                    dampScore: member.dampScore
+                });
+            }
+        }
+
+        callback(null, null, JSON.stringify({
+            scores: scores
+        }));
+    };
+};
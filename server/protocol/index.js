@@ -20,6 +20,10 @@
 'use strict';
 
 module.exports = {
+    dampReq: {
+        endpoint: '/protocol/damp-req',
+        handler: require('./damp-req.js')
+    },
     join: {
         endpoint: '/protocol/join',
         handler: require('./join.js')
@@ -31,5 +35,9 @@ module.exports = {
     pingReq: {
         endpoint: '/protocol/ping-req',
         handler: require('./ping-req.js')
+    },
+    sync: {
+        endpoint: '/protocol/sync',
+        handler: require('./sync.js')
     }
 };
@@ -19,6 +19,8 @@
 // THE SOFTWARE.
 'use strict';
 
+var compatibility = require('../../lib/compatibility.js');
+var errors = require('../../lib/errors.js');
 var safeParse = require('../../lib/util').safeParse;
 var TypedError = require('error/typed');
 
@@ -98,6 +100,17 @@ function validateJoinerApp(ringpop, app, callback) {
     return true;
 }
 
+function validateJoinerCompatibility(ringpop, body, callback) {
+    var err = compatibility.checkCompatibility(ringpop, body.source,
+        body.compatibility);
+    if (compatibility.isRefused(ringpop, body.source, err)) {
+        callback(err);
+        return false;
+    }
+
+    return true;
+}
+
 module.exports = function createJoinHandler(ringpop) {
     return function handleJoin(arg1, arg2, hostInfo, callback) {
         var body = safeParse(arg2.toString());
@@ -116,18 +129,34 @@ module.exports = function createJoinHandler(ringpop) {
 
         if (!validateDenyingJoins(ringpop, callback) ||
             !validateJoinerAddress(ringpop, source, callback) ||
-            !validateJoinerApp(ringpop, app, callback)) {
+            !validateJoinerApp(ringpop, app, callback) ||
+            !validateJoinerCompatibility(ringpop, body, callback)) {
+            return;
+        }
+
+        if (!ringpop.joinAdmission.admit()) {
+            callback(errors.JoinBusyError());
             return;
         }
 
         ringpop.serverRate.mark();
         ringpop.totalRate.mark();
 
-        ringpop.membership.makeAlive(source, incarnationNumber);
+        // NOTE weight, load, zone and labels are optional. Joiners that
+        // predate them do not send them.
+        ringpop.membership.makeAlive(source, incarnationNumber, {
+            weight: body.weight,
+            load: body.load,
+            loadVersion: body.loadVersion,
+            zone: body.zone,
+            labels: body.labels,
+            version: body.version
+        });
 
         callback(null, null, JSON.stringify({
             app: ringpop.app,
             coordinator: ringpop.whoami(),
+            compatibility: compatibility.getCompatibility(ringpop),
             membership: ringpop.dissemination.fullSync(),
             membershipChecksum: ringpop.membership.checksum
         }));
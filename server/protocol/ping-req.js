@@ -22,6 +22,9 @@
 var safeParse = require('../../lib/util').safeParse;
 var sendPing = require('../../lib/gossip/ping-sender.js');
 
+// The share of the ping-req sender's timeout after which a nack is sent.
+var NACK_TIMEOUT_RATIO = 0.8;
+
 module.exports = function createPingReqHandler(ringpop) {
     return function handlePingReq(arg1, arg2, hostInfo, callback) {
         ringpop.stat('increment', 'ping-req.recv');
@@ -46,6 +49,19 @@ module.exports = function createPingReqHandler(ringpop) {
 
         ringpop.debugLog('ping-req send ping source=' + source + ' target=' + target, 'p');
 
+        // A nack tells the ping-req sender that the target could not be
+        // reached, as opposed to this member being unreachable itself. It
+        // is sent ahead of the sender's timeout, if given, when the ping
+        // takes too long.
+        var responded = false;
+        var nackTimer = null;
+        if (typeof body.timeout === 'number') {
+            nackTimer = ringpop.setTimeout(function onNackTimeout() {
+                ringpop.debugLog('ping-req nack source=' + source + ' target=' + target, 'p');
+                respond(false);
+            }, body.timeout * NACK_TIMEOUT_RATIO);
+        }
+
         var start = new Date();
         sendPing({
             ringpop: ringpop,
@@ -58,12 +74,31 @@ module.exports = function createPingReqHandler(ringpop) {
                 ringpop.membership.update(body.changes);
             }
 
+            respond(isOk);
+        });
+
+        function respond(isOk) {
+            if (responded) {
+                return;
+            }
+
+            responded = true;
+            clearTimeout(nackTimer);
+
+            if (!isOk) {
+                ringpop.stat('increment', 'ping-req.nack.send');
+            }
+
+            var response = ringpop.dissemination.issueResponseAsReceiver(
+                source, sourceIncarnationNumber, checksum);
+
             callback(null, null, JSON.stringify({
-                changes: ringpop.dissemination.issueAsReceiver(source,
-                    sourceIncarnationNumber, checksum),
+                changes: response.changes,
+                isFullSync: response.isFullSync,
+                nack: !isOk,
                 pingStatus: isOk,
                 target: target
             }));
-        });
+        }
     };
 };
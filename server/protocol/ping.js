@@ -43,9 +43,19 @@ module.exports = function createPingHandler(ringpop) {
 
         ringpop.membership.update(changes);
 
+        // A full-sync is answered with changes only. The sender sends one
+        // in reply to ours, so answering it with another could go on
+        // forever. A sender that asks for a delta sync starts one itself
+        // when the checksums still differ.
+        var response = ringpop.dissemination.issueResponseAsReceiver(source,
+            sourceIncarnationNumber, checksum, !body.isFullSync && !body.deltaSync);
+
+        // The checksum lets the sender of the ping tell whether it
+        // converged with this member after a full-sync.
         callback(null, null, JSON.stringify({
-            changes: ringpop.dissemination.issueAsReceiver(source,
-                sourceIncarnationNumber, checksum),
+            changes: response.changes,
+            checksum: ringpop.membership.checksum,
+            isFullSync: response.isFullSync
         }));
     };
 };
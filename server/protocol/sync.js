@@ -0,0 +1,66 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var MerkleTree = require('../../lib/membership/merkle.js');
+var safeParse = require('../../lib/util').safeParse;
+
+module.exports = function createSyncHandler(ringpop) {
+    return function handleSync(arg1, arg2, hostInfo, callback) {
+        ringpop.stat('increment', 'sync.recv');
+
+        var body = safeParse(arg2);
+        if (body === null || !body.source || !isValidDepth(body.depth)) {
+            return callback(new Error('need req body with source and depth'));
+        }
+
+        var tree = ringpop.membership.getMerkleTree(body.depth);
+
+        if (body.hashes && typeof body.hashes === 'object') {
+            return callback(null, null, JSON.stringify({
+                differing: tree.diff(body.hashes)
+            }));
+        }
+
+        if (!Array.isArray(body.leaves) || !Array.isArray(body.changes)) {
+            return callback(new Error('need req body with hashes, or leaves and changes'));
+        }
+
+        // Members are taken from the tree as it was before the changes
+        // were applied, so as not to echo the changes back to the sender.
+        var leaves = body.leaves.filter(function filter(index) {
+            return tree.isLeaf(index);
+        });
+        var changes = ringpop.dissemination.membersToChanges(tree.getMembers(leaves));
+
+        if (body.changes.length > 0) {
+            ringpop.membership.update(body.changes);
+        }
+
+        callback(null, null, JSON.stringify({
+            changes: changes
+        }));
+    };
+};
+
+function isValidDepth(depth) {
+    return typeof depth === 'number' && depth % 1 === 0 &&
+        depth >= 0 && depth <= MerkleTree.MAX_DEPTH;
+}
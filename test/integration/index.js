@@ -21,6 +21,7 @@
 
 require('./admin_test.js');
 require('./join-test.js');
+require('./partition-test.js');
 require('./proxy-test.js');
 require('./ring-test.js');
 require('./gossip_test.js');
@@ -0,0 +1,168 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+'use strict';
+
+var PartitionCluster = require('../lib/partition-cluster.js');
+var testRingpopCluster = require('../lib/test-ringpop-cluster.js');
+var TimeMock = require('time-mock');
+
+// Gossip is driven a protocol period at a time rather than on timers, and
+// suspicions expire when time is advanced, so that the test does not
+// depend on how fast the machine running it is.
+var MAX_ROUNDS = 20;
+var SUSPICION_TIMEOUT = 100;
+
+function getStatus(ringpop, address) {
+    var member = ringpop.membership.findMemberByAddress(address);
+    return member ? member.status : null;
+}
+
+function isSuspected(left, right) {
+    return left.every(function everyLeft(ringpop) {
+        return right.every(function everyRight(other) {
+            return getStatus(ringpop, other.hostPort) !== 'alive' &&
+                getStatus(other, ringpop.hostPort) !== 'alive';
+        });
+    });
+}
+
+function isSplit(left, right) {
+    return left.every(function everyLeft(ringpop) {
+        return right.every(function everyRight(other) {
+            return getStatus(ringpop, other.hostPort) === 'faulty' &&
+                getStatus(other, ringpop.hostPort) === 'faulty';
+        });
+    });
+}
+
+function isConverged(cluster) {
+    var checksum = cluster[0].membership.checksum;
+
+    return cluster.every(function everyRingpop(ringpop) {
+        return ringpop.membership.checksum === checksum &&
+            cluster.every(function everyMember(other) {
+                return getStatus(ringpop, other.hostPort) === 'alive';
+            });
+    });
+}
+
+function mkNoTimers(cluster) {
+    var noop = function noop() {
+    };
+
+    cluster.forEach(function eachRingpop(ringpop) {
+        ringpop.gossip.start = noop;
+        ringpop.partitionHealer.start = noop;
+    });
+}
+
+// Runs a protocol period on every member, one after the other.
+function tickCluster(cluster, callback) {
+    var i = 0;
+
+    next();
+
+    function next() {
+        if (i === cluster.length) {
+            callback();
+            return;
+        }
+
+        cluster[i++].gossip.tick(function onTick() {
+            next();
+        });
+    }
+}
+
+function tickUntil(cluster, condition, callback) {
+    var round = 0;
+
+    check();
+
+    function check() {
+        if (condition()) {
+            callback(null);
+            return;
+        }
+
+        if (++round > MAX_ROUNDS) {
+            callback(new Error('not reached within ' + MAX_ROUNDS + ' rounds'));
+            return;
+        }
+
+        tickCluster(cluster, check);
+    }
+}
+
+var timers = TimeMock(Date.now());
+
+testRingpopCluster({
+    size: 4,
+    suspicionTimeout: SUSPICION_TIMEOUT,
+    setTimeout: timers.setTimeout,
+    tap: function tap(cluster) {
+        mkNoTimers(cluster);
+    }
+}, 'partitioned cluster heals once network recovers', function t(bootRes, cluster, assert) {
+    var left = cluster.slice(0, 2);
+    var right = cluster.slice(2);
+    var partitionCluster = PartitionCluster({
+        ringpops: cluster
+    });
+
+    assert.ok(isConverged(cluster), 'cluster starts out converged');
+
+    partitionCluster.splitNetwork({
+        left: left.map(toHostPort),
+        right: right.map(toHostPort)
+    });
+
+    tickUntil(cluster, function suspected() {
+        return isSuspected(left, right);
+    }, function onSuspected(err) {
+        assert.ifError(err, 'each side suspects the other');
+
+        timers.advance(SUSPICION_TIMEOUT);
+        assert.ok(isSplit(left, right), 'each side declares the other faulty');
+
+        partitionCluster.healNetwork();
+
+        cluster[0].partitionHealer.heal(function onHeal(err, target) {
+            assert.ifError(err, 'heal succeeds');
+            assert.ok(right.some(function some(ringpop) {
+                return ringpop.hostPort === target;
+            }), 'heals through the other side');
+
+            tickUntil(cluster, function converged() {
+                return isConverged(cluster);
+            }, function onConverged(err) {
+                assert.ifError(err, 'cluster converges');
+                assert.ok(cluster[0].partitionHealer.getStats().partitionsDetected > 0,
+                    'partition detected');
+                assert.end();
+            });
+        });
+    });
+
+    function toHostPort(ringpop) {
+        return ringpop.hostPort;
+    }
+});
@@ -0,0 +1,73 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var protocolEndpoints = require('../../server/protocol/index.js');
+
+// Connects ringpops through in-memory channels that dispatch requests
+// straight to the protocol handlers of the ringpop they are addressed to.
+// Requests to unknown hosts fail as if the host were unreachable.
+module.exports = function connectRingpops(ringpops) {
+    var handlersByHost = {};
+
+    ringpops.forEach(function each(ringpop) {
+        var handlers = handlersByHost[ringpop.whoami()] = {};
+
+        Object.keys(protocolEndpoints).forEach(function eachEndpoint(name) {
+            var endpoint = protocolEndpoints[name];
+            handlers[endpoint.endpoint] = endpoint.handler(ringpop);
+        });
+
+        ringpop.channel = createChannel();
+    });
+
+    function createChannel() {
+        return {
+            close: function close() {},
+            request: function request(opts) {
+                return {
+                    send: function send(endpoint, head, body, callback) {
+                        setImmediate(function onImmediate() {
+                            dispatch(opts.host, endpoint, head, body, callback);
+                        });
+                    }
+                };
+            },
+            waitForIdentified: function waitForIdentified(opts, callback) {
+                setImmediate(callback);
+            }
+        };
+    }
+
+    /* jshint maxparams: 5 */
+    function dispatch(host, endpoint, head, body, callback) {
+        var handler = handlersByHost[host] && handlersByHost[host][endpoint];
+        if (!handler) {
+            callback(new Error('unreachable host ' + host));
+            return;
+        }
+
+        handler(head, body, null, function onHandled(err, res1, res2) {
+            callback(err, {
+                ok: !err
+            }, res1, res2);
+        });
+    }
+};
@@ -20,85 +20,106 @@
 
 'use strict';
 
-var globalNet = require('net');
 var assert = require('assert');
 
 module.exports = PartitionCluster;
 
+// Splits a cluster of ringpops into two sides that cannot reach each other
+// and heals it again. Requests are cut off where ringpops make them, on
+// their channels, so that the cluster may be connected through TChannel or
+// through in-memory channels alike. A request from one side to the other
+// fails as if the other side were unreachable. Requests already in flight
+// when the network splits are let through.
 function PartitionCluster(opts) {
-    var socketTable = SocketTable();
-    var partitionTable = PartitionTable(opts);
+    assert(opts && Array.isArray(opts.ringpops), 'opts.ringpops must be array');
+
+    var partitionTable = PartitionTable();
+
+    opts.ringpops.forEach(function each(ringpop) {
+        partitionChannel(ringpop.whoami(), ringpop.channel);
+    });
 
     return {
         splitNetwork: splitNetwork,
-        allocateNetFor: allocateNetFor
+        healNetwork: healNetwork,
+        isPartitioned: isPartitioned
     };
 
-    function splitNetwork(opts) {
-        partitionTable.set(opts);
-
-        enforceSplit();
+    function splitNetwork(split) {
+        partitionTable.set(split);
     }
 
-    function allocateNetFor(name) {
-        var net = {
-            createConnection: createConnection,
-            createServer: globalNet.createServer
-        };
-
-        return net;
-
-        function createConnection() {
-            var sock = globalNet.createConnection.apply(
-                globalNet, arguments);
-
-            return sock;
-        }
+    function healNetwork() {
+        partitionTable.clear();
     }
 
-    function enforceSplit() {
-
+    function isPartitioned(source, destination) {
+        return partitionTable.isSplit(source, destination);
     }
-}
 
-function SocketTable() {
-    /*  socketTable : {
-            sources: Object<hostPort: String, {
-                destinations: Object<hostPort, net.Socket>
-            }>
-        }
-    */
-    var socketTable = {
-        sources: {},
-        storeSocket: storeSocket
-    };
+    function partitionChannel(source, channel) {
+        var request = channel.request;
+        var waitForIdentified = channel.waitForIdentified;
+
+        channel.request = function partitionedRequest(requestOpts) {
+            var req = request.apply(channel, arguments);
+            var send = req.send;
 
-    function storeSocket(name, socket) {
-        assert(name, 'name required');
-        assert(isHostPort(name), 'name must be host:port');
+            /* jshint maxparams: 5 */
+            req.send = function partitionedSend(endpoint, head, body, callback) {
+                if (isPartitioned(source, requestOpts.host)) {
+                    failUnreachable(requestOpts.host, callback);
+                    return;
+                }
 
-        if (!socketTable.sources[name]) {
-            socketTable.sources[name] = {
-                destinations: {}
+                send.apply(req, arguments);
             };
-        }
 
-        var destinationName = '';
+            return req;
+        };
+
+        channel.waitForIdentified = function partitionedWaitForIdentified(waitOpts, callback) {
+            if (isPartitioned(source, waitOpts.host)) {
+                failUnreachable(waitOpts.host, callback);
+                return;
+            }
+
+            waitForIdentified.apply(channel, arguments);
+        };
     }
 }
 
-function PartitionTable(opts) {
+function failUnreachable(host, callback) {
+    setImmediate(function onImmediate() {
+        callback(new Error('network partitioned from host ' + host));
+    });
+}
+
+function PartitionTable() {
     var partitionTable = {
         left: [],
         right: [],
+        clear: clear,
+        isSplit: isSplit,
         set: set
     };
 
-    partitionTable.set(opts);
-
     return partitionTable;
 
-    function set() {
+    function clear() {
+        partitionTable.left = [];
+        partitionTable.right = [];
+    }
+
+    function isSplit(source, destination) {
+        var left = partitionTable.left;
+        var right = partitionTable.right;
+
+        return (left.indexOf(source) !== -1 && right.indexOf(destination) !== -1) ||
+            (right.indexOf(source) !== -1 && left.indexOf(destination) !== -1);
+    }
+
+    function set(opts) {
         assert(opts.left, 'opts.left is required');
         assert(opts.right, 'opts.right is required');
         assert(Array.isArray(opts.left), 'opts.left must be array');
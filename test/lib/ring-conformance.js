@@ -0,0 +1,176 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var tape = require('tape');
+var validateRing = require('../../lib/ring/interface.js').validateRing;
+
+var SERVERS = [
+    '127.0.0.1:3000',
+    '127.0.0.1:3001',
+    '127.0.0.1:3002',
+    '127.0.0.1:3003',
+    '127.0.0.1:3004'
+];
+
+// Runs the tests every ring must pass, whatever its strategy, against rings
+// returned by createRing. See lib/ring/interface.js for the contract.
+function testRingConformance(name, createRing) {
+    function test(description, fn) {
+        tape(name + ': ' + description, function onTest(assert) {
+            fn(createRing(), assert);
+            assert.end();
+        });
+    }
+
+    test('implements the ring interface', function t(ring, assert) {
+        assert.doesNotThrow(function validate() {
+            validateRing(ring);
+        }, 'ring is valid');
+        assert.equals(ring.checksum, null, 'checksum is null');
+    });
+
+    test('empty ring owns nothing', function t(ring, assert) {
+        assert.equals(ring.getServerCount(), 0, 'no servers');
+        assert.equals(ring.lookup('key'), null, 'no owner');
+        assert.deepEquals(ring.lookupN('key', 3), [], 'no owners');
+    });
+
+    test('addRemoveServers reports changes', function t(ring, assert) {
+        assert.true(ring.addRemoveServers(SERVERS, []), 'servers added');
+        assert.false(ring.addRemoveServers(SERVERS, []), 'servers already added');
+        assert.equals(ring.getServerCount(), SERVERS.length, 'all servers counted');
+        assert.true(ring.hasServer(SERVERS[0]), 'has server');
+
+        assert.true(ring.addRemoveServers([], [SERVERS[0]]), 'server removed');
+        assert.false(ring.addRemoveServers([], [SERVERS[0]]), 'server already removed');
+        assert.false(ring.hasServer(SERVERS[0]), 'does not have server');
+        assert.equals(ring.getServerCount(), SERVERS.length - 1, 'server no longer counted');
+    });
+
+    test('checksum is computed once per change', function t(ring, assert) {
+        var computed = 0;
+        ring.on('checksumComputed', function onComputed() {
+            computed++;
+        });
+
+        ring.addRemoveServers(SERVERS, []);
+        assert.equals(computed, 1, 'computed once for many servers');
+        assert.notEquals(ring.checksum, null, 'checksum computed');
+
+        ring.addRemoveServers(SERVERS, []);
+        assert.equals(computed, 1, 'not computed when nothing changed');
+    });
+
+    test('checksum only depends on servers', function t(ring, assert) {
+        var otherRing = createRing();
+
+        ring.addRemoveServers(SERVERS, []);
+        otherRing.addRemoveServers(SERVERS.slice().reverse(), []);
+        assert.equals(ring.checksum, otherRing.checksum, 'order does not matter');
+
+        var checksum = ring.checksum;
+        ring.addRemoveServers([], [SERVERS[2]]);
+        assert.notEquals(ring.checksum, checksum, 'checksum changed on remove');
+
+        ring.addRemoveServers([SERVERS[2]], []);
+        assert.equals(ring.checksum, checksum, 'checksum restored on add');
+    });
+
+    test('lookup is deterministic', function t(ring, assert) {
+        var otherRing = createRing();
+
+        ring.addRemoveServers(SERVERS, []);
+        otherRing.addRemoveServers(SERVERS.slice().reverse(), []);
+
+        for (var i = 0; i < 100; i++) {
+            var key = 'key' + i;
+            var owner = ring.lookup(key);
+
+            assert.true(ring.hasServer(owner), 'owner is a server');
+            assert.equals(ring.lookup(key), owner, 'same owner on same ring');
+            assert.equals(otherRing.lookup(key), owner, 'same owner on same servers');
+        }
+    });
+
+    test('lookupN returns unique servers led by the owner', function t(ring, assert) {
+        ring.addRemoveServers(SERVERS, []);
+
+        for (var i = 0; i < 50; i++) {
+            var key = 'key' + i;
+            var owners = ring.lookupN(key, 3);
+
+            assert.equals(owners.length, 3, 'n servers');
+            assert.equals(owners[0], ring.lookup(key), 'owner comes first');
+            assert.notEquals(owners[0], owners[1], 'servers are unique');
+            assert.notEquals(owners[1], owners[2], 'servers are unique');
+            assert.notEquals(owners[0], owners[2], 'servers are unique');
+        }
+
+        assert.equals(ring.lookupN('key', SERVERS.length + 2).length, SERVERS.length,
+            'no more servers than are in the ring');
+    });
+
+    test('lookupN spreads servers over domains', function t(ring, assert) {
+        // Two domains, one of which holds all servers but one.
+        function spreadBy(server) {
+            return server === SERVERS[2] ? 'b' : 'a';
+        }
+
+        ring.addRemoveServers(SERVERS, []);
+
+        for (var i = 0; i < 50; i++) {
+            var key = 'key' + i;
+            var owners = ring.lookupN(key, 3, { spreadBy: spreadBy });
+            var unspread = ring.lookupN(key, SERVERS.length);
+
+            assert.equals(owners.length, 3, 'n servers');
+            assert.equals(owners[0], ring.lookup(key), 'owner comes first');
+            assert.notEquals(spreadBy(owners[0]), spreadBy(owners[1]),
+                'second server is in another domain');
+            assert.equals(owners[2], unspread.filter(function isLeft(server) {
+                return server !== owners[0] && server !== owners[1];
+            })[0], 'list filled up in order once domains are exhausted');
+        }
+    });
+
+    test('keys are spread over all servers', function t(ring, assert) {
+        var owned = {};
+
+        ring.addRemoveServers(SERVERS, []);
+
+        for (var i = 0; i < 1000; i++) {
+            owned[ring.lookup('key' + i)] = true;
+        }
+
+        assert.equals(Object.keys(owned).length, SERVERS.length, 'every server owns keys');
+    });
+
+    test('stats include checksum and servers', function t(ring, assert) {
+        ring.addRemoveServers(SERVERS, []);
+
+        var stats = ring.getStats();
+        assert.equals(stats.checksum, ring.checksum, 'checksum in stats');
+        assert.deepEquals(stats.servers.slice().sort(), SERVERS.slice().sort(),
+            'servers in stats');
+    });
+}
+
+module.exports = testRingConformance;
@@ -0,0 +1,217 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var auth = require('../../lib/auth.js');
+var RingpopClient = require('../../client.js');
+var testRingpop = require('../lib/test-ringpop.js');
+
+function countStats(ringpop) {
+    var counts = {};
+
+    ringpop.stat = function countingStat(type, key) {
+        counts[key] = (counts[key] || 0) + 1;
+    };
+
+    return counts;
+}
+
+testRingpop('requests are neither signed nor verified without keys', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+
+    assert.equal(auth.signRequest(ringpop, '/protocol/ping', '{}'), null,
+        'no signature');
+    assert.equal(auth.verifyRequest(ringpop, {
+        endpoint: '/protocol/ping',
+        head: null,
+        body: '{}'
+    }), null, 'request is accepted');
+});
+
+testRingpop('signed requests are accepted', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    ringpop.config.set('authKeys', ['secret']);
+
+    var signature = auth.signRequest(ringpop, '/protocol/ping', '{}');
+    assert.ok(signature, 'request is signed');
+    assert.equal(auth.verifyRequest(ringpop, {
+        endpoint: '/protocol/ping',
+        head: new Buffer(signature),
+        body: new Buffer('{}')
+    }), null, 'request is accepted');
+});
+
+testRingpop('unsigned and badly signed requests are rejected', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    ringpop.config.set('authKeys', ['secret']);
+    var counts = countStats(ringpop);
+
+    var err = auth.verifyRequest(ringpop, {
+        endpoint: '/protocol/ping',
+        head: null,
+        body: '{}',
+        remoteAddr: '127.0.0.1:3001'
+    });
+    assert.equal(err.type, 'ringpop.unauthorized-request', 'missing signature');
+
+    ringpop.config.set('authKeys', ['other']);
+    var signature = auth.signRequest(ringpop, '/protocol/ping', '{}');
+    ringpop.config.set('authKeys', ['secret']);
+
+    err = auth.verifyRequest(ringpop, {
+        endpoint: '/protocol/ping',
+        head: signature,
+        body: '{}'
+    });
+    assert.equal(err.type, 'ringpop.unauthorized-request', 'signed with unknown key');
+
+    assert.deepEqual(counts, {
+        'auth.rejected': 2,
+        'auth.rejected.missing': 1,
+        'auth.rejected.invalid': 1
+    }, 'rejections are counted');
+});
+
+testRingpop('malformed signatures are rejected', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    ringpop.config.set('authKeys', ['secret']);
+    var counts = countStats(ringpop);
+
+    var signature = auth.signRequest(ringpop, '/protocol/ping', '{}');
+    var heads = [
+        signature.slice(signature.indexOf(':') + 1),
+        ':' + signature.slice(signature.indexOf(':') + 1),
+        'now' + signature.slice(signature.indexOf(':'))
+    ];
+
+    heads.forEach(function each(head) {
+        assert.ok(auth.verifyRequest(ringpop, {
+            endpoint: '/protocol/ping',
+            head: head,
+            body: '{}'
+        }), 'request is rejected');
+    });
+    assert.equal(counts['auth.rejected.invalid'], heads.length,
+        'rejections are counted');
+});
+
+testRingpop('stale signatures are rejected', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    ringpop.config.set('authKeys', ['secret']);
+    var counts = countStats(ringpop);
+
+    var signature = auth.signRequest(ringpop, '/protocol/ping', '{}');
+    ringpop.config.set('authMaxClockSkew', -1);
+
+    var err = auth.verifyRequest(ringpop, {
+        endpoint: '/protocol/ping',
+        head: signature,
+        body: '{}'
+    });
+    assert.equal(err && err.reason, 'stale signature', 'request is rejected');
+    assert.equal(counts['auth.rejected.stale'], 1, 'rejection is counted');
+});
+
+testRingpop('signatures are bound to the time of signing', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    ringpop.config.set('authKeys', ['secret']);
+
+    var signature = auth.signRequest(ringpop, '/protocol/ping', '{}');
+    var timestamp = Number(signature.slice(0, signature.indexOf(':')));
+
+    assert.ok(auth.verifyRequest(ringpop, {
+        endpoint: '/protocol/ping',
+        head: (timestamp + 1) + signature.slice(signature.indexOf(':')),
+        body: '{}'
+    }), 'other time of signing rejected');
+});
+
+testRingpop('signatures are bound to the endpoint and body', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    ringpop.config.set('authKeys', ['secret']);
+
+    var signature = auth.signRequest(ringpop, '/protocol/ping', '{}');
+    assert.ok(auth.verifyRequest(ringpop, {
+        endpoint: '/admin/member/leave',
+        head: signature,
+        body: '{}'
+    }), 'other endpoint rejected');
+    assert.ok(auth.verifyRequest(ringpop, {
+        endpoint: '/protocol/ping',
+        head: signature,
+        body: '{"changes":[]}'
+    }), 'other body rejected');
+});
+
+testRingpop('requests signed with an old key are accepted during rotation', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    ringpop.config.set('authKeys', ['old']);
+    var signature = auth.signRequest(ringpop, '/protocol/ping', '{}');
+
+    ringpop.config.set('authKeys', ['new', 'old']);
+    var counts = countStats(ringpop);
+
+    assert.equal(auth.verifyRequest(ringpop, {
+        endpoint: '/protocol/ping',
+        head: signature,
+        body: '{}'
+    }), null, 'request is accepted');
+    assert.deepEqual(counts, {
+        'auth.accepted.old-key': 1
+    }, 'use of old key is counted');
+    assert.notEqual(auth.signRequest(ringpop, '/protocol/ping', '{}'), signature,
+        'requests are signed with the new key');
+});
+
+testRingpop('client requests are signed', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    ringpop.config.set('authKeys', ['secret']);
+
+    var sent = [];
+    var subChannel = {
+        waitForIdentified: function waitForIdentified(opts, callback) {
+            callback();
+        },
+        request: function request() {
+            return {
+                send: function send(endpoint, head, body) {
+                    sent.push({
+                        endpoint: endpoint,
+                        head: head,
+                        body: body
+                    });
+                }
+            };
+        }
+    };
+
+    new RingpopClient(subChannel, {
+        ringpop: ringpop
+    }).adminConfigGet('127.0.0.1:3001', ['authKeys'], function noop() {});
+    new RingpopClient(subChannel, {
+        authKeys: ['secret']
+    }).adminGossipTick('127.0.0.1:3001', function noop() {});
+
+    assert.equal(sent.length, 2, 'requests are sent');
+    sent.forEach(function each(req) {
+        assert.equal(auth.verifyRequest(ringpop, req), null,
+            req.endpoint + ' request is accepted');
+    });
+});
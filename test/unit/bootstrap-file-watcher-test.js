@@ -0,0 +1,201 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var BootstrapFileWatcher = require('../../lib/discovery/bootstrap-file-watcher.js');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Ringpop = require('../../index.js');
+var test = require('tape');
+
+var fileCounter = 0;
+
+// Sets up a ringpop whose bootstrap hosts file is watched by a watcher
+// that is told of changes by `deps.change()` rather than fs.watch.
+function setup(hosts) {
+    var file = path.join(os.tmpdir(), 'ringpop-bootstrap-watch-test-' +
+        process.pid + '-' + (fileCounter++) + '.json');
+    fs.writeFileSync(file, JSON.stringify(hosts));
+
+    var ringpop = new Ringpop({
+        app: 'test',
+        hostPort: '127.0.0.1:3000'
+    });
+    ringpop.bootstrapHosts = hosts;
+
+    var stats = [];
+    ringpop.stat = function stat(type, key) {
+        stats.push(key);
+    };
+
+    var listener = null;
+    var watcher = new BootstrapFileWatcher({
+        ringpop: ringpop,
+        fs: {
+            readFile: fs.readFile.bind(fs),
+            watch: function watch(watched, onChange) {
+                listener = onChange;
+                return {
+                    close: function close() {
+                        listener = null;
+                    }
+                };
+            }
+        },
+        setTimeout: function setTimeout(fn) {
+            process.nextTick(fn);
+            return {};
+        },
+        clearTimeout: function clearTimeout() {}
+    });
+
+    return {
+        file: file,
+        ringpop: ringpop,
+        stats: stats,
+        watcher: watcher,
+        // Writes hosts to the file and waits for them to be either applied
+        // or rejected, both of which are counted.
+        change: function change(contents, callback) {
+            var numStats = stats.length;
+
+            fs.writeFileSync(file, contents);
+            whenWatched(function onWatched() {
+                listener('change');
+                whenReloaded();
+            });
+
+            function whenReloaded() {
+                if (stats.length > numStats) {
+                    callback();
+                    return;
+                }
+
+                setImmediate(whenReloaded);
+            }
+        },
+        destroy: function destroy() {
+            watcher.stop();
+            ringpop.destroy();
+            fs.unlinkSync(file);
+        }
+    };
+
+    function whenWatched(callback) {
+        if (listener) {
+            callback();
+            return;
+        }
+
+        setImmediate(whenWatched, callback);
+    }
+}
+
+test('changed hosts are applied and announced', function t(assert) {
+    var deps = setup(['127.0.0.1:3000', '127.0.0.1:3001']);
+    var events = [];
+    deps.ringpop.on('bootstrapHostsChanged', function onChanged(event) {
+        events.push(event);
+    });
+
+    deps.watcher.watch(deps.file);
+    deps.change(JSON.stringify(['127.0.0.1:3000', '127.0.0.1:3002']), function onChange() {
+        assert.deepEqual(deps.ringpop.bootstrapHosts,
+            ['127.0.0.1:3000', '127.0.0.1:3002'], 'hosts are applied');
+        assert.equal(events.length, 1, 'change is announced');
+        assert.deepEqual(events[0].added, ['127.0.0.1:3002'], 'added hosts');
+        assert.deepEqual(events[0].removed, ['127.0.0.1:3001'], 'removed hosts');
+        assert.equal(events[0].file, deps.file, 'file');
+        assert.ok(deps.stats.indexOf('bootstrap-hosts.reload.applied') !== -1,
+            'applied reload is counted');
+
+        deps.destroy();
+        assert.end();
+    });
+});
+
+test('invalid hosts are rejected and the file is watched still', function t(assert) {
+    var hosts = ['127.0.0.1:3000', '127.0.0.1:3001'];
+    var deps = setup(hosts);
+    var numEvents = 0;
+    deps.ringpop.on('bootstrapHostsChanged', function onChanged() {
+        numEvents++;
+    });
+
+    deps.watcher.watch(deps.file);
+    deps.change('["127.0.0.1:30', function onMalformed() {
+        deps.change(JSON.stringify(['127.0.0.1']), function onBadHostPort() {
+            deps.change(JSON.stringify(['127.0.0.1:3001']), function onMissingSelf() {
+                assert.equal(deps.ringpop.bootstrapHosts, hosts, 'hosts are kept');
+                assert.equal(numEvents, 0, 'no change is announced');
+                assert.equal(deps.stats.filter(function isRejected(key) {
+                    return key === 'bootstrap-hosts.reload.rejected';
+                }).length, 3, 'rejected reloads are counted');
+
+                deps.change(JSON.stringify(['127.0.0.1:3000']), function onValid() {
+                    assert.deepEqual(deps.ringpop.bootstrapHosts,
+                        ['127.0.0.1:3000'], 'valid hosts are applied');
+                    assert.equal(numEvents, 1, 'change is announced');
+
+                    deps.destroy();
+                    assert.end();
+                });
+            });
+        });
+    });
+});
+
+test('reload fails on invalid hosts', function t(assert) {
+    var hosts = ['127.0.0.1:3000', '127.0.0.1:3001'];
+    var deps = setup(hosts);
+    fs.writeFileSync(deps.file, JSON.stringify(['127.0.0.1:3001']));
+
+    deps.ringpop.bootstrapFileWatcher = deps.watcher;
+    deps.ringpop.reload(deps.file, function onReload(err) {
+        assert.equal(err.type, 'ringpop.discover.bad-hosts-file', 'error');
+        assert.ok(/127\.0\.0\.1:3000/.test(err.message), 'missing self is the reason');
+        assert.equal(deps.ringpop.bootstrapHosts, hosts, 'hosts are kept');
+
+        fs.writeFileSync(deps.file, JSON.stringify(['127.0.0.1:3000']));
+        deps.ringpop.reload(deps.file, function onValidReload(err) {
+            assert.ifError(err, 'no error occurred');
+            assert.deepEqual(deps.ringpop.bootstrapHosts, ['127.0.0.1:3000'],
+                'hosts are applied');
+            assert.equal(deps.watcher.getFile(), deps.file, 'file is watched');
+
+            deps.destroy();
+            assert.end();
+        });
+    });
+});
+
+test('reload fails without a file', function t(assert) {
+    var ringpop = new Ringpop({
+        app: 'test',
+        hostPort: '127.0.0.1:3000'
+    });
+
+    ringpop.reload(function onReload(err) {
+        assert.equal(err.type, 'ringpop.option-required', 'error');
+        ringpop.destroy();
+        assert.end();
+    });
+});
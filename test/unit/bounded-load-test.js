@@ -0,0 +1,175 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var testRingpop = require('../lib/test-ringpop.js');
+
+var SERVERS = ['127.0.0.1:3001', '127.0.0.1:3002', '127.0.0.1:3003'];
+
+function addServers(deps, loads) {
+    var incarnationNumber = Date.now();
+
+    SERVERS.forEach(function each(server, i) {
+        deps.membership.makeAlive(server, incarnationNumber, {
+            load: loads[i]
+        });
+    });
+}
+
+// Finds a key the given server owns on the plain ring.
+function findKeyOwnedBy(ring, server) {
+    for (var i = 0; i < 10000; i++) {
+        if (ring.lookup('key' + i) === server) {
+            return 'key' + i;
+        }
+    }
+}
+
+testRingpop('bounded load is disabled by default', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    addServers(deps, [1000, 0, 0]);
+
+    var key = findKeyOwnedBy(ringpop.ring, SERVERS[0]);
+    assert.equals(ringpop.lookup(key), SERVERS[0], 'owner is overloaded but kept');
+});
+
+testRingpop('keys of overloaded member spill to successor', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    deps.config.set('boundedLoadEnabled', true);
+    addServers(deps, [1000, 0, 0]);
+
+    var key = findKeyOwnedBy(ringpop.ring, SERVERS[0]);
+    var successor = ringpop.ring.lookupN(key, 2)[1];
+    assert.notEquals(successor, SERVERS[0], 'successor is another member');
+    assert.equals(ringpop.lookup(key), successor, 'key spilled to successor');
+});
+
+testRingpop('successors that are overloaded are skipped', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    deps.config.set('boundedLoadEnabled', true);
+    addServers(deps, [1000, 1000, 1000]);
+
+    // The local member carries no load, keeping the others above average.
+    ringpop.setLocalLoad(0);
+
+    var key = findKeyOwnedBy(ringpop.ring, SERVERS[0]);
+    assert.equals(ringpop.lookup(key), ringpop.whoami(), 'key spilled to least loaded');
+});
+
+testRingpop('members within the load factor keep their keys', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    deps.config.set('boundedLoadEnabled', true);
+    deps.config.set('boundedLoadFactor', 2);
+    addServers(deps, [150, 50, 100]);
+
+    var key = findKeyOwnedBy(ringpop.ring, SERVERS[0]);
+    assert.equals(ringpop.lookup(key), SERVERS[0], 'owner keeps key');
+
+    deps.config.set('boundedLoadFactor', 1.25);
+    assert.notEquals(ringpop.lookup(key), SERVERS[0], 'key spills under lower factor');
+});
+
+testRingpop('reported load is published without reincarnating', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    var localMember = deps.localMember;
+    var prevIncarnationNumber = localMember.incarnationNumber;
+
+    ringpop.setLocalLoad(42);
+
+    assert.equals(localMember.load, 42, 'local member load');
+    assert.equals(localMember.incarnationNumber, prevIncarnationNumber,
+        'incarnation number is kept');
+
+    var changes = deps.dissemination.issueAsSender();
+    assert.equals(changes[changes.length - 1].load, 42, 'load disseminated');
+    assert.equals(changes[changes.length - 1].loadVersion, localMember.loadVersion,
+        'along with its version');
+
+    assert.throws(function throwIt() {
+        ringpop.setLocalLoad(-1);
+    }, /Expected load to be a non-negative number/, 'negative load rejected');
+});
+
+testRingpop('reported load is quantized and rate limited', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    var localMember = deps.localMember;
+    var timers = [];
+    ringpop.setTimeout = function setTimeout(fn, delay) {
+        var timer = {
+            fn: fn,
+            delay: delay
+        };
+        timers.push(timer);
+        return timer;
+    };
+    deps.config.set('boundedLoadQuantum', 10);
+
+    ringpop.setLocalLoad(42);
+    assert.equals(localMember.load, 40, 'load is rounded to the quantum');
+
+    ringpop.setLocalLoad(61);
+    ringpop.setLocalLoad(74);
+    assert.equals(localMember.load, 40, 'load is not published again right away');
+    assert.equals(timers.length, 1, 'publication is scheduled once');
+    assert.ok(timers[0].delay > 0 && timers[0].delay <= 10 * 1000,
+        'for the end of the report interval');
+
+    var loadVersion = localMember.loadVersion;
+    timers[0].fn();
+    assert.equals(localMember.load, 70, 'last reported load is published');
+    assert.ok(localMember.loadVersion > loadVersion, 'under a newer version');
+});
+
+testRingpop('lookups are made under a checksum of the loads', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    addServers(deps, [null, null, null]);
+
+    assert.equals(ringpop.getLookupChecksum(), ringpop.ring.checksum,
+        'ring checksum when disabled');
+
+    deps.config.set('boundedLoadEnabled', true);
+    assert.equals(ringpop.getLookupChecksum(), ringpop.ring.checksum,
+        'ring checksum without loads');
+
+    var member = deps.membership.findMemberByAddress(SERVERS[0]);
+    deps.membership.makeAlive(SERVERS[0], member.incarnationNumber, {
+        load: 1000,
+        loadVersion: 1
+    });
+    var checksum = ringpop.getLookupChecksum();
+    assert.notEquals(checksum, ringpop.ring.checksum, 'loads are checksummed');
+
+    deps.membership.makeAlive(SERVERS[0], member.incarnationNumber, {
+        load: 10,
+        loadVersion: 2
+    });
+    assert.notEquals(ringpop.getLookupChecksum(), checksum, 'new load, new checksum');
+
+    deps.membership.makeAlive(SERVERS[0], member.incarnationNumber, {
+        load: 1000,
+        loadVersion: 3
+    });
+    assert.equals(ringpop.getLookupChecksum(), checksum,
+        'same loads, same checksum');
+
+    deps.config.set('boundedLoadFactor', 2);
+    assert.notEquals(ringpop.getLookupChecksum(), checksum,
+        'load factor is checksummed');
+});
@@ -0,0 +1,138 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var compatibility = require('../../lib/compatibility.js');
+var JumpRing = require('../../lib/ring/jump.js');
+var testRingpop = require('../lib/test-ringpop.js');
+
+var REMOTE = '127.0.0.1:3001';
+
+testRingpop('members with the same protocol and ring are compatible', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    var local = compatibility.getCompatibility(ringpop);
+
+    assert.equal(local.protocolVersion, compatibility.PROTOCOL_VERSION, 'protocol version');
+    assert.equal(local.ringpopVersion, ringpop.ringpopVersion, 'ringpop version');
+    assert.equal(local.ringStrategy, 'consistent-hash', 'ring strategy');
+    assert.equal(local.hashFunc, 'farmhash32', 'hash function');
+    assert.equal(local.replicaPoints, 100, 'replica points');
+    assert.equal(local.checksumMode, 'legacy', 'checksum mode');
+    assert.equal(compatibility.checkCompatibility(ringpop, REMOTE, local), null,
+        'compatible');
+});
+
+testRingpop('members with overlapping protocol versions are compatible', function t(deps, assert) {
+    var remote = compatibility.getCompatibility(deps.ringpop);
+    remote.protocolVersion = compatibility.PROTOCOL_VERSION + 1;
+
+    assert.equal(compatibility.checkCompatibility(deps.ringpop, REMOTE, remote), null,
+        'newer member that still speaks our version is compatible');
+
+    remote.minProtocolVersion = compatibility.PROTOCOL_VERSION + 1;
+    var err = compatibility.checkCompatibility(deps.ringpop, REMOTE, remote);
+    assert.equal(err.type, 'ringpop.incompatible.protocol',
+        'newer member that no longer speaks our version is not');
+});
+
+testRingpop('members whose rings place keys differently are incompatible', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+
+    ['hashFunc', 'replicaPoints'].forEach(function each(property) {
+        var remote = compatibility.getCompatibility(ringpop);
+        remote[property] = property === 'hashFunc' ? 'md5' : 200;
+
+        var err = compatibility.checkCompatibility(ringpop, REMOTE, remote);
+        assert.equal(err.type, 'ringpop.incompatible.ring', property + ' differs');
+        assert.equal(err.property, property, 'property is told');
+    });
+
+    ringpop.ring = new JumpRing();
+    var remote = compatibility.getCompatibility(deps.ringpop);
+    remote.ringStrategy = 'consistent-hash';
+    remote.replicaPoints = 100;
+
+    var err = compatibility.checkCompatibility(ringpop, REMOTE, remote);
+    assert.equal(err.property, 'ringStrategy', 'ring strategy differs');
+});
+
+testRingpop('members that compute checksums differently are incompatible', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    var remote = compatibility.getCompatibility(ringpop);
+    remote.checksumMode = 'incremental';
+
+    var err = compatibility.checkCompatibility(ringpop, REMOTE, remote);
+    assert.equal(err.type, 'ringpop.incompatible.ring', 'checksum mode differs');
+    assert.equal(err.property, 'checksumMode', 'property is told');
+
+    ringpop.config.set('checksumMode', 'incremental');
+    assert.equal(compatibility.checkCompatibility(ringpop, REMOTE, remote), null,
+        'same checksum mode is compatible');
+
+    delete remote.checksumMode;
+    assert.equal(compatibility.checkCompatibility(ringpop, REMOTE, remote), null,
+        'member that does not tell its checksum mode is let in');
+});
+
+testRingpop('members that do not tell are let in, others refused', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    var stats = [];
+    ringpop.stat = function stat(type, key) {
+        stats.push(key);
+    };
+
+    var unknown = compatibility.checkCompatibility(ringpop, REMOTE, undefined);
+    assert.equal(unknown.type, 'ringpop.incompatible.unknown', 'unknown');
+    assert.notOk(compatibility.isRefused(ringpop, REMOTE, unknown),
+        'unknown member is let in');
+
+    var remote = compatibility.getCompatibility(ringpop);
+    remote.replicaPoints = 200;
+    var err = compatibility.checkCompatibility(ringpop, REMOTE, remote);
+    assert.ok(compatibility.isRefused(ringpop, REMOTE, err),
+        'incompatible member is refused');
+
+    ringpop.config.set('joinCompatibilityMode', 'warn');
+    assert.notOk(compatibility.isRefused(ringpop, REMOTE, err),
+        'incompatible member is let in when only warned about');
+
+    assert.deepEqual(stats, ['join.incompatible.unknown', 'join.incompatible.ring',
+        'join.incompatible.ring'], 'incompatibilities are counted');
+});
+
+testRingpop('stats count the versions of members in the ring', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    ringpop.membership.makeAlive(ringpop.whoami(),
+        deps.localMember.incarnationNumber + 1, ringpop.getLocalMemberAttributes());
+    ringpop.membership.makeAlive('127.0.0.1:3001', 1, {version: '10.9.0'});
+    ringpop.membership.makeAlive('127.0.0.1:3002', 1);
+    ringpop.membership.makeAlive('127.0.0.1:3003', 1, {version: '10.9.0'});
+    ringpop.membership.makeFaulty('127.0.0.1:3003', 1);
+
+    var versions = {
+        '10.9.0': 1,
+        unknown: 1
+    };
+    versions[ringpop.ringpopVersion] = (versions[ringpop.ringpopVersion] || 0) + 1;
+
+    var stats = ringpop.getStats().compatibility;
+    assert.deepEqual(stats.versions, versions, 'version mix');
+    assert.deepEqual(stats.local, compatibility.getCompatibility(ringpop), 'local');
+});
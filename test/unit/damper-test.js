@@ -0,0 +1,287 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var Damper = require('../../lib/gossip/damper.js');
+var testRingpop = require('../lib/test-ringpop.js');
+
+var flapper = '127.0.0.1:3001';
+
+function addMembers(ringpop, count) {
+    for (var i = 1; i <= count; i++) {
+        ringpop.membership.makeAlive('127.0.0.1:' + (3000 + i), Date.now());
+    }
+}
+
+// Responds to damp-reqs with the given score for the flapper from the first
+// numConfirming targets and a score of 0 from the rest.
+function createSendDampReq(numConfirming, score) {
+    var numSent = 0;
+    var sendDampReq = function sendDampReq(opts, callback) {
+        sendDampReq.requests.push(opts);
+        var dampScore = numSent++ < numConfirming ? score : 0;
+        callback(null, {
+            scores: opts.flappers.map(function map(address) {
+                return {
+                    member: address,
+                    dampScore: dampScore
+                };
+            })
+        });
+    };
+    sendDampReq.requests = [];
+    return sendDampReq;
+}
+
+function createDamper(ringpop, sendDampReq, opts) {
+    opts = opts || {};
+    var damper = new Damper({
+        ringpop: ringpop,
+        sendDampReq: sendDampReq,
+        setTimeout: opts.setTimeout
+    });
+    ringpop.damper.destroy();
+    ringpop.damper = damper;
+    ringpop.config.set('dampingEnabled', true);
+    return damper;
+}
+
+// Applies a damped update as if gossiped by another member.
+function gossipDamped(ringpop, address) {
+    var member = ringpop.membership.findMemberByAddress(address);
+    ringpop.membership.update([{
+        address: address,
+        status: 'damped',
+        incarnationNumber: member.incarnationNumber,
+        source: '127.0.0.1:3002',
+        sourceIncarnationNumber: Date.now()
+    }]);
+}
+
+testRingpop('damps flapper confirmed by quorum', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    deps.config.set('dampedMaxPercentage', 100);
+    addMembers(ringpop, 6);
+
+    var sendDampReq = createSendDampReq(3, 6000);
+    var damper = createDamper(ringpop, sendDampReq);
+
+    var damped = [];
+    ringpop.on('memberDamped', function onDamped(event) {
+        damped.push(event.address);
+    });
+
+    var member = ringpop.membership.findMemberByAddress(flapper);
+    var incarnationNumber = member.incarnationNumber;
+    damper.initiateSubprotocol(member);
+
+    assert.equal(sendDampReq.requests.length, 5, 'damp-reqs sent to 5 members');
+    assert.ok(sendDampReq.requests.every(function every(req) {
+        return req.target !== flapper && req.target !== ringpop.whoami();
+    }), 'neither flapper nor local member are asked');
+    assert.ok(damper.isDamped(flapper), 'flapper is damped');
+    assert.equal(member.status, 'damped', 'flapper has damped status');
+    assert.equal(member.incarnationNumber, incarnationNumber,
+        'at the incarnation number it flapped at');
+    assert.notOk(ringpop.ring.hasServer(flapper), 'flapper removed from ring');
+    assert.equal(ringpop.dissemination.changes[flapper].status, 'damped',
+        'damped status is disseminated');
+    assert.deepEqual(damped, [flapper], 'memberDamped emitted');
+    assert.deepEqual(damper.getStats().dampedMembers.map(function map(member) {
+        return member.address;
+    }), [flapper], 'stats report damped member');
+    assert.ok(damper.expirationTimer, 'expiration timer started');
+
+    ringpop.membership.makeAlive(flapper, incarnationNumber);
+    assert.notOk(ringpop.ring.hasServer(flapper),
+        'damped member is not added back at the same incarnation number');
+    damper.destroy();
+});
+
+testRingpop('does not damp when damping is disabled', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    deps.config.set('dampedMaxPercentage', 100);
+    addMembers(ringpop, 6);
+
+    var sendDampReq = createSendDampReq(3, 6000);
+    var damper = createDamper(ringpop, sendDampReq);
+    deps.config.set('dampingEnabled', false);
+    damper.initiateSubprotocol(ringpop.membership.findMemberByAddress(flapper));
+
+    assert.equal(sendDampReq.requests.length, 0, 'no damp-reqs sent');
+    assert.notOk(damper.isDamped(flapper), 'flapper is not damped');
+});
+
+testRingpop('does not damp unconfirmed flapper', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    deps.config.set('dampedMaxPercentage', 100);
+    addMembers(ringpop, 6);
+
+    var damper = createDamper(ringpop, createSendDampReq(2, 6000));
+    damper.initiateSubprotocol(ringpop.membership.findMemberByAddress(flapper));
+
+    assert.notOk(damper.isDamped(flapper), 'flapper is not damped');
+    assert.ok(ringpop.ring.hasServer(flapper), 'flapper remains in ring');
+    assert.deepEqual(damper.getStats().flappers, [], 'flapper is forgotten');
+});
+
+testRingpop('does not damp without enough members for quorum', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    deps.config.set('dampedMaxPercentage', 100);
+    addMembers(ringpop, 2);
+
+    var sendDampReq = createSendDampReq(3, 6000);
+    var damper = createDamper(ringpop, sendDampReq);
+    damper.initiateSubprotocol(ringpop.membership.findMemberByAddress(flapper));
+
+    assert.equal(sendDampReq.requests.length, 0, 'no damp-reqs sent');
+    assert.notOk(damper.isDamped(flapper), 'flapper is not damped');
+});
+
+testRingpop('does not damp beyond max percentage', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    addMembers(ringpop, 6);
+
+    var damper = createDamper(ringpop, createSendDampReq(6, 6000));
+    damper.initiateSubprotocol(ringpop.membership.findMemberByAddress(flapper));
+    assert.ok(damper.isDamped(flapper),
+        '10% of 7 members allows for one to be damped');
+
+    var other = '127.0.0.1:3002';
+    damper.initiateSubprotocol(ringpop.membership.findMemberByAddress(other));
+    assert.notOk(damper.isDamped(other), 'but not for two');
+    damper.destroy();
+});
+
+testRingpop('does not damp at max percentage of 0', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    deps.config.set('dampedMaxPercentage', 0);
+    addMembers(ringpop, 6);
+
+    var damper = createDamper(ringpop, createSendDampReq(6, 6000));
+    damper.initiateSubprotocol(ringpop.membership.findMemberByAddress(flapper));
+
+    assert.notOk(damper.isDamped(flapper), 'flapper is not damped');
+});
+
+testRingpop('applies damped status gossiped by others', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    addMembers(ringpop, 6);
+
+    var damper = createDamper(ringpop, createSendDampReq(0, 0));
+    var member = ringpop.membership.findMemberByAddress(flapper);
+    gossipDamped(ringpop, flapper);
+
+    assert.ok(damper.isDamped(flapper), 'flapper is damped');
+    assert.notOk(ringpop.ring.hasServer(flapper), 'flapper removed from ring');
+    assert.ok(damper.expirationTimer, 'expiration timer started');
+
+    var undamped = [];
+    ringpop.on('memberUndamped', function onUndamped(event) {
+        undamped.push(event.address);
+    });
+
+    ringpop.membership.makeSuspect(flapper, member.incarnationNumber + 1);
+    assert.notOk(damper.isDamped(flapper), 'undamped at higher incarnation');
+    assert.ok(ringpop.ring.hasServer(flapper), 'suspect added back to ring');
+    assert.deepEqual(undamped, [flapper], 'memberUndamped emitted');
+    damper.destroy();
+});
+
+testRingpop('declares members damped beyond suppress duration faulty', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    addMembers(ringpop, 6);
+
+    var damper = createDamper(ringpop, createSendDampReq(0, 0));
+    var member = ringpop.membership.findMemberByAddress(flapper);
+    gossipDamped(ringpop, flapper);
+
+    damper._expireDampedMembers();
+    assert.ok(damper.isDamped(flapper), 'still damped within suppress duration');
+
+    member.lastStatusChangeTimestamp -=
+        deps.config.get('dampScoringSuppressDuration');
+    damper._expireDampedMembers();
+
+    assert.equal(member.status, 'faulty', 'declared faulty');
+    assert.notOk(ringpop.ring.hasServer(flapper), 'not added back to ring');
+    assert.equal(damper.expirationTimer, null, 'expiration timer stopped');
+});
+
+testRingpop('local member reincarnates once damped', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    addMembers(ringpop, 6);
+
+    // The damper schedules through ringpop.setTimeout by default.
+    var timeouts = [];
+    ringpop.setTimeout = function setTimeout(fn, delay) {
+        timeouts.push({fn: fn, delay: delay});
+        return timeouts.length;
+    };
+    var damper = createDamper(ringpop, createSendDampReq(0, 0));
+
+    var localMember = ringpop.membership.localMember;
+    var incarnationNumber = localMember.incarnationNumber;
+    gossipDamped(ringpop, ringpop.whoami());
+
+    assert.equal(localMember.status, 'damped', 'local member is damped');
+    assert.notOk(ringpop.ring.hasServer(ringpop.whoami()),
+        'local member removed from ring');
+    assert.equal(timeouts.length, 1, 'reincarnation scheduled');
+    assert.equal(timeouts[0].delay, 120000,
+        'once a maximum damp score decays below the reuse limit');
+
+    ringpop.reincarnateLocalMember();
+    assert.equal(localMember.status, 'damped',
+        'attribute changes do not reincarnate damped member');
+
+    timeouts[0].fn();
+    assert.equal(localMember.status, 'alive', 'local member reincarnated');
+    assert.ok(localMember.incarnationNumber > incarnationNumber,
+        'at a higher incarnation number');
+    assert.ok(ringpop.ring.hasServer(ringpop.whoami()),
+        'local member added back to ring');
+    assert.equal(damper.reincarnationTimer, null, 'no reincarnation pending');
+});
+
+testRingpop('reincarnation delay is capped by suppress duration', function t(deps, assert) {
+    var damper = createDamper(deps.ringpop, createSendDampReq(0, 0));
+    deps.config.set('dampScoringSuppressDuration', 1000);
+
+    assert.equal(damper.getReincarnationDelay(), 1000, 'suppress duration');
+});
+
+testRingpop('exceeding suppress limit initiates subprotocol', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    addMembers(ringpop, 1);
+
+    var initiated = [];
+    ringpop.damper.initiateSubprotocol = function initiateSubprotocol(member) {
+        initiated.push(member.address);
+    };
+
+    var member = ringpop.membership.findMemberByAddress(flapper);
+    member.dampScore = deps.config.get('dampScoringSuppressLimit');
+    member.lastUpdateDampScore = member.dampScore;
+    member.lastUpdateTimestamp = Date.now();
+    ringpop.membership.makeSuspect(flapper, member.incarnationNumber);
+
+    assert.deepEqual(initiated, [flapper], 'subprotocol initiated for flapper');
+});
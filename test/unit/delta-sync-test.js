@@ -0,0 +1,170 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var connectRingpops = require('../lib/connect-ringpops.js');
+var Ringpop = require('../../index.js');
+var sendPing = require('../../lib/gossip/ping-sender.js');
+var sendSync = require('../../lib/gossip/sync-sender.js');
+var test = require('tape');
+
+var NUM_SHARED_MEMBERS = 30;
+
+function createRingpop(hostPort, otherAddresses) {
+    var ringpop = new Ringpop({
+        app: 'test',
+        hostPort: hostPort
+    });
+    ringpop.isReady = true;
+    ringpop.membership.makeAlive(ringpop.whoami(), 1);
+
+    for (var i = 0; i < NUM_SHARED_MEMBERS; i++) {
+        ringpop.membership.makeAlive('127.0.0.2:' + (3000 + i), 1);
+    }
+
+    otherAddresses.forEach(function each(address) {
+        ringpop.membership.makeAlive(address, 1);
+    });
+
+    // Nothing is up for dissemination; only a sync tells the other
+    // member of what it is missing.
+    ringpop.dissemination.clearChanges();
+    return ringpop;
+}
+
+function createDivergedRingpops() {
+    var ringpopA = createRingpop('127.0.0.1:3000', ['127.0.0.1:3001', '127.0.0.1:3002']);
+    var ringpopB = createRingpop('127.0.0.1:3001', ['127.0.0.1:3000', '127.0.0.1:3003']);
+    connectRingpops([ringpopA, ringpopB]);
+    return [ringpopA, ringpopB];
+}
+
+test('diverged members converge through a delta sync', function t(assert) {
+    var ringpops = createDivergedRingpops();
+    var ringpopA = ringpops[0];
+    var ringpopB = ringpops[1];
+
+    assert.notEqual(ringpopA.membership.checksum, ringpopB.membership.checksum,
+        'checksums differ');
+
+    ringpopA.deltaSync.sync(ringpopB.whoami(), function onSync(err, res) {
+        assert.ifError(err, 'no error occurred');
+        assert.ok(res.membersSent < NUM_SHARED_MEMBERS / 2,
+            'only some members sent');
+        assert.ok(res.membersReceived < NUM_SHARED_MEMBERS / 2,
+            'only some members received');
+        assert.equal(ringpopA.membership.checksum, ringpopB.membership.checksum,
+            'checksums match');
+        assert.ok(ringpopA.membership.findMemberByAddress('127.0.0.1:3003'),
+            'syncing member learned of the other\'s member');
+        assert.ok(ringpopB.membership.findMemberByAddress('127.0.0.1:3002'),
+            'synced member learned of the other\'s member');
+
+        ringpopA.destroy();
+        ringpopB.destroy();
+        assert.end();
+    });
+});
+
+test('ping is answered without a full-sync and followed by a delta sync', function t(assert) {
+    var ringpops = createDivergedRingpops();
+    var ringpopA = ringpops[0];
+    var ringpopB = ringpops[1];
+
+    sendPing({
+        ringpop: ringpopA,
+        target: ringpopB.whoami()
+    }, function onPing(isOk, body) {
+        assert.ok(isOk, 'ping succeeded');
+        assert.notOk(body.isFullSync, 'response is not a full-sync');
+
+        // Give the delta sync time to finish.
+        setTimeout(function onTimeout() {
+            assert.equal(ringpopA.membership.checksum, ringpopB.membership.checksum,
+                'checksums match');
+
+            ringpopA.destroy();
+            ringpopB.destroy();
+            assert.end();
+        }, 20);
+    });
+});
+
+test('falls back to a full-sync when the delta sync is unsupported', function t(assert) {
+    var ringpops = createDivergedRingpops();
+    var ringpopA = ringpops[0];
+    var ringpopB = ringpops[1];
+
+    ringpopA.deltaSync.sendSync = function fakeSendSync(opts, callback) {
+        process.nextTick(function onTick() {
+            callback(sendSync.SyncUnsupportedError({
+                target: opts.target,
+                errMessage: 'no such endpoint'
+            }));
+        });
+    };
+
+    sendPing({
+        ringpop: ringpopA,
+        target: ringpopB.whoami()
+    }, function onPing() {
+        setTimeout(function onTimeout() {
+            assert.ok(ringpopB.membership.findMemberByAddress('127.0.0.1:3002'),
+                'pinged member learned of the other\'s member');
+            assert.notOk(ringpopA.deltaSync.isEnabledFor(ringpopB.whoami()),
+                'delta sync is disabled for the member');
+
+            ringpopA.destroy();
+            ringpopB.destroy();
+            assert.end();
+        }, 20);
+    });
+});
+
+test('falls back to a full-sync once when the delta sync fails', function t(assert) {
+    var ringpops = createDivergedRingpops();
+    var ringpopA = ringpops[0];
+    var ringpopB = ringpops[1];
+
+    ringpopA.deltaSync.sendSync = function fakeSendSync(opts, callback) {
+        process.nextTick(function onTick() {
+            callback(sendSync.SyncError({
+                target: opts.target,
+                errMessage: 'timed out'
+            }));
+        });
+    };
+
+    sendPing({
+        ringpop: ringpopA,
+        target: ringpopB.whoami()
+    }, function onPing() {
+        setTimeout(function onTimeout() {
+            assert.ok(ringpopB.membership.findMemberByAddress('127.0.0.1:3002'),
+                'pinged member learned of the other\'s member');
+            assert.ok(ringpopA.deltaSync.isEnabledFor(ringpopB.whoami()),
+                'delta sync is still enabled for the member');
+
+            ringpopA.destroy();
+            ringpopB.destroy();
+            assert.end();
+        }, 20);
+    });
+});
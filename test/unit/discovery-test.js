@@ -0,0 +1,263 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var discovery = require('../../lib/discovery/index.js');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Ringpop = require('../../index.js');
+var test = require('tape');
+var validateHosts = require('../../lib/discovery/hosts.js').validateHosts;
+
+// A resolver that answers from a table instead of asking DNS.
+function createResolver(records) {
+    function lookup(table) {
+        return function resolve(hostname, callback) {
+            process.nextTick(function onTick() {
+                if (!table[hostname]) {
+                    callback(new Error('ENOTFOUND'));
+                    return;
+                }
+
+                callback(null, table[hostname]);
+            });
+        };
+    }
+
+    return {
+        resolve4: lookup(records.a || {}),
+        resolveSrv: lookup(records.srv || {})
+    };
+}
+
+test('arrays and paths make static and file providers', function t(assert) {
+    assert.ok(discovery.createProvider(['127.0.0.1:3000']) instanceof
+        discovery.StaticProvider, 'static provider');
+    assert.ok(discovery.createProvider('./hosts.json') instanceof
+        discovery.FileProvider, 'file provider');
+    assert.end();
+});
+
+test('providers are validated', function t(assert) {
+    assert.throws(function createUnknown() {
+        discovery.createProvider({type: 'carrier-pigeon'});
+    }, /discoverProvider/, 'unknown type throws');
+    assert.throws(function createIncomplete() {
+        discovery.createProvider({type: 'dns', hostname: 'ringpop.local'});
+    }, /port/, 'missing option throws');
+
+    var provider = {
+        getHosts: function getHosts() {}
+    };
+    assert.equal(discovery.createProvider(provider), provider,
+        'own provider is used as is');
+    assert.end();
+});
+
+test('static provider provides its hosts', function t(assert) {
+    var provider = discovery.createProvider({
+        type: 'static',
+        hosts: ['127.0.0.1:3000', '127.0.0.1:3001']
+    });
+
+    provider.getHosts(function onHosts(err, hosts) {
+        assert.ifError(err, 'no error occurred');
+        assert.deepEqual(hosts, ['127.0.0.1:3000', '127.0.0.1:3001'], 'hosts');
+        assert.end();
+    });
+});
+
+test('file provider rereads the file once it changes', function t(assert) {
+    var file = path.join(os.tmpdir(), 'ringpop-discovery-test-' + process.pid + '.json');
+    fs.writeFileSync(file, JSON.stringify(['127.0.0.1:3000']));
+
+    var onChange = null;
+    var numReads = 0;
+    var provider = new discovery.FileProvider({
+        file: file,
+        fs: {
+            readFile: function readFile() {
+                numReads++;
+                return fs.readFile.apply(fs, arguments);
+            },
+            watch: function watch(watched, listener) {
+                onChange = listener;
+                return {
+                    close: function close() {}
+                };
+            }
+        }
+    });
+
+    provider.getHosts(function onHosts(err, hosts) {
+        assert.ifError(err, 'no error occurred');
+        assert.deepEqual(hosts, ['127.0.0.1:3000'], 'hosts are read');
+
+        provider.getHosts(function onCachedHosts(err, hosts) {
+            assert.deepEqual(hosts, ['127.0.0.1:3000'], 'hosts are the same');
+            assert.equal(numReads, 1, 'file is not reread');
+
+            fs.writeFileSync(file, JSON.stringify(['127.0.0.1:3001']));
+            onChange('change');
+
+            provider.getHosts(function onChangedHosts(err, hosts) {
+                assert.deepEqual(hosts, ['127.0.0.1:3001'], 'changed hosts are read');
+                assert.equal(numReads, 2, 'file is reread');
+
+                provider.destroy();
+                fs.unlinkSync(file);
+                assert.end();
+            });
+        });
+    });
+});
+
+test('file provider fails on missing or malformed file', function t(assert) {
+    var provider = new discovery.FileProvider({
+        file: path.join(os.tmpdir(), 'ringpop-discovery-test-missing.json')
+    });
+
+    provider.getHosts(function onHosts(err) {
+        assert.equal(err.type, 'ringpop.discover.bad-hosts-file', 'missing file');
+        assert.end();
+    });
+});
+
+test('DNS provider provides the addresses of A records', function t(assert) {
+    var provider = discovery.createProvider({
+        type: 'dns',
+        hostname: 'ringpop.local',
+        port: 3000,
+        resolver: createResolver({
+            a: {
+                'ringpop.local': ['10.0.0.1', '10.0.0.2']
+            }
+        })
+    });
+
+    provider.getHosts(function onHosts(err, hosts) {
+        assert.ifError(err, 'no error occurred');
+        assert.deepEqual(hosts, ['10.0.0.1:3000', '10.0.0.2:3000'], 'hosts');
+        assert.end();
+    });
+});
+
+test('DNS provider resolves the targets of SRV records', function t(assert) {
+    var provider = discovery.createProvider({
+        type: 'dns',
+        recordType: 'SRV',
+        hostname: '_ringpop._tcp.local',
+        port: 0,
+        resolver: createResolver({
+            srv: {
+                '_ringpop._tcp.local': [{
+                    name: 'a.local',
+                    port: 3000
+                }, {
+                    name: 'b.local',
+                    port: 3001
+                }]
+            },
+            a: {
+                'a.local': ['10.0.0.1'],
+                'b.local': ['10.0.0.2']
+            }
+        })
+    });
+
+    provider.getHosts(function onHosts(err, hosts) {
+        assert.ifError(err, 'no error occurred');
+        assert.deepEqual(hosts.sort(), ['10.0.0.1:3000', '10.0.0.2:3001'], 'hosts');
+        assert.end();
+    });
+});
+
+test('DNS provider fails when lookups fail', function t(assert) {
+    var provider = discovery.createProvider({
+        type: 'dns',
+        hostname: 'nowhere.local',
+        port: 3000,
+        resolver: createResolver({})
+    });
+
+    provider.getHosts(function onHosts(err) {
+        assert.equal(err.type, 'ringpop.discover.dns-lookup', 'lookup error');
+        assert.end();
+    });
+});
+
+test('command provider provides the hosts a command prints', function t(assert) {
+    var provider = discovery.createProvider({
+        type: 'command',
+        command: process.execPath,
+        args: ['-e', 'console.log("127.0.0.1:3000\\n127.0.0.1:3001")']
+    });
+
+    provider.getHosts(function onHosts(err, hosts) {
+        assert.ifError(err, 'no error occurred');
+        assert.deepEqual(hosts, ['127.0.0.1:3000', '127.0.0.1:3001'], 'hosts');
+        assert.end();
+    });
+});
+
+test('command provider fails when the command does', function t(assert) {
+    var provider = discovery.createProvider({
+        type: 'command',
+        command: process.execPath,
+        args: ['-e', 'process.exit(1)']
+    });
+
+    provider.getHosts(function onHosts(err) {
+        assert.equal(err.type, 'ringpop.discover.command-failed', 'command error');
+        assert.end();
+    });
+});
+
+test('hosts are validated', function t(assert) {
+    assert.equal(validateHosts(['127.0.0.1:3000', 'ringpop.local:3001']), null,
+        'IP addresses and hostnames are valid');
+    assert.ok(validateHosts({}), 'not an array');
+    assert.ok(validateHosts([]), 'no hosts');
+    assert.ok(validateHosts(['127.0.0.1']), 'no port');
+    assert.ok(validateHosts(['127.0.0.1:70000']), 'port out of range');
+    assert.ok(validateHosts([3000]), 'not a string');
+    assert.ok(validateHosts(['127.0.0.1:3001'], '127.0.0.1:3000'), 'self missing');
+    assert.equal(validateHosts(['127.0.0.1:3000'], '127.0.0.1:3000'), null,
+        'self present');
+    assert.end();
+});
+
+test('bootstrap fails on invalid discovered hosts', function t(assert) {
+    var ringpop = new Ringpop({
+        app: 'test',
+        hostPort: '127.0.0.1:3000'
+    });
+
+    ringpop.bootstrap({
+        discoverProvider: ['127.0.0.1:3000', 'not a host']
+    }, function onBootstrap(err) {
+        assert.equal(err.type, 'ringpop.invalid-discovered-hosts',
+            'invalid hosts error');
+        assert.notOk(ringpop.bootstrapHosts, 'hosts are not used');
+        ringpop.destroy();
+        assert.end();
+    });
+});
@@ -70,3 +70,84 @@ testRingpop('avoids redundant dissemination by filtering changes from source', f
         membership.checksum);
     assert.ok(changes.length > 0, 'changes issued');
 });
+
+testRingpop('changes issued to a recipient are counted once acknowledged', function t(deps, assert) {
+    var dissemination = deps.dissemination;
+    var recipient = '127.0.0.1:3001';
+
+    dissemination.clearChanges();
+    deps.membership.makeAlive('127.0.0.1:3002', Date.now());
+    dissemination.maxPiggybackCount = 2;
+
+    var change = dissemination.changes['127.0.0.1:3002'];
+    var changes = dissemination.issueAsSender(recipient);
+    assert.equals(changes.length, 1, 'change issued');
+    assert.equals(change.piggybackCount, 0, 'not counted when issued');
+
+    dissemination.acknowledgeIssued(recipient);
+    assert.equals(change.piggybackCount, 1, 'counted when acknowledged');
+
+    dissemination.issueAsSender(recipient);
+    dissemination.acknowledgeIssued(recipient);
+    assert.notok(dissemination.changes['127.0.0.1:3002'],
+        'change is done after max piggyback count');
+    assert.deepEqual(dissemination.issuedByRecipient, {},
+        'no changes left in flight');
+});
+
+testRingpop('changes issued to a recipient are requeued on failure', function t(deps, assert) {
+    var dissemination = deps.dissemination;
+    var ringpop = deps.ringpop;
+    var recipient = '127.0.0.1:3001';
+
+    var stats = {};
+    ringpop.stat = function stat(type, key, value) {
+        stats[key] = value;
+    };
+
+    dissemination.clearChanges();
+    deps.membership.makeAlive('127.0.0.1:3002', Date.now());
+    dissemination.maxPiggybackCount = 1;
+
+    for (var i = 0; i < 3; i++) {
+        assert.equals(dissemination.issueAsSender(recipient).length, 1,
+            'change issued again after failure');
+        dissemination.requeueIssued(recipient);
+    }
+
+    assert.equals(dissemination.changes['127.0.0.1:3002'].piggybackCount, 0,
+        'failures are not counted');
+    assert.equals(stats['changes.requeued'], 1, 'requeued change is stat');
+    assert.equals(stats['full-sync.avoided'], 1, 'avoided full-sync is stat');
+});
+
+testRingpop('changes superseded while in flight are not counted', function t(deps, assert) {
+    var dissemination = deps.dissemination;
+    var recipient = '127.0.0.1:3001';
+    var address = '127.0.0.1:3002';
+    var incNo = Date.now();
+
+    dissemination.clearChanges();
+    deps.membership.makeAlive(address, incNo);
+    dissemination.issueAsSender(recipient);
+
+    deps.membership.makeSuspect(address, incNo);
+    dissemination.acknowledgeIssued(recipient);
+
+    assert.equals(dissemination.changes[address].status, 'suspect',
+        'newer change is kept');
+    assert.notok(dissemination.changes[address].piggybackCount,
+        'newer change is not counted');
+});
+
+testRingpop('changes issued without recipient are counted right away', function t(deps, assert) {
+    var dissemination = deps.dissemination;
+
+    dissemination.clearChanges();
+    deps.membership.makeAlive('127.0.0.1:3002', Date.now());
+    dissemination.maxPiggybackCount = 1;
+
+    assert.equals(dissemination.issueAsSender().length, 1, 'change issued');
+    assert.equals(dissemination.issueAsSender().length, 0,
+        'change is done after max piggyback count');
+});
@@ -0,0 +1,144 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var connectRingpops = require('../lib/connect-ringpops.js');
+var createPingHandler = require('../../server/protocol/ping.js');
+var Ringpop = require('../../index.js');
+var sendPing = require('../../lib/gossip/ping-sender.js');
+var test = require('tape');
+
+// Delta syncs are turned off, as they take the place of full-syncs.
+function createRingpop(hostPort, knownAddresses) {
+    var ringpop = new Ringpop({
+        app: 'test',
+        hostPort: hostPort,
+        deltaSyncEnabled: false
+    });
+    ringpop.isReady = true;
+    ringpop.membership.makeAlive(ringpop.whoami(), 1);
+
+    knownAddresses.forEach(function each(address) {
+        ringpop.membership.makeAlive(address, 1);
+    });
+
+    // Nothing is up for dissemination; only a full-sync tells the other
+    // member of what it is missing.
+    ringpop.dissemination.clearChanges();
+    return ringpop;
+}
+
+function countPings(ringpop) {
+    var counter = {
+        numPings: 0
+    };
+
+    var stat = ringpop.stat;
+    ringpop.stat = function countingStat(type, key, value) {
+        if (key === 'ping.recv') {
+            counter.numPings++;
+        }
+        return stat.call(ringpop, type, key, value);
+    };
+
+    return counter;
+}
+
+test('diverged members converge within one round trip', function t(assert) {
+    var ringpopA = createRingpop('127.0.0.1:3000', ['127.0.0.1:3001', '127.0.0.1:3002']);
+    var ringpopB = createRingpop('127.0.0.1:3001', ['127.0.0.1:3000', '127.0.0.1:3003']);
+    connectRingpops([ringpopA, ringpopB]);
+
+    var counterB = countPings(ringpopB);
+    assert.notEqual(ringpopA.membership.checksum, ringpopB.membership.checksum,
+        'checksums differ');
+
+    sendPing({
+        ringpop: ringpopA,
+        target: ringpopB.whoami()
+    }, function onPing(isOk, body) {
+        assert.ok(isOk, 'ping succeeded');
+        assert.ok(body.isFullSync, 'response is flagged as full-sync');
+
+        // Give the full-sync reply time to arrive.
+        setTimeout(function onTimeout() {
+            assert.equal(counterB.numPings, 2, 'full-sync replied to with full-sync');
+            assert.equal(ringpopA.membership.checksum, ringpopB.membership.checksum,
+                'checksums match');
+            assert.ok(ringpopA.membership.findMemberByAddress('127.0.0.1:3003'),
+                'pinging member learned of the other\'s member');
+            assert.ok(ringpopB.membership.findMemberByAddress('127.0.0.1:3002'),
+                'pinged member learned of the other\'s member');
+
+            ringpopA.destroy();
+            ringpopB.destroy();
+            assert.end();
+        }, 20);
+    });
+});
+
+test('full-sync is not replied to once checksums match', function t(assert) {
+    var ringpopA = createRingpop('127.0.0.1:3000', ['127.0.0.1:3001']);
+    var ringpopB = createRingpop('127.0.0.1:3001', ['127.0.0.1:3000', '127.0.0.1:3003']);
+    connectRingpops([ringpopA, ringpopB]);
+
+    var counterB = countPings(ringpopB);
+
+    sendPing({
+        ringpop: ringpopA,
+        target: ringpopB.whoami()
+    }, function onPing(isOk, body) {
+        assert.ok(body.isFullSync, 'response is flagged as full-sync');
+
+        setTimeout(function onTimeout() {
+            assert.equal(counterB.numPings, 1, 'no full-sync reply');
+            assert.equal(ringpopA.membership.checksum, ringpopB.membership.checksum,
+                'checksums match');
+
+            ringpopA.destroy();
+            ringpopB.destroy();
+            assert.end();
+        }, 20);
+    });
+});
+
+test('full-sync pings are not answered with full-syncs', function t(assert) {
+    var ringpop = createRingpop('127.0.0.1:3000', ['127.0.0.1:3002']);
+    var handlePing = createPingHandler(ringpop);
+
+    handlePing(null, JSON.stringify({
+        checksum: 1,
+        changes: [],
+        isFullSync: true,
+        source: '127.0.0.1:3001',
+        sourceIncarnationNumber: 1
+    }), null, function onPing(err, res1, res2) {
+        assert.ifError(err, 'no error occurred');
+
+        var body = JSON.parse(res2);
+        assert.equal(body.isFullSync, false, 'response is not a full-sync');
+        assert.deepEqual(body.changes, [], 'no changes');
+        assert.equal(body.checksum, ringpop.membership.checksum,
+            'response carries checksum');
+
+        ringpop.destroy();
+        assert.end();
+    });
+});
@@ -174,3 +174,117 @@ testRingpop({
         done();
     }, suspicion.period + 1);
 });
+
+function addMembers(membership, count) {
+    for (var i = 1; i <= count; i++) {
+        membership.makeAlive('127.0.0.1:' + (3000 + i), Date.now());
+    }
+}
+
+testRingpop('suspect period is fixed without enough members to confirm', function t(deps, assert) {
+    var suspicion = deps.suspicion;
+    addMembers(deps.membership, 2);
+
+    var member = deps.membership.findMemberByAddress('127.0.0.1:3001');
+    suspicion.start(member);
+
+    assert.equals(suspicion.suspects[member.address].numExpectedConfirmations, 0,
+        'no confirmations expected');
+    assert.equals(suspicion.computeTimeout(0, 0), suspicion.period,
+        'suspect period is suspicion timeout');
+});
+
+testRingpop('suspect period is suspicion timeout by default', function t(deps, assert) {
+    var suspicion = deps.suspicion;
+
+    assert.equals(suspicion.computeTimeout(0, 3), suspicion.period,
+        'unconfirmed suspect period is suspicion timeout');
+});
+
+testRingpop('suspect period shrinks logarithmically with confirmations', function t(deps, assert) {
+    deps.config.set('suspicionMaxTimeoutMultiplier', 6);
+
+    var suspicion = deps.suspicion;
+    var min = suspicion.period;
+    var max = min * deps.config.get('suspicionMaxTimeoutMultiplier');
+
+    assert.equals(suspicion.computeTimeout(0, 3), max, 'starts at max');
+    assert.equals(suspicion.computeTimeout(1, 3), max - (max - min) / 2,
+        'halfway there after 1 of 3 confirmations');
+    assert.ok(suspicion.computeTimeout(2, 3) < suspicion.computeTimeout(1, 3),
+        'shrinks further');
+    assert.equals(suspicion.computeTimeout(3, 3), min, 'ends at min');
+    assert.equals(suspicion.computeTimeout(4, 3), min, 'never below min');
+});
+
+testRingpop('suspect period is confirmed by independent members only', function t(deps, assert) {
+    var membership = deps.membership;
+    var suspicion = deps.suspicion;
+    addMembers(membership, 5);
+
+    var address = '127.0.0.1:3001';
+    var member = membership.findMemberByAddress(address);
+    var incarnationNumber = member.incarnationNumber;
+
+    membership.update({
+        address: address,
+        status: 'suspect',
+        incarnationNumber: incarnationNumber,
+        source: '127.0.0.1:3002'
+    });
+
+    var suspect = suspicion.suspects[address];
+    assert.equals(suspect.numExpectedConfirmations, 3, 'confirmations expected');
+
+    function confirm(source, inc) {
+        membership.update({
+            address: address,
+            status: 'suspect',
+            incarnationNumber: inc,
+            source: source
+        });
+    }
+
+    confirm('127.0.0.1:3002', incarnationNumber);
+    assert.equals(suspect.numConfirmations, 0, 'source of suspicion does not confirm');
+
+    confirm('127.0.0.1:3003', incarnationNumber);
+    confirm('127.0.0.1:3003', incarnationNumber);
+    assert.equals(suspect.numConfirmations, 1, 'confirmed once per member');
+
+    confirm('127.0.0.1:3004', incarnationNumber - 1);
+    assert.equals(suspect.numConfirmations, 1,
+        'other incarnation numbers do not confirm');
+
+    membership.makeAlive(address, incarnationNumber + 1);
+    assert.notok(suspicion.suspects[address], 'refuted suspicion is forgotten');
+});
+
+testRingpop({
+    async: true
+}, 'marks member faulty sooner once confirmed', function t(deps, assert, done) {
+    var membership = deps.membership;
+    var suspicion = deps.suspicion;
+    addMembers(membership, 5);
+
+    var address = '127.0.0.1:3001';
+    var member = membership.findMemberByAddress(address);
+
+    suspicion.period = 10;
+    deps.config.set('suspicionMaxTimeoutMultiplier', 1000);
+    membership.makeSuspect(address, member.incarnationNumber);
+
+    ['127.0.0.1:3002', '127.0.0.1:3003', '127.0.0.1:3004'].forEach(function each(source) {
+        membership.update({
+            address: address,
+            status: 'suspect',
+            incarnationNumber: member.incarnationNumber,
+            source: source
+        });
+    });
+
+    setTimeout(function onTimeout() {
+        assert.equals(member.status, Member.Status.faulty, 'member is faulty');
+        done();
+    }, 50);
+});
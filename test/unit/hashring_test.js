@@ -18,6 +18,7 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
 var HashRing = require('../../lib/ring');
+var ownership = require('../../lib/ring/ownership.js');
 var RBTree = require('../../lib/ring/rbtree').RBTree;
 
 var test = require('tape');
@@ -164,3 +165,297 @@ test('servers removed out of order result in same checksum', function t(assert)
         }
     }
 });
+
+test('weighted server gets proportional replica points', function t(assert) {
+    var ring = new HashRing();
+    ring.addServer('127.0.0.1:3000');
+    ring.addServer('127.0.0.1:3001', 4);
+
+    assert.equals(ring.getWeight('127.0.0.1:3000'), 1, 'default weight is 1');
+    assert.equals(ring.getWeight('127.0.0.1:3001'), 4, 'weight is 4');
+    assert.equals(ring.rbtree.size, ring.replicaPoints * 5,
+        'rbtree has replica points for both weights');
+    assert.end();
+});
+
+test('HashRing.setServerWeight adjusts replica points in place', function t(assert) {
+    var ring = new HashRing({ replicaPoints: 10 });
+    ring.addServer('127.0.0.1:3000');
+    ring.addServer('127.0.0.1:3001');
+
+    var before = ring.lookup('127.0.0.1:30005');
+    var firstChecksum = ring.checksum;
+
+    assert.ok(ring.setServerWeight('127.0.0.1:3000', 3), 'ring changed');
+    assert.equals(ring.rbtree.size, 40, 'replica points added');
+    assert.equals(ring.lookup('127.0.0.1:30005'), before,
+        'existing replica point keeps its owner');
+    assert.doesNotEqual(ring.checksum, firstChecksum, 'checksum changed');
+
+    assert.ok(ring.setServerWeight('127.0.0.1:3000', 1), 'ring changed');
+    assert.equals(ring.rbtree.size, 20, 'replica points removed');
+    assert.equals(ring.checksum, firstChecksum, 'checksum restored');
+
+    assert.notok(ring.setServerWeight('127.0.0.1:3000', 1), 'same weight is a no-op');
+    assert.notok(ring.setServerWeight('127.0.0.1:3002', 2), 'unknown server is a no-op');
+    assert.end();
+});
+
+test('addRemoveServers reweighs existing servers', function t(assert) {
+    var ring = new HashRing({ replicaPoints: 10 });
+    ring.addRemoveServers(['127.0.0.1:3000'], null, { '127.0.0.1:3000': 2 });
+    assert.equals(ring.rbtree.size, 20, 'server added with weight');
+
+    var changed = ring.addRemoveServers(['127.0.0.1:3000'], null,
+        { '127.0.0.1:3000': 0.5 });
+    assert.ok(changed, 'ring changed');
+    assert.equals(ring.rbtree.size, 5, 'server reweighed');
+
+    changed = ring.addRemoveServers(['127.0.0.1:3000']);
+    assert.notok(changed, 'no weight leaves server untouched');
+    assert.equals(ring.getWeight('127.0.0.1:3000'), 0.5, 'weight is kept');
+
+    ring.removeServer('127.0.0.1:3000');
+    assert.equals(ring.rbtree.size, 0, 'all weighted replica points removed');
+    assert.end();
+});
+
+test('unweighted servers result in legacy checksum', function t(assert) {
+    var ring = new HashRing();
+    ring.addServer('127.0.0.1:3000');
+    ring.addServer('127.0.0.1:3001', 1);
+
+    assert.equals(ring.checksum, ring.hashFunc('127.0.0.1:3000;127.0.0.1:3001'),
+        'checksum of server names only');
+    assert.end();
+});
+
+test('getTokens returns tokens in order', function t(assert) {
+    var ring = new HashRing({ replicaPoints: 10 });
+    ring.addRemoveServers(['127.0.0.1:3000', '127.0.0.1:3001']);
+
+    var tokens = ring.getTokens();
+    assert.equals(tokens.length, 20, 'all tokens returned');
+
+    for (var i = 1; i < tokens.length; i++) {
+        assert.ok(tokens[i - 1].hash < tokens[i].hash, 'tokens are sorted');
+    }
+
+    assert.end();
+});
+
+test('diff lists exactly the ranges that moved', function t(assert) {
+    var ring = new HashRing({ replicaPoints: 10 });
+    ring.addRemoveServers(['127.0.0.1:3000', '127.0.0.1:3001']);
+
+    var oldSnapshot = ring.snapshot();
+    var oldOwners = lookupKeys(ring);
+
+    ring.addServer('127.0.0.1:3002');
+
+    var changes = ring.diff(oldSnapshot);
+    var newOwners = lookupKeys(ring);
+
+    assert.ok(changes.length > 0, 'ranges moved');
+    changes.forEach(function each(change) {
+        assert.equals(change.newOwner, '127.0.0.1:3002', 'moved to new server');
+        assert.ok(change.start <= change.end, 'range is not empty');
+    });
+
+    for (var i = 0; i < oldOwners.length; i++) {
+        var change = findChange(changes, ring.hashFunc('key' + i));
+        var moved = oldOwners[i] !== newOwners[i];
+
+        assert.equals(!!change, moved, 'key' + i + ' moved only within a range');
+
+        if (change) {
+            assert.equals(change.oldOwner, oldOwners[i], 'previous owner');
+            assert.equals(change.newOwner, newOwners[i], 'new owner');
+        }
+    }
+
+    assert.end();
+
+    function lookupKeys(ring) {
+        var owners = [];
+        for (var i = 0; i < 200; i++) {
+            owners.push(ring.lookup('key' + i));
+        }
+        return owners;
+    }
+
+    function findChange(changes, hash) {
+        for (var i = 0; i < changes.length; i++) {
+            if (changes[i].start <= hash && hash <= changes[i].end) {
+                return changes[i];
+            }
+        }
+    }
+});
+
+test('diff of handcrafted tokens', function t(assert) {
+    var oldTokens = [
+        { hash: 10, server: 'a' },
+        { hash: 20, server: 'b' }
+    ];
+    var newTokens = [
+        { hash: 10, server: 'a' },
+        { hash: 15, server: 'c' },
+        { hash: 20, server: 'b' },
+        { hash: 30, server: 'c' }
+    ];
+
+    assert.deepEquals(ownership.diff(oldTokens, newTokens), [
+        { start: 11, end: 15, oldOwner: 'b', newOwner: 'c' },
+        { start: 21, end: 30, oldOwner: 'a', newOwner: 'c' }
+    ], 'ranges taken by new server');
+
+    assert.deepEquals(ownership.diff([], oldTokens), [
+        { start: 0, end: 10, oldOwner: null, newOwner: 'a' },
+        { start: 11, end: 20, oldOwner: null, newOwner: 'b' },
+        { start: 21, end: 4294967295, oldOwner: null, newOwner: 'a' }
+    ], 'everything is gained from an empty ring');
+    assert.end();
+});
+
+test('owned ranges cover exactly the keys owned', function t(assert) {
+    var ring = new HashRing({ replicaPoints: 10 });
+    var servers = ['127.0.0.1:3000', '127.0.0.1:3001', '127.0.0.1:3002'];
+    ring.addRemoveServers(servers, null, { '127.0.0.1:3002': 2 });
+
+    var rangesByServer = {};
+    servers.forEach(function each(server) {
+        rangesByServer[server] = ring.getOwnedRanges(server);
+    });
+
+    for (var i = 0; i < 200; i++) {
+        var key = 'key' + i;
+        var owner = ring.lookup(key);
+
+        assert.ok(isInRanges(rangesByServer[owner], ring.hashFunc(key)),
+            key + ' is within the ranges of its owner');
+    }
+
+    var percentages = ring.getOwnership();
+    var total = servers.reduce(function sum(acc, server) {
+        assert.ok(Math.abs(percentages[server] -
+            ownership.toPercentage(rangesByServer[server])) < 1e-9,
+            'ownership of ' + server + ' is that of its ranges');
+        return acc + percentages[server];
+    }, 0);
+    assert.ok(Math.abs(total - 100) < 1e-9, 'ownership adds up to 100%');
+    assert.deepEquals(ring.getOwnedRanges('127.0.0.1:9999'), [],
+        'unknown server owns nothing');
+    assert.end();
+
+    function isInRanges(ranges, hash) {
+        return ranges.some(function some(range) {
+            return range.start <= hash && hash <= range.end;
+        });
+    }
+});
+
+test('single server owns the whole ring', function t(assert) {
+    var ring = new HashRing({ replicaPoints: 10 });
+    ring.addServer('127.0.0.1:3000');
+
+    assert.deepEquals(ring.getOwnedRanges('127.0.0.1:3000'), [
+        { start: 0, end: 4294967295 }
+    ], 'one range');
+    assert.equals(ring.getOwnership()['127.0.0.1:3000'], 100, 'owns 100%');
+    assert.end();
+});
+
+test('tokens in range', function t(assert) {
+    var ring = new HashRing({ replicaPoints: 10 });
+    ring.addRemoveServers(['127.0.0.1:3000', '127.0.0.1:3001']);
+
+    var tokens = ring.getTokens();
+    var inRange = ring.getTokensInRange(tokens[3].hash, tokens[6].hash);
+
+    assert.deepEquals(inRange, tokens.slice(3, 7), 'tokens between hashes');
+    assert.deepEquals(ring.getTokensInRange(0, 4294967295), tokens, 'all tokens');
+    assert.end();
+});
+
+test('snapshot restores the same ring', function t(assert) {
+    var ring = new HashRing({ replicaPoints: 20 });
+    ring.addRemoveServers(['127.0.0.1:3000', '127.0.0.1:3001', '127.0.0.1:3002'],
+        null, { '127.0.0.1:3001': 2 });
+
+    var snapshot = JSON.parse(JSON.stringify(ring.snapshot()));
+    assert.deepEquals(snapshot, {
+        version: HashRing.SNAPSHOT_VERSION,
+        hashFunc: 'farmhash32',
+        replicaPoints: 20,
+        checksumMode: 'legacy',
+        checksum: ring.checksum,
+        servers: ['127.0.0.1:3000', '127.0.0.1:3001', '127.0.0.1:3002'],
+        weights: { '127.0.0.1:3001': 2 }
+    }, 'snapshot is plain JSON');
+
+    var restored = HashRing.fromSnapshot(snapshot);
+    assert.equals(restored.checksum, ring.checksum, 'same checksum');
+    assert.deepEquals(restored.getTokens(), ring.getTokens(), 'same tokens');
+
+    for (var i = 0; i < 100; i++) {
+        assert.equals(restored.lookup('key' + i), ring.lookup('key' + i),
+            'same owner for key' + i);
+    }
+
+    assert.end();
+});
+
+test('invalid snapshots are rejected', function t(assert) {
+    var ring = new HashRing();
+    ring.addServer('127.0.0.1:3000');
+
+    var snapshot = ring.snapshot();
+
+    assert.throws(function throwIt() {
+        HashRing.fromSnapshot(extend(snapshot, { version: 99 }));
+    }, /version/, 'unknown version');
+    assert.throws(function throwIt() {
+        HashRing.fromSnapshot(extend(snapshot, { servers: null }));
+    }, /servers/, 'missing servers');
+    assert.throws(function throwIt() {
+        HashRing.fromSnapshot(extend(snapshot, { hashFunc: 'md5' }));
+    }, /hash function/, 'unknown hash function');
+    assert.throws(function throwIt() {
+        HashRing.fromSnapshot(extend(snapshot, { checksum: 1 }));
+    }, /checksum/, 'checksum mismatch');
+    assert.end();
+
+    function extend(obj, overrides) {
+        var result = {};
+        Object.keys(obj).forEach(function each(key) {
+            result[key] = obj[key];
+        });
+        Object.keys(overrides).forEach(function each(key) {
+            result[key] = overrides[key];
+        });
+        return result;
+    }
+});
+
+test('incremental checksum is kept up to date', function t(assert) {
+    var ring = new HashRing({ checksumMode: 'incremental' });
+    var otherRing = new HashRing({ checksumMode: 'incremental' });
+
+    ring.addRemoveServers(['127.0.0.1:3000', '127.0.0.1:3001', '127.0.0.1:3002']);
+    ring.setServerWeight('127.0.0.1:3001', 2);
+    ring.removeServer('127.0.0.1:3002');
+
+    otherRing.addServer('127.0.0.1:3001', 2);
+    otherRing.addServer('127.0.0.1:3000');
+
+    assert.equals(ring.checksum, otherRing.checksum, 'same servers, same checksum');
+    assert.equals(ring.checksum,
+        (ring.hashFunc('127.0.0.1:3000') + ring.hashFunc('127.0.0.1:3001@2')) % 4294967296,
+        'sum of server hashes');
+
+    ring.setChecksumMode('legacy');
+    assert.equals(ring.checksum, ring.hashFunc('127.0.0.1:3000;127.0.0.1:3001@2'),
+        'legacy checksum once switched');
+    assert.end();
+});
@@ -412,6 +412,75 @@ test('emits ring changed event', function t(assert) {
     assert.end();
 });
 
+test('emits typed member events', function t(assert) {
+    var nodeAddr = '127.0.0.1:3001';
+    var incNo = Date.now();
+
+    var ringpop = createRingpop();
+    ringpop.membership.makeAlive(ringpop.whoami(), incNo);
+
+    var events = [];
+    ['memberJoined', 'memberSuspected', 'memberFaulty', 'memberLeft',
+        'memberRecovered'].forEach(function each(name) {
+        ringpop.on(name, function onEvent(event) {
+            events.push(event);
+        });
+    });
+
+    ringpop.membership.makeAlive(nodeAddr, incNo);
+    ringpop.membership.makeSuspect(nodeAddr, incNo);
+    ringpop.membership.makeAlive(nodeAddr, incNo + 1);
+    ringpop.membership.makeFaulty(nodeAddr, incNo + 1);
+    ringpop.membership.makeAlive(nodeAddr, incNo + 2);
+    ringpop.membership.makeLeave(nodeAddr, incNo + 2);
+    ringpop.membership.makeAlive(nodeAddr, incNo + 3);
+    // An incarnation bump without a change of status emits nothing.
+    ringpop.membership.makeAlive(nodeAddr, incNo + 4);
+
+    assert.deepEqual(events.map(function map(event) {
+        return [event.name, event.oldStatus, event.newStatus,
+            event.incarnationNumber - incNo];
+    }), [
+        ['memberJoined', null, 'alive', 0],
+        ['memberSuspected', 'alive', 'suspect', 0],
+        ['memberRecovered', 'suspect', 'alive', 1],
+        ['memberFaulty', 'alive', 'faulty', 1],
+        ['memberRecovered', 'faulty', 'alive', 2],
+        ['memberLeft', 'alive', 'leave', 2],
+        ['memberJoined', 'leave', 'alive', 3]
+    ], 'emits an event per status transition');
+    assert.ok(events.every(function every(event) {
+        return event.address === nodeAddr &&
+            event.source === ringpop.whoami();
+    }), 'events carry address and source');
+
+    ringpop.destroy();
+    assert.end();
+});
+
+test('emits member events after membership and ring are updated', function t(assert) {
+    assert.plan(2);
+
+    var nodeAddr = '127.0.0.1:3001';
+
+    var ringpop = createRingpop();
+    ringpop.membership.makeAlive(ringpop.whoami(), Date.now());
+    ringpop.membership.makeAlive(nodeAddr, Date.now());
+
+    ringpop.once('memberFaulty', function onMemberFaulty(event) {
+        var member = ringpop.membership.findMemberByAddress(event.address);
+        assert.equal(member.status, 'faulty', 'member is faulty');
+        assert.notOk(ringpop.ring.hasServer(event.address),
+            'member is removed from ring');
+    });
+
+    ringpop.membership.makeFaulty(nodeAddr,
+        ringpop.membership.findMemberByAddress(nodeAddr).incarnationNumber);
+
+    ringpop.destroy();
+    assert.end();
+});
+
 testRingpop('max piggyback not adjusted on membership update', function t(deps, assert) {
     assert.plan(0);
 
@@ -461,3 +530,161 @@ test('first time member, not alive', function t(assert) {
     ringpop.destroy();
     assert.end();
 });
+
+test('invalid weight is rejected', function t(assert) {
+    assert.throws(function throwIt() {
+        return new Ringpop({
+            app: 'test',
+            hostPort: '127.0.0.1:3000',
+            weight: -1
+        });
+    }, /Expected weight to be a positive number/, 'constructor rejects weight');
+
+    var ringpop = createRingpop();
+    assert.throws(function throwIt() {
+        ringpop.setLocalWeight('heavy');
+    }, /Expected weight to be a positive number/, 'setter rejects weight');
+
+    ringpop.destroy();
+    assert.end();
+});
+
+testRingpop('local weight is applied to membership and ring', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    var localMember = deps.localMember;
+    var prevIncarnationNumber = localMember.incarnationNumber;
+
+    ringpop.setLocalWeight(3);
+
+    assert.equals(localMember.weight, 3, 'local member weighed');
+    assert.ok(localMember.incarnationNumber > prevIncarnationNumber,
+        'incarnation number is bumped');
+    assert.equals(ringpop.ring.getWeight(ringpop.whoami()), 3, 'ring weighed');
+    assert.equals(ringpop.ring.rbtree.size, ringpop.ring.replicaPoints * 3,
+        'replica points adjusted');
+});
+
+testRingpop('emits ownership changes of the local member', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    var events = [];
+
+    ringpop.on('ownershipChanged', function onOwnershipChanged(event) {
+        events.push(event);
+    });
+
+    deps.membership.makeAlive('127.0.0.1:3001', Date.now());
+
+    assert.equals(events.length, 1, 'ownership changed once');
+    assert.equals(events[0].checksum, ringpop.ring.checksum, 'checksum of new ring');
+    assert.equals(events[0].gained.length, 0, 'nothing gained');
+    assert.ok(events[0].lost.length > 0, 'ranges lost');
+    events[0].lost.forEach(function each(range) {
+        assert.equals(range.oldOwner, ringpop.whoami(), 'lost by local member');
+        assert.equals(range.newOwner, '127.0.0.1:3001', 'to new member');
+    });
+
+    deps.membership.makeFaulty('127.0.0.1:3001', Date.now());
+
+    assert.equals(events.length, 2, 'ownership changed again');
+    assert.deepEquals(events[1].gained.map(toRange), events[0].lost.map(toRange),
+        'lost ranges are regained');
+    assert.equals(events[1].lost.length, 0, 'nothing lost');
+
+    function toRange(change) {
+        return [change.start, change.end];
+    }
+});
+
+testRingpop('keeps no tokens for ownership changes without listeners', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    var getTokens = ringpop.ring.getTokens;
+    var numCalls = 0;
+
+    ringpop.ring.getTokens = function countingGetTokens() {
+        numCalls++;
+        return getTokens.apply(this, arguments);
+    };
+
+    deps.membership.makeAlive('127.0.0.1:3001', Date.now());
+    assert.equals(numCalls, 0, 'ring tokens are not compared');
+
+    var events = [];
+    ringpop.on('ownershipChanged', function onOwnershipChanged(event) {
+        events.push(event);
+    });
+    assert.equals(numCalls, 1, 'tokens are taken once listened to');
+
+    deps.membership.makeFaulty('127.0.0.1:3001', Date.now());
+    assert.equals(events.length, 1, 'ownership changed');
+    assert.ok(events[0].gained.length > 0, 'ranges gained since listened to');
+});
+
+testRingpop('lookupN spreads preference list by zone', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    var zones = ['east', 'east', 'east', 'west'];
+
+    zones.forEach(function each(zone, i) {
+        deps.membership.makeAlive('127.0.0.1:300' + (i + 1), Date.now(), {
+            zone: zone
+        });
+    });
+
+    assert.equals(deps.membership.findMemberByAddress('127.0.0.1:3004').zone,
+        'west', 'zone is advertised');
+
+    for (var i = 0; i < 20; i++) {
+        var dests = ringpop.lookupN('key' + i, 3, { spreadBy: 'zone' });
+        var destZones = dests.map(getZone);
+
+        assert.equals(dests.length, 3, 'three destinations');
+        assert.ok(destZones.indexOf('west') !== -1, 'west is used');
+        assert.ok(destZones.indexOf('east') !== -1, 'east is used');
+    }
+
+    assert.throws(function throwIt() {
+        ringpop.lookupN('key', 3, { spreadBy: 'rack' });
+    }, /spreadBy/, 'unknown spreadBy is rejected');
+
+    function getZone(address) {
+        return deps.membership.findMemberByAddress(address).zone;
+    }
+});
+
+test('invalid zone is rejected', function t(assert) {
+    assert.throws(function throwIt() {
+        return new Ringpop({
+            app: 'test',
+            hostPort: '127.0.0.1:3000',
+            zone: 5
+        });
+    }, /zone/, 'constructor rejects zone');
+    assert.end();
+});
+
+testRingpop('local labels are disseminated', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    var localMember = deps.localMember;
+    var prevChecksum = deps.membership.checksum;
+
+    ringpop.setLocalLabels({ role: 'db' });
+
+    assert.deepEquals(localMember.labels, { role: 'db' }, 'local member labeled');
+    assert.notEquals(deps.membership.checksum, prevChecksum, 'checksum changed');
+
+    var changes = deps.dissemination.issueAsSender();
+    assert.deepEquals(changes[changes.length - 1].labels, { role: 'db' },
+        'labels disseminated');
+
+    assert.throws(function throwIt() {
+        ringpop.setLocalLabels({ role: 1 });
+    }, /Expected labels/, 'non-string label rejected');
+});
+
+testRingpop('pingReqSize is an alias of its config', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+
+    assert.equal(ringpop.pingReqSize, 3, 'reads the config');
+
+    ringpop.pingReqSize = 5;
+    assert.equal(ringpop.config.get('pingReqSize'), 5, 'sets the config');
+});
@@ -0,0 +1,120 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var JoinAdmission = require('../../lib/gossip/join-admission.js');
+var Ringpop = require('../../index.js');
+var test = require('tape');
+
+function createAdmission(opts) {
+    var ringpop = new Ringpop({
+        app: 'test',
+        hostPort: '127.0.0.1:3000',
+        joinAdmissionBurst: opts.burst,
+        joinAdmissionEnabled: opts.enabled,
+        joinAdmissionRate: opts.rate
+    });
+    var now = 0;
+
+    return {
+        admission: new JoinAdmission({
+            ringpop: ringpop,
+            Date: {
+                now: function now_() {
+                    return now;
+                }
+            }
+        }),
+        ringpop: ringpop,
+        advance: function advance(ms) {
+            now += ms;
+        }
+    };
+}
+
+function admitTimes(admission, times) {
+    var numAdmitted = 0;
+    for (var i = 0; i < times; i++) {
+        if (admission.admit()) {
+            numAdmitted++;
+        }
+    }
+    return numAdmitted;
+}
+
+test('joins are admitted up to the burst, then at the rate', function t(assert) {
+    var deps = createAdmission({
+        enabled: true,
+        burst: 5,
+        rate: 2
+    });
+
+    assert.equal(admitTimes(deps.admission, 10), 5, 'burst is admitted');
+
+    deps.advance(1000);
+    assert.equal(admitTimes(deps.admission, 10), 2, 'rate is admitted');
+
+    deps.advance(60 * 1000);
+    assert.equal(admitTimes(deps.admission, 10), 5, 'no more than burst is saved up');
+
+    var stats = deps.admission.getStats();
+    assert.equal(stats.numAdmitted, 12, 'admitted joins are counted');
+    assert.equal(stats.numRejected, 18, 'rejected joins are counted');
+    assert.end();
+    deps.ringpop.destroy();
+});
+
+test('admission control is off by default', function t(assert) {
+    var deps = createAdmission({
+        burst: 1,
+        rate: 1
+    });
+
+    assert.equal(admitTimes(deps.admission, 10), 10, 'all are admitted');
+    assert.end();
+    deps.ringpop.destroy();
+});
+
+test('all joins are admitted when disabled', function t(assert) {
+    var deps = createAdmission({
+        burst: 1,
+        enabled: false,
+        rate: 1
+    });
+
+    assert.equal(admitTimes(deps.admission, 10), 10, 'all are admitted');
+    assert.equal(deps.admission.getStats().numRejected, 0, 'none are rejected');
+    assert.end();
+    deps.ringpop.destroy();
+});
+
+test('lowering the burst empties the bucket to it', function t(assert) {
+    var deps = createAdmission({
+        enabled: true,
+        burst: 10,
+        rate: 1
+    });
+
+    deps.admission.getStats();
+    deps.ringpop.config.set('joinAdmissionBurst', 2);
+    assert.equal(admitTimes(deps.admission, 10), 2, 'lowered burst is admitted');
+    assert.end();
+    deps.ringpop.destroy();
+});
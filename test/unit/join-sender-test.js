@@ -227,3 +227,165 @@ test('join after destroyed', function t(assert) {
         assert.end();
     });
 });
+
+test('extra hosts are joined along with bootstrap hosts', function t(assert) {
+    var ringpop = createRingpop({
+        bootstrapHosts: ['127.0.0.1:3000', '127.0.0.1:3001']
+    });
+    var joiner = createJoiner({
+        ringpop: ringpop,
+        extraHosts: ['127.0.0.1:3000', '127.0.0.1:3001', '127.0.0.1:3002']
+    });
+
+    assert.deepEqual(joiner.potentialNodes, ['127.0.0.1:3001', '127.0.0.1:3002'],
+        'extra hosts are potential nodes, without duplicates or self');
+    assert.end();
+    ringpop.destroy();
+});
+
+test('hosts are discovered anew for every round', function t(assert) {
+    var ringpop = createRingpop({
+        bootstrapHosts: ['127.0.0.1:3001']
+    });
+    var numDiscovered = 0;
+    var joiner = createJoiner({
+        ringpop: ringpop,
+        joinSize: 2,
+        discoverProvider: {
+            getHosts: function getHosts(callback) {
+                numDiscovered++;
+                callback(null, ['127.0.0.1:3001', '127.0.0.1:3002', '127.0.0.1:3003']);
+            }
+        }
+    });
+    joiner.joinGroupOfSelected = function joinGroupOfSelected(nodesJoined, callback) {
+        callback(null, joiner.selectGroup(nodesJoined));
+    };
+
+    assert.equal(joiner.joinSize, 1, 'join size is limited by hosts');
+
+    joiner.joinGroup([], function onFirstRound(err, group) {
+        assert.equal(numDiscovered, 0, 'first round uses the bootstrap hosts');
+        assert.deepEqual(group, ['127.0.0.1:3001'], 'bootstrap host is selected');
+
+        joiner.joinGroup([], function onSecondRound(err, group) {
+            assert.equal(numDiscovered, 1, 'hosts are discovered for next round');
+            assert.equal(joiner.joinSize, 2, 'join size is raised');
+            assert.equal(group.length, 3, 'group is selected from discovered hosts');
+            assert.end();
+            ringpop.destroy();
+        });
+    });
+});
+
+test('hosts are kept when discovery fails', function t(assert) {
+    var ringpop = createRingpop({
+        bootstrapHosts: ['127.0.0.1:3001']
+    });
+    var joiner = createJoiner({
+        ringpop: ringpop,
+        discoverProvider: {
+            getHosts: function getHosts(callback) {
+                callback(new Error('no hosts'));
+            }
+        }
+    });
+
+    joiner.refreshHosts(function onRefresh() {
+        assert.deepEqual(ringpop.bootstrapHosts, ['127.0.0.1:3001'], 'hosts are kept');
+        assert.end();
+        ringpop.destroy();
+    });
+});
+
+test('hosts are kept when discovered hosts are invalid', function t(assert) {
+    var ringpop = createRingpop({
+        bootstrapHosts: ['127.0.0.1:3001']
+    });
+    var joiner = createJoiner({
+        ringpop: ringpop,
+        discoverProvider: {
+            getHosts: function getHosts(callback) {
+                callback(null, ['127.0.0.1:3002', '127.0.0.1']);
+            }
+        }
+    });
+
+    joiner.refreshHosts(function onRefresh() {
+        assert.deepEqual(ringpop.bootstrapHosts, ['127.0.0.1:3001'], 'hosts are kept');
+        assert.deepEqual(joiner.potentialNodes, ['127.0.0.1:3001'],
+            'potential nodes are kept');
+        assert.end();
+        ringpop.destroy();
+    });
+});
+
+test('busy nodes are joined again later and are not join failures', function t(assert) {
+    var ringpop = createRingpop({
+        bootstrapHosts: ['127.0.0.1:3000', '127.0.0.1:3001']
+    });
+    ringpop.config.set('maxJoinAttempts', 1);
+    ringpop.membership.makeAlive(ringpop.whoami(), 1);
+
+    var numBusy = 0;
+    ringpop.stat = function stat(type, key) {
+        if (key === 'join.busy') {
+            numBusy++;
+        }
+    };
+
+    var numRequests = 0;
+    ringpop.channel = {
+        close: function close() {},
+        waitForIdentified: function waitForIdentified(opts, callback) {
+            setImmediate(callback);
+        },
+        request: function request() {
+            return {
+                send: function send(endpoint, head, body, callback) {
+                    numRequests++;
+                    if (numRequests === 1) {
+                        callback(null, {ok: false}, 'ringpop.join-busy', 'busy');
+                        return;
+                    }
+
+                    callback(null, {ok: true}, null, JSON.stringify({
+                        app: 'test',
+                        coordinator: '127.0.0.1:3001',
+                        membership: [],
+                        membershipChecksum: 1
+                    }));
+                }
+            };
+        }
+    };
+
+    var joiner = createJoiner({
+        ringpop: ringpop,
+        joinRetryDelay: 1
+    });
+    joiner.join(function onJoin(err, nodesJoined) {
+        assert.ifError(err, 'no error occurred');
+        assert.deepEqual(nodesJoined, ['127.0.0.1:3001'], 'busy node is joined');
+        assert.equal(numRequests, 2, 'busy node is asked again');
+        assert.equal(numBusy, 1, 'busy response is counted');
+        assert.end();
+        ringpop.destroy();
+    });
+});
+
+test('busy retry delay backs off up to a limit', function t(assert) {
+    var ringpop = createRingpop();
+    var joiner = createJoiner({
+        ringpop: ringpop,
+        joinRetryDelay: 100
+    });
+
+    var delay = joiner.getBusyRetryDelay(1);
+    assert.ok(delay >= 100 && delay <= 200, 'delay is doubled, with jitter');
+
+    delay = joiner.getBusyRetryDelay(20);
+    assert.ok(delay >= 2500 && delay <= 5000, 'delay is limited');
+    assert.end();
+    ringpop.destroy();
+});
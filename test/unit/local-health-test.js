@@ -0,0 +1,144 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var createPingReqHandler = require('../../server/protocol/ping-req.js');
+var sendPingReq = require('../../lib/gossip/ping-req-sender.js');
+var testRingpop = require('../lib/test-ringpop.js');
+
+// A channel on which no peer can be identified; requests never get sent.
+function createUnreachableChannel(err) {
+    return {
+        waitForIdentified: function waitForIdentified(opts, callback) {
+            if (err) {
+                callback(err);
+            }
+        }
+    };
+}
+
+testRingpop('local health score stays within bounds', function t(deps, assert) {
+    var localHealth = deps.ringpop.localHealth;
+
+    localHealth.onProbeSuccess();
+    assert.equals(localHealth.score, 0, 'score does not drop below 0');
+    assert.equals(localHealth.getMultiplier(), 1, 'multiplier is 1 when healthy');
+
+    for (var i = 0; i < 10; i++) {
+        localHealth.onProbeFailure();
+    }
+    assert.equals(localHealth.score, deps.config.get('localHealthMaxScore'),
+        'score does not exceed max');
+
+    localHealth.onProbeSuccess();
+    assert.equals(localHealth.getMultiplier(), 8, 'multiplier is score + 1');
+    assert.equals(localHealth.scaleTimeout(100), 800, 'timeouts are scaled');
+
+    deps.config.set('localHealthEnabled', false);
+    assert.equals(localHealth.scaleTimeout(100), 100,
+        'timeouts are not scaled when disabled');
+});
+
+testRingpop('refuting suspicion lowers local health', function t(deps, assert) {
+    var localMember = deps.localMember;
+
+    deps.membership.makeSuspect(localMember.address,
+        localMember.incarnationNumber);
+
+    assert.equals(localMember.status, 'alive', 'suspicion is refuted');
+    assert.equals(deps.ringpop.localHealth.score, 1, 'score is raised');
+});
+
+testRingpop('protocol period is scaled by local health', function t(deps, assert) {
+    var gossip = deps.gossip;
+    var localHealth = deps.ringpop.localHealth;
+
+    gossip.numProtocolPeriods = 1;
+    gossip.lastProtocolPeriod = Date.now();
+    gossip.lastProtocolRate = gossip.minProtocolPeriod;
+
+    assert.ok(gossip.computeProtocolDelay() <= gossip.minProtocolPeriod,
+        'delay is unscaled when healthy');
+
+    localHealth.onProbeFailure();
+    localHealth.onProbeFailure();
+    assert.ok(gossip.computeProtocolDelay() >= gossip.minProtocolPeriod * 3 - 5,
+        'delay is scaled when unhealthy');
+});
+
+testRingpop({
+    async: true
+}, 'ping-req without responses lowers local health', function t(deps, assert, done) {
+    var ringpop = deps.ringpop;
+    var membership = deps.membership;
+    var incarnationNumber = Date.now();
+
+    ringpop.channel = createUnreachableChannel(new Error('unreachable'));
+    for (var i = 1; i <= 4; i++) {
+        membership.makeAlive('127.0.0.1:' + (3000 + i), incarnationNumber);
+    }
+
+    var target = membership.findMemberByAddress('127.0.0.1:3001');
+    sendPingReq({
+        ringpop: ringpop,
+        unreachableMember: target,
+        pingReqSize: 3
+    }, function onPingReq(err) {
+        assert.equals(err.type, 'ringpop.ping-req.inconclusive',
+            'ping-req is inconclusive');
+        assert.equals(target.status, 'alive', 'target is not suspected');
+        assert.equals(ringpop.localHealth.score, 3, 'score is raised per missed nack');
+        ringpop.channel = null;
+        done();
+    });
+});
+
+testRingpop({
+    async: true
+}, 'ping-req nacks before sender times out', function t(deps, assert, done) {
+    var ringpop = deps.ringpop;
+    ringpop.channel = createUnreachableChannel();
+
+    var delays = [];
+    ringpop.setTimeout = function recordingSetTimeout(fn, delay) {
+        delays.push(delay);
+        return setTimeout(fn, delay);
+    };
+
+    var handlePingReq = createPingReqHandler(ringpop);
+    var start = Date.now();
+    handlePingReq(null, JSON.stringify({
+        checksum: deps.membership.checksum,
+        changes: [],
+        source: '127.0.0.1:3001',
+        target: '127.0.0.1:3002',
+        timeout: 50
+    }), null, function onHandled(err, res1, res2) {
+        assert.ifError(err, 'no error occurred');
+        assert.ok(Date.now() - start < 50, 'responds before timeout');
+        assert.deepEquals(delays, [40], 'nack timer set through ringpop');
+
+        var body = JSON.parse(res2);
+        assert.equals(body.nack, true, 'responds with nack');
+        assert.equals(body.pingStatus, false, 'target was not reached');
+        ringpop.channel = null;
+        done();
+    });
+});
@@ -236,3 +236,166 @@ testRingpop('update happens synchronously or not at all', function t(deps, asser
         });
     }
 });
+
+testRingpop('weight is applied from update and kept when absent', function t(deps, assert) {
+    var membership = deps.membership;
+    var member2 = addSecondMember(membership, '127.0.0.1:3001');
+    assert.equals(member2.weight, Member.Defaults.weight, 'default weight');
+
+    member2.evaluateUpdate({
+        status: Member.Status.alive,
+        incarnationNumber: Date.now() + 1,
+        weight: 4
+    });
+    assert.equals(member2.weight, 4, 'weight applied');
+
+    member2.evaluateUpdate({
+        status: Member.Status.suspect,
+        incarnationNumber: Date.now() + 2
+    });
+    assert.equals(member2.weight, 4, 'weight kept');
+});
+
+testRingpop('load is applied from update and kept when absent', function t(deps, assert) {
+    var membership = deps.membership;
+    var member2 = addSecondMember(membership, '127.0.0.1:3001');
+    assert.equals(member2.load, null, 'unknown load');
+
+    member2.evaluateUpdate({
+        status: Member.Status.alive,
+        incarnationNumber: Date.now() + 1,
+        load: 10,
+        loadVersion: 1
+    });
+    assert.equals(member2.load, 10, 'load applied');
+
+    member2.evaluateUpdate({
+        status: Member.Status.suspect,
+        incarnationNumber: Date.now() + 2
+    });
+    assert.equals(member2.load, 10, 'load kept');
+
+    member2.evaluateUpdate({
+        status: Member.Status.alive,
+        incarnationNumber: Date.now() + 3,
+        load: 5,
+        loadVersion: 1
+    });
+    assert.equals(member2.load, 10, 'load of same version ignored');
+});
+
+testRingpop('newer load is applied without reincarnation', function t(deps, assert) {
+    var config = deps.config;
+    var membership = deps.membership;
+    var member2 = addSecondMember(membership, '127.0.0.1:3001');
+    var checksumString = member2.getChecksumString();
+
+    assert.ok(member2.evaluateUpdate({
+        status: Member.Status.alive,
+        incarnationNumber: member2.incarnationNumber,
+        load: 10,
+        loadVersion: 2
+    }), 'update applied');
+    assert.equals(member2.load, 10, 'load applied');
+    assert.equals(member2.dampScore, config.get('dampScoringInitial'),
+        'not penalized');
+    assert.equals(member2.getChecksumString(), checksumString + '%10',
+        'load is checksummed');
+
+    assert.notok(member2.evaluateUpdate({
+        status: Member.Status.alive,
+        incarnationNumber: member2.incarnationNumber,
+        load: 20,
+        loadVersion: 1
+    }), 'older load ignored');
+    assert.notok(member2.evaluateUpdate({
+        status: Member.Status.alive,
+        incarnationNumber: member2.incarnationNumber,
+        load: 20
+    }), 'unversioned load ignored');
+
+    member2.evaluateUpdate({
+        status: Member.Status.suspect,
+        incarnationNumber: member2.incarnationNumber
+    });
+    assert.notok(member2.evaluateUpdate({
+        status: Member.Status.alive,
+        incarnationNumber: member2.incarnationNumber,
+        load: 20,
+        loadVersion: 3
+    }), 'no refutation of a suspicion');
+    assert.equals(member2.load, 10, 'load kept');
+});
+
+testRingpop('labels are applied from update and checksummed', function t(deps, assert) {
+    var membership = deps.membership;
+    var member2 = addSecondMember(membership, '127.0.0.1:3001');
+    var unlabeled = member2.getChecksumString();
+
+    assert.deepEquals(member2.labels, {}, 'no labels');
+    assert.equals(unlabeled, member2.address + member2.status +
+        member2.incarnationNumber, 'legacy checksum string without labels');
+
+    member2.evaluateUpdate({
+        status: Member.Status.alive,
+        incarnationNumber: member2.incarnationNumber + 1,
+        labels: { zone: 'east', role: 'db' }
+    });
+    assert.deepEquals(member2.labels, { zone: 'east', role: 'db' }, 'labels applied');
+    assert.ok(member2.hasLabels({ role: 'db' }), 'has label');
+    assert.notok(member2.hasLabels({ role: 'web' }), 'does not have label');
+    assert.equals(member2.getChecksumString(), member2.address +
+        member2.status + member2.incarnationNumber +
+        '#[["role","db"],["zone","east"]]', 'sorted labels are checksummed');
+
+    member2.evaluateUpdate({
+        status: Member.Status.suspect,
+        incarnationNumber: member2.incarnationNumber + 1
+    });
+    assert.deepEquals(member2.labels, { zone: 'east', role: 'db' }, 'labels kept');
+});
+
+testRingpop('invalid labels from update are ignored', function t(deps, assert) {
+    var membership = deps.membership;
+    var member2 = addSecondMember(membership, '127.0.0.1:3001');
+
+    [['db'], { role: 1 }, { role: { name: 'db' } }].forEach(function each(labels) {
+        member2.evaluateUpdate({
+            status: Member.Status.alive,
+            incarnationNumber: member2.incarnationNumber + 1,
+            labels: labels
+        });
+        assert.deepEquals(member2.labels, {}, 'labels ignored: ' +
+            JSON.stringify(labels));
+    });
+});
+
+testRingpop('labels are checksummed unambiguously', function t(deps, assert) {
+    var membership = deps.membership;
+    var member2 = addSecondMember(membership, '127.0.0.1:3001');
+    var member3 = addSecondMember(membership, '127.0.0.1:3002');
+
+    member2.labels = { a: 'b,c=d' };
+    member3.labels = { a: 'b', c: 'd' };
+    assert.notEqual(member2.getChecksumString().split('#')[1],
+        member3.getChecksumString().split('#')[1], 'labels differ');
+});
+
+testRingpop('version is applied from update and kept when absent', function t(deps, assert) {
+    var membership = deps.membership;
+    var member2 = addSecondMember(membership, '127.0.0.1:3001');
+    assert.equals(member2.version, null, 'unknown version');
+
+    member2.evaluateUpdate({
+        status: Member.Status.alive,
+        incarnationNumber: Date.now() + 1,
+        version: '10.9.0'
+    });
+    assert.equals(member2.version, '10.9.0', 'version applied');
+
+    member2.evaluateUpdate({
+        status: Member.Status.suspect,
+        incarnationNumber: Date.now() + 2
+    });
+    assert.equals(member2.version, '10.9.0', 'version kept');
+});
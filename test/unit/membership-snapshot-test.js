@@ -0,0 +1,223 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var connectRingpops = require('../lib/connect-ringpops.js');
+var fs = require('fs');
+var MembershipSnapshot = require('../../lib/membership/snapshot.js');
+var os = require('os');
+var path = require('path');
+var Ringpop = require('../../index.js');
+var test = require('tape');
+
+var fileCounter = 0;
+
+function createRingpop(opts) {
+    opts = opts || {};
+
+    var file = path.join(os.tmpdir(), 'ringpop-snapshot-test-' + process.pid +
+        '-' + (fileCounter++) + '.json');
+    var ringpop = new Ringpop({
+        app: 'test',
+        hostPort: opts.hostPort || '127.0.0.1:3000',
+        membershipSnapshotFile: opts.isDisabled ? null : file
+    });
+    ringpop.isReady = true;
+    ringpop.membership.makeAlive(ringpop.whoami(), 1);
+    ringpop.membership.makeAlive('127.0.0.1:3001', 1);
+    ringpop.membership.makeSuspect('127.0.0.1:3001', 1);
+    ringpop.membership.makeAlive('127.0.0.1:3002', 2);
+    ringpop.membership.makeFaulty('127.0.0.1:3003', 3);
+
+    return ringpop;
+}
+
+function cleanup(ringpop) {
+    var file = ringpop.config.get('membershipSnapshotFile');
+    ringpop.isReady = false;
+    ringpop.destroy();
+
+    if (file && fs.existsSync(file)) {
+        fs.unlinkSync(file);
+    }
+}
+
+test('snapshot keeps the alive members of a written snapshot', function t(assert) {
+    var ringpop = createRingpop();
+
+    ringpop.membershipSnapshot.write(function onWrite(err) {
+        assert.ifError(err, 'no error occurred');
+
+        var snapshot = ringpop.membershipSnapshot.read();
+        assert.deepEqual(snapshot.members.map(function map(member) {
+            return [member.address, member.incarnationNumber];
+        }), [['127.0.0.1:3002', 2]], 'only other alive members are kept');
+
+        cleanup(ringpop);
+        assert.end();
+    });
+});
+
+test('snapshot is neither read nor written when disabled', function t(assert) {
+    var ringpop = createRingpop({isDisabled: true});
+
+    ringpop.membershipSnapshot.write(function onWrite(err) {
+        assert.ifError(err, 'no error occurred');
+        assert.equal(ringpop.membershipSnapshot.read(), null, 'nothing read');
+
+        cleanup(ringpop);
+        assert.end();
+    });
+});
+
+test('stale, foreign and malformed snapshots are rejected', function t(assert) {
+    var ringpop = createRingpop();
+    var file = ringpop.config.get('membershipSnapshotFile');
+
+    var now = Date.now();
+    var snapshot = new MembershipSnapshot({
+        ringpop: ringpop,
+        Date: {
+            now: function now_() {
+                return now;
+            }
+        }
+    });
+
+    snapshot.writeSync();
+    assert.ok(snapshot.read(), 'fresh snapshot is read');
+
+    now += ringpop.config.get('membershipSnapshotMaxAge') + 1;
+    assert.equal(snapshot.read(), null, 'stale snapshot is rejected');
+
+    var contents = JSON.parse(fs.readFileSync(file).toString());
+    contents.address = '127.0.0.1:3009';
+    contents.timestamp = now;
+    fs.writeFileSync(file, JSON.stringify(contents));
+    assert.equal(snapshot.read(), null, 'snapshot of another member is rejected');
+
+    fs.writeFileSync(file, '{"members":');
+    assert.equal(snapshot.read(), null, 'malformed snapshot is rejected');
+
+    cleanup(ringpop);
+    assert.end();
+});
+
+test('destroy writes a snapshot', function t(assert) {
+    var ringpop = createRingpop();
+    var file = ringpop.config.get('membershipSnapshotFile');
+
+    ringpop.destroy();
+    assert.ok(fs.existsSync(file), 'snapshot is written');
+    assert.notOk(fs.existsSync(file + '.sync.tmp'), 'temporary file is gone');
+
+    cleanup(ringpop);
+    assert.end();
+});
+
+test('synchronous write supersedes a pending write', function t(assert) {
+    var ringpop = createRingpop();
+    var file = ringpop.config.get('membershipSnapshotFile');
+
+    ringpop.membershipSnapshot.write(function onWrite(err) {
+        assert.ifError(err, 'no error occurred');
+
+        var snapshot = ringpop.membershipSnapshot.read();
+        assert.deepEqual(snapshot.members.map(function map(member) {
+            return member.address;
+        }).sort(), ['127.0.0.1:3002', '127.0.0.1:3005'],
+            'snapshot written synchronously is kept');
+        assert.notOk(fs.existsSync(file + '.tmp'), 'temporary file is gone');
+        assert.notOk(fs.existsSync(file + '.sync.tmp'),
+            'synchronous temporary file is gone');
+
+        cleanup(ringpop);
+        assert.end();
+    });
+
+    ringpop.membership.makeAlive('127.0.0.1:3005', 1);
+    ringpop.membershipSnapshot.writeSync();
+});
+
+test('snapshot members are joined and warm up the membership list', function t(assert) {
+    // A snapshot written when 127.0.0.1:3002 was at incarnation number 2,
+    // and 127.0.0.1:3004 still around.
+    var ringpop = createRingpop();
+    ringpop.membership.makeAlive('127.0.0.1:3004', 1);
+    ringpop.membershipSnapshot.writeSync();
+    var file = ringpop.config.get('membershipSnapshotFile');
+    ringpop.config.set('membershipSnapshotFile', null);
+    ringpop.isReady = false;
+    ringpop.destroy();
+
+    // Since, 127.0.0.1:3002 refuted a suspicion and 127.0.0.1:3004 left.
+    var live = new Ringpop({
+        app: 'test',
+        hostPort: '127.0.0.1:3002'
+    });
+    live.isReady = true;
+    live.membership.makeAlive(live.whoami(), 5);
+
+    var restarted = new Ringpop({
+        app: 'test',
+        hostPort: '127.0.0.1:3000',
+        joinSize: 1,
+        membershipSnapshotFile: file
+    });
+    connectRingpops([live, restarted]);
+
+    // Bootstrap hosts that are out of date.
+    restarted.bootstrap([
+        restarted.whoami(),
+        '127.0.0.1:3009'
+    ], function onBootstrap(err, nodesJoined) {
+        assert.ifError(err, 'no error occurred');
+        assert.deepEqual(nodesJoined, ['127.0.0.1:3002'],
+            'snapshot member is joined');
+
+        var member = restarted.membership.findMemberByAddress('127.0.0.1:3002');
+        assert.equal(member.status, 'alive', 'live member is not downgraded');
+        assert.equal(member.incarnationNumber, 5, 'live member is current');
+
+        member = restarted.membership.findMemberByAddress('127.0.0.1:3004');
+        assert.equal(member.status, 'suspect',
+            'member only the snapshot knows of is suspect');
+        assert.equal(member.incarnationNumber, 1,
+            'member only the snapshot knows of is at its snapshot incarnation number');
+        assert.notOk(restarted.dissemination.issueAsSender().some(isSnapshotMember),
+            'member only the snapshot knows of is not disseminated');
+        assert.notOk(restarted.dissemination.fullSync().some(isSnapshotMember),
+            'member only the snapshot knows of is not fully synced');
+
+        restarted.membership.makeFaulty('127.0.0.1:3004', 1);
+        assert.ok(restarted.dissemination.issueAsSender().some(isSnapshotMember),
+            'member is disseminated once declared faulty');
+        assert.ok(restarted.dissemination.fullSync().some(isSnapshotMember),
+            'member is fully synced once declared faulty');
+
+        live.destroy();
+        cleanup(restarted);
+        assert.end();
+    });
+
+    function isSnapshotMember(change) {
+        return change.address === '127.0.0.1:3004';
+    }
+});
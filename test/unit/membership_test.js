@@ -19,7 +19,9 @@
 // THE SOFTWARE.
 'use strict';
 
+var farmhash = require('farmhash');
 var Member = require('../../lib/membership/member.js');
+var Ringpop = require('../../index.js');
 var testRingpop = require('../lib/test-ringpop.js');
 
 function assertIncarnationNumber(deps, assert, memberStatus) {
@@ -236,6 +238,32 @@ testRingpop('set emits an event', function t(deps, assert) {
     membership.set();
 });
 
+testRingpop('set emits member events once ring is set', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    ringpop.isReady = false;
+
+    var events = [];
+    ringpop.on('memberJoined', function onJoined(event) {
+        assert.ok(ringpop.ring.hasServer(event.address), 'member is in ring');
+        events.push(event);
+    });
+    ringpop.on('memberFaulty', function onFaulty(event) {
+        events.push(event);
+    });
+
+    var membership = deps.membership;
+    membership.makeAlive('127.0.0.1:3001', Date.now());
+    membership.makeFaulty('127.0.0.1:3002', Date.now());
+    membership.set();
+
+    assert.deepEqual(events.map(function map(event) {
+        return [event.name, event.address, event.oldStatus];
+    }), [
+        ['memberJoined', '127.0.0.1:3001', null],
+        ['memberFaulty', '127.0.0.1:3002', null]
+    ], 'member events emitted');
+});
+
 testRingpop('set computes a checksum once', function t(deps, assert) {
     assert.plan(1);
 
@@ -344,3 +372,244 @@ testRingpop('decayer decays all damp scores', function t(deps, assert) {
         };
     }
 });
+
+testRingpop('incremental checksum tracks changes to members', function t(deps, assert) {
+    var config = deps.config;
+    var membership = deps.membership;
+    var incarnationNumber = Date.now();
+
+    membership.makeAlive('127.0.0.1:3001', incarnationNumber);
+    var legacyChecksum = membership.checksum;
+
+    config.set('checksumMode', 'incremental');
+    assert.notEquals(membership.checksum, legacyChecksum, 'checksum recomputed');
+    assert.equals(membership.checksum, sumOfMemberHashes(), 'sum of member hashes');
+
+    membership.makeAlive('127.0.0.1:3002', incarnationNumber);
+    membership.makeSuspect('127.0.0.1:3001', incarnationNumber);
+    membership.makeAlive('127.0.0.1:3002', incarnationNumber + 1);
+    assert.equals(membership.checksum, sumOfMemberHashes(), 'kept up to date');
+
+    config.set('checksumMode', 'legacy');
+    assert.equals(membership.checksum,
+        farmhash.hash32(membership.generateChecksumString()), 'legacy checksum');
+
+    function sumOfMemberHashes() {
+        return membership.members.reduce(function sum(acc, member) {
+            return (acc + farmhash.hash32(member.getChecksumString())) % 4294967296;
+        }, 0);
+    }
+});
+
+testRingpop('incremental checksum does not depend on order of updates', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    var incarnationNumber = Date.now();
+    var changes = [{
+        address: '127.0.0.1:3001',
+        status: Member.Status.alive,
+        incarnationNumber: incarnationNumber
+    }, {
+        address: '127.0.0.1:3002',
+        status: Member.Status.suspect,
+        incarnationNumber: incarnationNumber
+    }];
+
+    var otherRingpop = new Ringpop({
+        app: 'test',
+        hostPort: ringpop.whoami(),
+        checksumMode: 'incremental'
+    });
+    otherRingpop.isReady = true;
+
+    deps.config.set('checksumMode', 'incremental');
+    otherRingpop.membership.makeAlive(ringpop.whoami(),
+        deps.localMember.incarnationNumber);
+
+    deps.membership.update(changes);
+    otherRingpop.membership.update(changes.slice().reverse());
+
+    assert.equals(otherRingpop.membership.checksum, deps.membership.checksum,
+        'same checksum');
+    otherRingpop.destroy();
+});
+
+testRingpop('find members by labels', function t(deps, assert) {
+    var membership = deps.membership;
+    var incarnationNumber = Date.now();
+
+    membership.makeAlive('127.0.0.1:3001', incarnationNumber, {
+        labels: { role: 'db', zone: 'east' }
+    });
+    membership.makeAlive('127.0.0.1:3002', incarnationNumber, {
+        labels: { role: 'db', zone: 'west' }
+    });
+
+    function findAddresses(criteria) {
+        return membership.findMembers(criteria).map(function map(member) {
+            return member.address;
+        }).sort();
+    }
+
+    assert.deepEquals(findAddresses({ labels: { role: 'db' } }),
+        ['127.0.0.1:3001', '127.0.0.1:3002'], 'members with label');
+    assert.deepEquals(findAddresses({ labels: { role: 'db', zone: 'west' } }),
+        ['127.0.0.1:3002'], 'members with all labels');
+    assert.deepEquals(findAddresses({ labels: { role: 'web' } }), [],
+        'no members with label');
+    assert.equals(membership.findMembers().length, 3, 'all members without criteria');
+});
+
+testRingpop('starts reaper on init', function t(deps, assert) {
+    assert.ok(deps.membership.reapTimer, 'reaper timer is set');
+});
+
+testRingpop('declares no tombstones unless enabled', function t(deps, assert) {
+    var membership = deps.membership;
+    var address = '127.0.0.1:3001';
+    var incarnationNumber = Date.now();
+
+    membership.makeAlive(address, incarnationNumber);
+    membership.makeFaulty(address, incarnationNumber);
+    var member = membership.findMemberByAddress(address);
+
+    member.lastStatusChangeTimestamp -= deps.config.get('tombstonePeriod');
+    membership._reapMembers();
+    assert.equals(member.status, 'faulty', 'faulty after tombstone period');
+});
+
+testRingpop('declares tombstones after tombstone period', function t(deps, assert) {
+    deps.config.set('tombstonesEnabled', true);
+
+    var membership = deps.membership;
+    var address = '127.0.0.1:3001';
+    var incarnationNumber = Date.now();
+
+    membership.makeAlive(address, incarnationNumber);
+    membership.makeFaulty(address, incarnationNumber);
+    var member = membership.findMemberByAddress(address);
+
+    membership._reapMembers();
+    assert.equals(member.status, 'faulty', 'faulty within tombstone period');
+
+    member.lastStatusChangeTimestamp -= deps.config.get('tombstonePeriod');
+    membership._reapMembers();
+    assert.equals(member.status, 'tombstone', 'tombstone after tombstone period');
+    assert.equals(member.incarnationNumber, incarnationNumber,
+        'tombstone keeps incarnation number');
+
+    member.lastStatusChangeTimestamp -= deps.config.get('tombstoneReapDelay');
+    membership._reapMembers();
+    assert.notok(membership.findMemberByAddress(address), 'tombstone is reaped');
+    assert.equals(membership.getMemberCount(), 1, 'reaped member is removed');
+});
+
+testRingpop('tombstones are left out of checksums', function t(deps, assert) {
+    var membership = deps.membership;
+    var address = '127.0.0.1:3001';
+    var incarnationNumber = Date.now();
+    var checksum = membership.checksum;
+
+    membership.makeAlive(address, incarnationNumber);
+    membership.makeLeave(address, incarnationNumber);
+    membership.makeTombstone(address, incarnationNumber);
+    assert.equals(membership.checksum, checksum, 'legacy checksum unchanged');
+
+    deps.config.set('checksumMode', 'incremental');
+    var incrementalChecksum = membership.computeChecksum();
+    membership.reap(address);
+    assert.equals(membership.checksum, incrementalChecksum,
+        'incremental checksum unchanged by reaping');
+});
+
+testRingpop('tombstones override other statuses at same incarnation number', function t(deps, assert) {
+    var membership = deps.membership;
+    var address = '127.0.0.1:3001';
+    var incarnationNumber = Date.now();
+
+    membership.makeAlive(address, incarnationNumber);
+    membership.makeTombstone(address, incarnationNumber);
+    var member = membership.findMemberByAddress(address);
+    assert.equals(member.status, 'tombstone', 'tombstone overrides alive');
+
+    membership.makeFaulty(address, incarnationNumber);
+    membership.makeLeave(address, incarnationNumber);
+    membership.makeSuspect(address, incarnationNumber + 1);
+    assert.equals(member.status, 'tombstone', 'tombstone is not overridden');
+
+    membership.makeAlive(address, incarnationNumber + 1);
+    assert.equals(member.status, 'alive', 'alive with newer incarnation number revives');
+});
+
+testRingpop('reaped members are not resurrected by stale gossip', function t(deps, assert) {
+    var membership = deps.membership;
+    var address = '127.0.0.1:3001';
+    var incarnationNumber = Date.now();
+
+    membership.makeAlive(address, incarnationNumber);
+    membership.makeFaulty(address, incarnationNumber);
+    membership.makeTombstone(address, incarnationNumber);
+    membership.reap(address);
+
+    ['alive', 'suspect', 'faulty', 'leave', 'tombstone'].forEach(function each(status) {
+        membership.update({
+            address: address,
+            status: status,
+            incarnationNumber: incarnationNumber,
+            source: '127.0.0.1:3002'
+        });
+    });
+    assert.notok(membership.findMemberByAddress(address),
+        'stale updates are ignored');
+
+    membership.update({
+        address: address,
+        status: 'alive',
+        incarnationNumber: incarnationNumber + 1,
+        source: address
+    });
+    assert.equals(membership.findMemberByAddress(address).status, 'alive',
+        'member rejoins with newer incarnation number');
+    assert.notok(membership.reapedMembers[address], 'reaped record is forgotten');
+});
+
+testRingpop('local member refutes tombstone', function t(deps, assert) {
+    var membership = deps.membership;
+    var local = deps.localMember;
+    var incarnationNumber = local.incarnationNumber;
+
+    membership.makeTombstone(local.address, incarnationNumber);
+    assert.equals(local.status, 'alive', 'local member stays alive');
+    assert.ok(local.incarnationNumber >= incarnationNumber,
+        'incarnation number is kept or bumped');
+});
+
+testRingpop('damped overrides alive and suspect at same incarnation number', function t(deps, assert) {
+    var membership = deps.membership;
+    var address = '127.0.0.1:3001';
+    var incarnationNumber = Date.now();
+
+    membership.makeAlive(address, incarnationNumber);
+    membership.makeDamped(address, incarnationNumber);
+    var member = membership.findMemberByAddress(address);
+    assert.equals(member.status, 'damped', 'damped overrides alive');
+
+    membership.makeAlive(address, incarnationNumber);
+    membership.makeSuspect(address, incarnationNumber);
+    assert.equals(member.status, 'damped', 'damped is not overridden');
+
+    membership.makeFaulty(address, incarnationNumber);
+    assert.equals(member.status, 'faulty', 'faulty overrides damped');
+
+    membership.makeAlive(address, incarnationNumber + 1);
+    membership.makeDamped(address, incarnationNumber + 1);
+    membership.makeAlive(address, incarnationNumber + 2);
+    assert.equals(member.status, 'alive', 'alive with newer incarnation number undamps');
+});
+
+testRingpop('local member accepts being damped', function t(deps, assert) {
+    var membership = deps.membership;
+    var local = deps.localMember;
+
+    membership.makeDamped(local.address, local.incarnationNumber);
+    assert.equals(local.status, 'damped', 'local member is damped');
+});
@@ -0,0 +1,98 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var MerkleTree = require('../../lib/membership/merkle.js');
+var test = require('tape');
+
+function createMember(address, status, incarnationNumber) {
+    return {
+        address: address,
+        getChecksumString: function getChecksumString() {
+            return address + status + incarnationNumber;
+        }
+    };
+}
+
+function createMembers(count) {
+    var members = [];
+    for (var i = 0; i < count; i++) {
+        members.push(createMember('127.0.0.1:' + (3000 + i), 'alive', 1));
+    }
+    return members;
+}
+
+test('trees over the same members are equal regardless of order', function t(assert) {
+    var members = createMembers(20);
+    var treeA = new MerkleTree(members, {depth: 4});
+    var treeB = new MerkleTree(members.slice().reverse(), {depth: 4});
+
+    assert.equal(treeA.getHash(1), treeB.getHash(1), 'root hashes match');
+    assert.deepEqual(treeA.diff(treeB.getDescendants(1, 4).reduce(function reduce(hashes, index) {
+        hashes[index] = treeB.getHash(index);
+        return hashes;
+    }, {})), [], 'no leaves differ');
+    assert.end();
+});
+
+test('an empty tree hashes to 0', function t(assert) {
+    var tree = new MerkleTree([], {depth: 3});
+
+    assert.equal(tree.getHash(1), 0, 'root hash is 0');
+    assert.deepEqual(tree.getMembers(tree.getDescendants(1, 3)), [], 'no members');
+    assert.end();
+});
+
+test('diff finds the leaf of a changed member', function t(assert) {
+    var members = createMembers(20);
+    var changed = members.slice();
+    changed[7] = createMember(members[7].address, 'suspect', 1);
+
+    var treeA = new MerkleTree(members, {depth: 4});
+    var treeB = new MerkleTree(changed, {depth: 4});
+    var leaf = treeA.getLeafIndex(members[7].address);
+
+    assert.notEqual(treeA.getHash(1), treeB.getHash(1), 'root hashes differ');
+
+    var hashes = {};
+    treeB.getDescendants(1, 4).forEach(function each(index) {
+        hashes[index] = treeB.getHash(index);
+    });
+    assert.deepEqual(treeA.diff(hashes), [leaf], 'only the changed leaf differs');
+    assert.ok(treeB.getMembers([leaf]).indexOf(changed[7]) !== -1,
+        'leaf holds the changed member');
+    assert.end();
+});
+
+test('diff ignores indexes that are not in the tree', function t(assert) {
+    var tree = new MerkleTree(createMembers(5), {depth: 2});
+
+    assert.deepEqual(tree.diff({0: 1, 8: 1, 1.5: 1}), [], 'no indexes differ');
+    assert.end();
+});
+
+test('getDescendants stops at the leaves', function t(assert) {
+    var tree = new MerkleTree([], {depth: 3});
+
+    assert.deepEqual(tree.getDescendants(1, 2), [4, 5, 6, 7], 'two levels down');
+    assert.deepEqual(tree.getDescendants(2, 4), [8, 9, 10, 11], 'leaves below node');
+    assert.deepEqual(tree.getDescendants(9, 1), [9], 'leaf has no descendants');
+    assert.end();
+});
@@ -0,0 +1,194 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var connectRingpops = require('../lib/connect-ringpops.js');
+var Ringpop = require('../../index.js');
+var test = require('tape');
+
+// Each member is given its own view of the membership, as it would have
+// after a partition. Views are lists of [address, status, incarnation].
+function createRingpop(hostPort, view) {
+    var ringpop = new Ringpop({
+        app: 'test',
+        hostPort: hostPort
+    });
+    ringpop.isReady = true;
+    ringpop.membership.update(view.map(function map(member) {
+        return {
+            source: hostPort,
+            address: member[0],
+            status: member[1],
+            incarnationNumber: member[2]
+        };
+    }), true);
+    ringpop.dissemination.clearChanges();
+    return ringpop;
+}
+
+function destroyAll(ringpops) {
+    ringpops.forEach(function each(ringpop) {
+        ringpop.destroy();
+    });
+}
+
+test('candidates are faulty members and unreachable bootstrap hosts', function t(assert) {
+    var ringpop = createRingpop('127.0.0.1:3000', [
+        ['127.0.0.1:3000', 'alive', 1],
+        ['127.0.0.1:3001', 'alive', 1],
+        ['127.0.0.1:3002', 'faulty', 1],
+        ['127.0.0.1:3003', 'leave', 1]
+    ]);
+    ringpop.bootstrapHosts = ['127.0.0.1:3000', '127.0.0.1:3001',
+        '127.0.0.1:3003', '127.0.0.1:3004'];
+
+    assert.deepEqual(ringpop.partitionHealer.getCandidates().sort(), [
+        '127.0.0.1:3002', '127.0.0.1:3003', '127.0.0.1:3004'
+    ], 'faulty members and bootstrap hosts that are not pingable');
+
+    ringpop.destroy();
+    assert.end();
+});
+
+test('heal without candidates does nothing', function t(assert) {
+    var ringpop = createRingpop('127.0.0.1:3000', [
+        ['127.0.0.1:3000', 'alive', 1],
+        ['127.0.0.1:3001', 'alive', 1]
+    ]);
+
+    ringpop.partitionHealer.heal(function onHeal(err, target) {
+        assert.ifError(err, 'no error occurred');
+        assert.equal(target, null, 'no target');
+
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('partitioned members reincarnate and then merge', function t(assert) {
+    var ringpopA = createRingpop('127.0.0.1:3000', [
+        ['127.0.0.1:3000', 'alive', 1],
+        ['127.0.0.1:3001', 'faulty', 1]
+    ]);
+    var ringpopB = createRingpop('127.0.0.1:3001', [
+        ['127.0.0.1:3000', 'faulty', 1],
+        ['127.0.0.1:3001', 'alive', 1]
+    ]);
+    connectRingpops([ringpopA, ringpopB]);
+
+    var detected = null;
+    ringpopA.on('partitionDetected', function onDetected(event) {
+        detected = event;
+    });
+
+    ringpopA.partitionHealer.heal(function onHeal(err, target) {
+        assert.ifError(err, 'no error occurred');
+        assert.equal(target, '127.0.0.1:3001', 'healed with faulty member');
+        assert.deepEqual(detected, {
+            target: '127.0.0.1:3001',
+            localReincarnations: ['127.0.0.1:3000'],
+            remoteReincarnations: ['127.0.0.1:3001']
+        }, 'partition detected');
+        assert.ok(ringpopA.membership.getIncarnationNumber() > 1,
+            'local member reincarnated');
+        assert.ok(ringpopB.membership.getIncarnationNumber() > 1,
+            'remote member reincarnated');
+        assert.equal(ringpopA.membership.findMemberByAddress('127.0.0.1:3001').status,
+            'alive', 'remote member is alive again');
+        assert.deepEqual(ringpopA.partitionHealer.getStats(), {
+            partitionsDetected: 1,
+            partitionsHealed: 0
+        }, 'stats count the partition');
+
+        destroyAll([ringpopA, ringpopB]);
+        assert.end();
+    });
+});
+
+test('views are merged once members have reincarnated', function t(assert) {
+    var ringpopA = createRingpop('127.0.0.1:3000', [
+        ['127.0.0.1:3000', 'alive', 5],
+        ['127.0.0.1:3001', 'faulty', 1],
+        ['127.0.0.1:3002', 'alive', 1]
+    ]);
+    var ringpopB = createRingpop('127.0.0.1:3001', [
+        ['127.0.0.1:3000', 'faulty', 1],
+        ['127.0.0.1:3001', 'alive', 5],
+        ['127.0.0.1:3003', 'alive', 1]
+    ]);
+    connectRingpops([ringpopA, ringpopB]);
+
+    var healed = null;
+    ringpopA.on('partitionHealed', function onHealed(event) {
+        healed = event;
+    });
+
+    ringpopA.partitionHealer.heal(function onHeal(err) {
+        assert.ifError(err, 'no error occurred');
+        assert.deepEqual(healed, {
+            target: '127.0.0.1:3001'
+        }, 'partition healed');
+        assert.ok(ringpopA.membership.findMemberByAddress('127.0.0.1:3003'),
+            'local member learned of the other side');
+        assert.ok(ringpopB.membership.findMemberByAddress('127.0.0.1:3002'),
+            'remote member learned of the other side');
+        assert.equal(ringpopA.membership.checksum, ringpopB.membership.checksum,
+            'checksums match');
+
+        destroyAll([ringpopA, ringpopB]);
+        assert.end();
+    });
+});
+
+test('heal fails when target is unreachable', function t(assert) {
+    var ringpop = createRingpop('127.0.0.1:3000', [
+        ['127.0.0.1:3000', 'alive', 1],
+        ['127.0.0.1:3001', 'faulty', 1]
+    ]);
+    connectRingpops([ringpop]);
+
+    ringpop.partitionHealer.heal(function onHeal(err) {
+        assert.ok(err, 'an error occurred');
+        assert.notOk(ringpop.partitionHealer.isHealing, 'no longer healing');
+
+        ringpop.destroy();
+        assert.end();
+    });
+});
+
+test('heals are scheduled through ringpop.setTimeout', function t(assert) {
+    var delays = [];
+    var ringpop = new Ringpop({
+        app: 'test',
+        hostPort: '127.0.0.1:3000',
+        setTimeout: function setTimeout(fn, delay) {
+            delays.push(delay);
+            return delays.length;
+        }
+    });
+
+    ringpop.partitionHealer.start();
+    assert.deepEqual(delays, [ringpop.config.get('partitionHealPeriod')],
+        'heal scheduled');
+
+    ringpop.partitionHealer.stop();
+    ringpop.destroy();
+    assert.end();
+});
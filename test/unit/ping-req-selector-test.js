@@ -0,0 +1,106 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var PingReqSelector = require('../../lib/gossip/ping-req-selector.js');
+var testRingpop = require('./../lib/test-ringpop.js');
+
+function getAddresses(members) {
+    return members.map(function map(member) {
+        return member.address;
+    }).sort();
+}
+
+// The local member is in subnet 127.0.0, as are the target and two more
+// members. Two members are in subnets of their own.
+function addMembers(membership) {
+    ['127.0.0.1:3001', '127.0.0.1:3002', '127.0.0.1:3003',
+        '10.0.1.1:3000', '10.0.2.1:3000'].forEach(function each(address) {
+        membership.makeAlive(address, 1);
+    });
+
+    return membership.findMemberByAddress('127.0.0.1:3001');
+}
+
+testRingpop('random selection excludes the unreachable member', function t(deps, assert) {
+    var target = addMembers(deps.membership);
+
+    var selected = deps.ringpop.pingReqSelector.select(10, target);
+    assert.deepEqual(getAddresses(selected), ['10.0.1.1:3000', '10.0.2.1:3000',
+        '127.0.0.1:3002', '127.0.0.1:3003'], 'all other pingable members');
+    assert.equal(deps.ringpop.pingReqSelector.select(2, target).length, 2,
+        'as many as asked for');
+});
+
+testRingpop('adaptive selection prefers other subnets', function t(deps, assert) {
+    deps.config.set('pingReqSelection', 'adaptive');
+    var target = addMembers(deps.membership);
+
+    for (var i = 0; i < 5; i++) {
+        assert.deepEqual(getAddresses(deps.ringpop.pingReqSelector.select(2, target)),
+            ['10.0.1.1:3000', '10.0.2.1:3000'], 'members in other subnets');
+    }
+
+    var selected = deps.ringpop.pingReqSelector.select(3, target);
+    assert.equal(selected.length, 3, 'same subnet is settled for');
+    assert.deepEqual(getAddresses(selected.slice(0, 2)),
+        ['10.0.1.1:3000', '10.0.2.1:3000'], 'other subnets come first');
+});
+
+testRingpop('adaptive selection prefers other zones', function t(deps, assert) {
+    deps.config.set('pingReqSelection', 'adaptive');
+    deps.membership.makeAlive('127.0.0.1:3001', 1, {zone: 'a'});
+    deps.membership.makeAlive('127.0.0.1:3002', 1, {zone: 'a'});
+    deps.membership.makeAlive('127.0.0.1:3003', 1, {zone: 'b'});
+    var target = deps.membership.findMemberByAddress('127.0.0.1:3001');
+
+    for (var i = 0; i < 5; i++) {
+        assert.deepEqual(getAddresses(deps.ringpop.pingReqSelector.select(1, target)),
+            ['127.0.0.1:3003'], 'member in other zone');
+    }
+});
+
+testRingpop('adaptive selection prefers recent probe successes', function t(deps, assert) {
+    var now = 1000;
+    var selector = new PingReqSelector({
+        ringpop: deps.ringpop,
+        Date: {
+            now: function now_() {
+                return now;
+            }
+        }
+    });
+    deps.config.set('pingReqSelection', 'adaptive');
+    deps.config.set('pingReqProbeSuccessWindow', 500);
+    var target = addMembers(deps.membership);
+
+    selector.onProbeSuccess('127.0.0.1:3003');
+    for (var i = 0; i < 5; i++) {
+        assert.deepEqual(getAddresses(selector.select(3, target)),
+            ['10.0.1.1:3000', '10.0.2.1:3000', '127.0.0.1:3003'],
+            'recently probed member is preferred within subnet');
+    }
+    assert.equal(selector.getStats().numRecentProbeSuccesses, 1,
+        'probe success is counted');
+
+    now += 501;
+    assert.equal(selector.getStats().numRecentProbeSuccesses, 0,
+        'probe success expires');
+});
@@ -107,3 +107,49 @@ test('RBIterator.next walk the entire tree', function t(assert) {
 
     assert.end();
 });
+
+test('RBIterator.maxNode', function t(assert) {
+    var tree = makeTree();
+    var iterator = new RBIterator(tree);
+
+    iterator.maxNode(tree.root);
+    assert.strictEquals(iterator.val(), 8, 'val max from root is 8');
+    assert.strictEquals(iterator.str(), 'eight', 'str max from root is eight');
+
+    iterator.maxNode(tree.root.left);
+    assert.strictEquals(iterator.val(), 3, 'val max from 2 is 3');
+    assert.strictEquals(iterator.str(), 'three', 'str max from 2 is three');
+
+    assert.end();
+});
+
+test('RBIterator.prev walk the entire tree', function t(assert) {
+    var tree = makeTree();
+    var iterator = new RBIterator(tree);
+
+    assert.strictEquals(iterator.prev(), 8, 'val is 8');
+    assert.strictEquals(iterator.prev(), 7, 'val is 7');
+    assert.strictEquals(iterator.prev(), 6, 'val is 6');
+    assert.strictEquals(iterator.prev(), 5, 'val is 5');
+    assert.strictEquals(iterator.prev(), 4, 'val is 4');
+    assert.strictEquals(iterator.prev(), 3, 'val is 3');
+    assert.strictEquals(iterator.prev(), 2, 'val is 2');
+    assert.strictEquals(iterator.prev(), 1, 'val is 1');
+    assert.strictEquals(iterator.prev(), null, 'val is null');
+
+    assert.end();
+});
+
+test('RBIterator.prev and next change direction', function t(assert) {
+    var tree = makeTree();
+    var iterator = tree.lowerBound(5);
+
+    assert.strictEquals(iterator.prev(), 4, 'val is 4');
+    assert.strictEquals(iterator.prev(), 3, 'val is 3');
+    assert.strictEquals(iterator.next(), 4, 'val is 4');
+    assert.strictEquals(iterator.next(), 5, 'val is 5');
+    assert.strictEquals(iterator.next(), 6, 'val is 6');
+    assert.strictEquals(iterator.prev(), 5, 'val is 5');
+
+    assert.end();
+});
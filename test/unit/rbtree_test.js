@@ -73,7 +73,7 @@ function validateRBTree(node) {
     var leftHeight = validateRBTree(leftNode);
     var rightHeight = validateRBTree(rightNode);
 
-    if (leftNode !== null && leftNode.val >= root.val || rightNode !== null && rightNode.val <= root.val) {
+    if (leftNode !== null && leftNode.val >= node.val || rightNode !== null && rightNode.val <= node.val) {
         throw new Error('binary tree violation at node val ' + node.val);
     }
 
@@ -610,3 +610,54 @@ test('RBTree payload copy bug', function t(assert) {
     assert.end();
 });
 
+
+test('RBTree.max', function t(assert) {
+    var tree = new RBTree();
+    assert.strictEquals(tree.max(), null, 'max of empty tree is null');
+
+    tree = makeTree();
+    assert.strictEquals(tree.max().val, 8, 'max val is 8');
+    assert.strictEquals(tree.max().str, 'eight', 'max str is eight');
+
+    assert.end();
+});
+
+test('RBTree.predecessor', function t(assert) {
+    var tree = new RBTree();
+    assert.strictEquals(tree.predecessor(1).val(), null, 'nothing precedes in empty tree');
+
+    for (var i = 2; i <= 10; i += 2) {
+        tree.insert(i, String(i));
+    }
+
+    assert.strictEquals(tree.predecessor(2).val(), null, 'nothing precedes 2');
+    assert.strictEquals(tree.predecessor(3).val(), 2, 'predecessor(3) is 2');
+    assert.strictEquals(tree.predecessor(4).val(), 2, 'predecessor(4) is 2');
+    assert.strictEquals(tree.predecessor(9).str(), '8', 'predecessor(9) is 8');
+    assert.strictEquals(tree.predecessor(11).val(), 10, 'predecessor(11) is 10');
+
+    var iter = tree.predecessor(7);
+    assert.strictEquals(iter.prev(), 4, 'iterates backwards from predecessor');
+
+    assert.end();
+});
+
+test('RBTree.range', function t(assert) {
+    var tree = makeTree();
+
+    assert.deepEquals(tree.range(3, 5), [
+        { val: 3, str: 'three' },
+        { val: 4, str: 'four' },
+        { val: 5, str: 'five' }
+    ], 'range is inclusive');
+    assert.deepEquals(tree.range(7, 100).map(getVal), [7, 8], 'range past the end');
+    assert.deepEquals(tree.range(-1, 1).map(getVal), [1], 'range before the start');
+    assert.deepEquals(tree.range(9, 100), [], 'range after the end is empty');
+    assert.deepEquals(tree.range(5, 4), [], 'inverted range is empty');
+
+    assert.end();
+
+    function getVal(node) {
+        return node.val;
+    }
+});
@@ -0,0 +1,141 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var HashRing = require('../../lib/ring');
+var JumpRing = require('../../lib/ring/jump.js');
+var RendezvousRing = require('../../lib/ring/rendezvous.js');
+var test = require('tape');
+var testRingConformance = require('../lib/ring-conformance.js');
+
+testRingConformance('HashRing', function createRing() {
+    return new HashRing();
+});
+
+testRingConformance('RendezvousRing', function createRing() {
+    return new RendezvousRing();
+});
+
+testRingConformance('JumpRing', function createRing() {
+    return new JumpRing();
+});
+
+function countOwners(ring, numKeys) {
+    var counts = {};
+
+    for (var i = 0; i < numKeys; i++) {
+        var owner = ring.lookup('key' + i);
+        counts[owner] = (counts[owner] || 0) + 1;
+    }
+
+    return counts;
+}
+
+function countMoves(ring, before, numKeys) {
+    var moves = 0;
+
+    for (var i = 0; i < numKeys; i++) {
+        if (ring.lookup('key' + i) !== before[i]) {
+            moves++;
+        }
+    }
+
+    return moves;
+}
+
+function lookupAll(ring, numKeys) {
+    var owners = [];
+
+    for (var i = 0; i < numKeys; i++) {
+        owners.push(ring.lookup('key' + i));
+    }
+
+    return owners;
+}
+
+test('rings with different strategies have different checksums', function t(assert) {
+    var servers = ['127.0.0.1:3000', '127.0.0.1:3001'];
+    var rendezvous = new RendezvousRing();
+    var jump = new JumpRing();
+
+    rendezvous.addRemoveServers(servers, []);
+    jump.addRemoveServers(servers, []);
+
+    assert.notEquals(rendezvous.checksum, jump.checksum, 'checksums differ');
+    assert.end();
+});
+
+test('RendezvousRing only moves keys of a removed server', function t(assert) {
+    var ring = new RendezvousRing();
+    ring.addRemoveServers(['127.0.0.1:3000', '127.0.0.1:3001', '127.0.0.1:3002'], []);
+
+    var before = lookupAll(ring, 1000);
+    ring.removeServer('127.0.0.1:3001');
+
+    for (var i = 0; i < before.length; i++) {
+        if (before[i] !== '127.0.0.1:3001' &&
+                ring.lookup('key' + i) !== before[i]) {
+            assert.fail('key' + i + ' moved from ' + before[i]);
+        }
+    }
+
+    assert.end();
+});
+
+test('RendezvousRing honors weights', function t(assert) {
+    var ring = new RendezvousRing();
+    ring.addRemoveServers(['127.0.0.1:3000', '127.0.0.1:3001'], [], {
+        '127.0.0.1:3001': 3
+    });
+
+    var counts = countOwners(ring, 4000);
+    assert.true(counts['127.0.0.1:3001'] > counts['127.0.0.1:3000'] * 2,
+        'heavier server owns more keys');
+
+    var checksum = ring.checksum;
+    assert.true(ring.setServerWeight('127.0.0.1:3001', 1), 'weight changed');
+    assert.notEquals(ring.checksum, checksum, 'checksum changed');
+    assert.end();
+});
+
+test('JumpRing moves few keys when the last server is added', function t(assert) {
+    var ring = new JumpRing();
+    ring.addRemoveServers(['127.0.0.1:3000', '127.0.0.1:3001', '127.0.0.1:3002'], []);
+
+    var before = lookupAll(ring, 1000);
+    ring.addServer('127.0.0.1:3003');
+
+    var moves = countMoves(ring, before, 1000);
+    assert.true(moves > 0 && moves < 400, 'about a quarter of keys moved');
+    assert.end();
+});
+
+test('JumpRing ignores weights', function t(assert) {
+    var ring = new JumpRing();
+    ring.addRemoveServers(['127.0.0.1:3000'], [], {
+        '127.0.0.1:3000': 3
+    });
+
+    var checksum = ring.checksum;
+    assert.equals(ring.getWeight('127.0.0.1:3000'), 1, 'default weight');
+    assert.false(ring.setServerWeight('127.0.0.1:3000', 2), 'weight not changed');
+    assert.equals(ring.checksum, checksum, 'checksum not changed');
+    assert.end();
+});
@@ -82,3 +82,24 @@ test('config get/set handlers', function t(assert) {
     assert.end();
     ringpop.destroy();
 });
+
+test('config get handler redacts auth keys', function t(assert) {
+    var ringpop = new Ringpop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        authKeys: ['secret']
+    });
+
+    var handleConfigGet = createConfigGetHandler(ringpop);
+    handleConfigGet(null, JSON.stringify(['authKeys']), null,
+            function onHandle(err, res1, res2) {
+        assert.notok(err, 'an error did not occur');
+        assert.deepEquals(JSON.parse(res2), {
+            authKeys: '<redacted>'
+        }, 'auth keys are redacted');
+        assert.deepEquals(ringpop.config.get('authKeys'), ['secret'],
+            'auth keys are kept');
+    });
+    assert.end();
+    ringpop.destroy();
+});
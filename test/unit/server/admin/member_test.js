@@ -0,0 +1,51 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var memberHandlers = require('../../../../server/admin/member.js');
+var testRingpop = require('../../../lib/test-ringpop.js');
+
+var createListHandler = memberHandlers.memberList.handler;
+
+testRingpop('member list handler filters by labels', function t(deps, assert) {
+    var handleList = createListHandler(deps.ringpop);
+
+    deps.membership.makeAlive('127.0.0.1:3001', Date.now(), {
+        labels: { role: 'db' }
+    });
+
+    handleList(null, null, null, function onHandle(err, res1, res2) {
+        assert.notok(err, 'an error did not occur');
+        assert.equals(JSON.parse(res2).members.length, 2, 'all members listed');
+    });
+
+    handleList(null, JSON.stringify({ labels: { role: 'db' } }), null,
+            function onHandle(err, res1, res2) {
+        var members = JSON.parse(res2).members;
+        assert.notok(err, 'an error did not occur');
+        assert.equals(members.length, 1, 'labeled member listed');
+        assert.equals(members[0].address, '127.0.0.1:3001', 'labeled member');
+        assert.deepEquals(members[0].labels, { role: 'db' }, 'labels listed');
+    });
+
+    handleList(null, JSON.stringify({ labels: 'db' }), null, function onHandle(err) {
+        assert.ok(err, 'invalid labels rejected');
+    });
+});
@@ -0,0 +1,47 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var HashRing = require('../../../../lib/ring');
+var Ringpop = require('../../../../index.js');
+var ringHandlers = require('../../../../server/admin/ring.js');
+var test = require('tape');
+
+var createRingSnapshotHandler = ringHandlers.ringSnapshot.handler;
+
+test('ring snapshot handler', function t(assert) {
+    var ringpop = new Ringpop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000'
+    });
+    ringpop.ring.addRemoveServers(['127.0.0.1:3000', '127.0.0.1:3001']);
+
+    var handleRingSnapshot = createRingSnapshotHandler(ringpop);
+    handleRingSnapshot(null, null, null, function onHandle(err, res1, res2) {
+        assert.notok(err, 'an error did not occur');
+
+        var ring = HashRing.fromSnapshot(JSON.parse(res2));
+        assert.equals(ring.checksum, ringpop.ring.checksum,
+            'snapshot restores ring');
+    });
+
+    assert.end();
+    ringpop.destroy();
+});
@@ -0,0 +1,53 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var createDampReqHandler = require('../../../../server/protocol/damp-req.js');
+var testRingpop = require('../../../lib/test-ringpop.js');
+
+testRingpop({async: true}, 'damp-req fails without flappers', function t(deps, assert, done) {
+    var handleDampReq = createDampReqHandler(deps.ringpop);
+    handleDampReq(null, JSON.stringify({
+        source: '127.0.0.1:3001'
+    }), null, function onHandled(err) {
+        assert.ok(err, 'an error occurred');
+        done();
+    });
+});
+
+testRingpop({async: true}, 'damp-req responds with known damp scores', function t(deps, assert, done) {
+    deps.membership.makeAlive('127.0.0.1:3001', Date.now());
+    deps.membership.findMemberByAddress('127.0.0.1:3001').dampScore = 4200;
+
+    var handleDampReq = createDampReqHandler(deps.ringpop);
+    handleDampReq(null, JSON.stringify({
+        source: '127.0.0.1:3002',
+        flappers: ['127.0.0.1:3001', '127.0.0.1:3003']
+    }), null, function onHandled(err, res1, res2) {
+        assert.ifError(err, 'no error occurred');
+        assert.deepEqual(JSON.parse(res2), {
+            scores: [{
+                member: '127.0.0.1:3001',
+                dampScore: 4200
+            }]
+        }, 'unknown members are left out');
+        done();
+    });
+});
@@ -20,6 +20,7 @@
 'use strict';
 
 var createProtocolJoinHandler = require('../../../../server/protocol/join.js');
+var getCompatibility = require('../../../../lib/compatibility.js').getCompatibility;
 var Ringpop = require('../../../../index.js');
 var test = require('tape');
 
@@ -42,3 +43,65 @@ test('join fails with blacklist error', function t(assert) {
         ringpop.destroy();
     });
 });
+
+test('join fails with busy error when not admitted', function t(assert) {
+    var ringpop = new Ringpop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000',
+        joinAdmissionBurst: 0,
+        joinAdmissionEnabled: true
+    });
+    var handleProtocolJoin = createProtocolJoinHandler(ringpop);
+    handleProtocolJoin(null, JSON.stringify({
+        app: 'ringpop',
+        source: '127.0.0.1:3001',
+        incarnationNumber: 1
+    }), null, function onHandled(err) {
+        assert.ok(err, 'an error occurred');
+        assert.equals(err.type, 'ringpop.join-busy', 'busy error occurred');
+        assert.notOk(ringpop.membership.findMemberByAddress('127.0.0.1:3001'),
+            'joiner is not made alive');
+        assert.end();
+        ringpop.destroy();
+    });
+});
+
+test('join fails with incompatible ring', function t(assert) {
+    var ringpop = new Ringpop({
+        app: 'ringpop',
+        hostPort: '127.0.0.1:3000'
+    });
+    ringpop.isReady = true;
+
+    var compatibility = getCompatibility(ringpop);
+    compatibility.replicaPoints = 200;
+
+    var handleProtocolJoin = createProtocolJoinHandler(ringpop);
+    handleProtocolJoin(null, JSON.stringify({
+        app: 'ringpop',
+        source: '127.0.0.1:3001',
+        incarnationNumber: 1,
+        compatibility: compatibility
+    }), null, function onHandled(err) {
+        assert.ok(err, 'an error occurred');
+        assert.equals(err.type, 'ringpop.incompatible.ring',
+            'incompatible ring error occurred');
+
+        ringpop.config.set('joinCompatibilityMode', 'warn');
+        handleProtocolJoin(null, JSON.stringify({
+            app: 'ringpop',
+            source: '127.0.0.1:3001',
+            incarnationNumber: 1,
+            compatibility: compatibility,
+            version: '10.9.0'
+        }), null, function onWarned(err, res1, res2) {
+            assert.ifError(err, 'joined when only warned about');
+            assert.equals(JSON.parse(res2).compatibility.replicaPoints, 100,
+                'coordinator tells its compatibility');
+            assert.equals(ringpop.membership.findMemberByAddress('127.0.0.1:3001')
+                .version, '10.9.0', 'joiner version is known');
+            assert.end();
+            ringpop.destroy();
+        });
+    });
+});
@@ -0,0 +1,86 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var createSyncHandler = require('../../../../server/protocol/sync.js');
+var testRingpop = require('../../../lib/test-ringpop.js');
+
+testRingpop({async: true}, 'sync fails without a valid depth', function t(deps, assert, done) {
+    var handleSync = createSyncHandler(deps.ringpop);
+    handleSync(null, JSON.stringify({
+        source: '127.0.0.1:3001',
+        depth: 100,
+        hashes: {}
+    }), null, function onHandled(err) {
+        assert.ok(err, 'an error occurred');
+        done();
+    });
+});
+
+testRingpop({async: true}, 'sync responds with differing subtrees', function t(deps, assert, done) {
+    var tree = deps.membership.getMerkleTree(4);
+
+    var handleSync = createSyncHandler(deps.ringpop);
+    handleSync(null, JSON.stringify({
+        source: '127.0.0.1:3001',
+        depth: 4,
+        hashes: {
+            1: tree.getHash(1),
+            2: tree.getHash(2) + 1
+        }
+    }), null, function onHandled(err, res1, res2) {
+        assert.ifError(err, 'no error occurred');
+        assert.deepEqual(JSON.parse(res2), {
+            differing: [2]
+        }, 'only the changed subtree differs');
+        done();
+    });
+});
+
+testRingpop({async: true}, 'sync exchanges the members of leaves', function t(deps, assert, done) {
+    var tree = deps.membership.getMerkleTree(4);
+    var localLeaf = tree.getLeafIndex(deps.ringpop.whoami());
+
+    var handleSync = createSyncHandler(deps.ringpop);
+    handleSync(null, JSON.stringify({
+        source: '127.0.0.1:3001',
+        depth: 4,
+        leaves: [localLeaf],
+        changes: [{
+            source: '127.0.0.1:3001',
+            address: '127.0.0.1:3001',
+            status: 'alive',
+            incarnationNumber: 1
+        }]
+    }), null, function onHandled(err, res1, res2) {
+        assert.ifError(err, 'no error occurred');
+
+        var addresses = JSON.parse(res2).changes.map(function map(change) {
+            return change.address;
+        });
+        assert.ok(addresses.indexOf(deps.ringpop.whoami()) !== -1,
+            'local member is sent back');
+        assert.equal(addresses.indexOf('127.0.0.1:3001'), -1,
+            'changes are not echoed back');
+        assert.ok(deps.membership.findMemberByAddress('127.0.0.1:3001'),
+            'changes are applied');
+        done();
+    });
+});
@@ -0,0 +1,84 @@
+// Copyright (c) 2015 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+'use strict';
+
+var RingpopServer = require('../../../server/index.js');
+var signRequest = require('../../../lib/auth.js').signRequest;
+var testRingpop = require('../../lib/test-ringpop.js');
+
+function createServer(ringpop) {
+    var endpoints = {};
+
+    /* jshint nonew: false */
+    new RingpopServer(ringpop, {
+        register: function register(url, handler) {
+            endpoints[url] = handler;
+        }
+    });
+
+    return function call(url, head, body, callback) {
+        var res = {
+            headers: {},
+            sendNotOk: function sendNotOk(res1, res2) {
+                callback(false, res2);
+            },
+            sendOk: function sendOk(res1, res2) {
+                callback(true, res2);
+            }
+        };
+
+        endpoints[url]({remoteAddr: '127.0.0.1:3001'}, res, head, body);
+    };
+}
+
+testRingpop('protocol requests are rejected without a valid signature', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    ringpop.config.set('authKeys', ['secret']);
+
+    var call = createServer(ringpop);
+    call('/protocol/join', null, '{}', function onResponse(isOk, body) {
+        assert.notOk(isOk, 'request is rejected');
+        assert.ok(/Unauthorized/.test(body), 'response says why');
+    });
+    call('/admin/stats', 'bad', null, function onResponse(isOk) {
+        assert.notOk(isOk, 'admin request is rejected');
+    });
+});
+
+testRingpop('signed protocol requests are handled', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    ringpop.config.set('authKeys', ['secret']);
+
+    var call = createServer(ringpop);
+    call('/admin/stats', signRequest(ringpop, '/admin/stats', null), null,
+            function onResponse(isOk) {
+        assert.ok(isOk, 'request is handled');
+    });
+});
+
+testRingpop('other requests are not verified', function t(deps, assert) {
+    var ringpop = deps.ringpop;
+    ringpop.config.set('authKeys', ['secret']);
+
+    var call = createServer(ringpop);
+    call('/health', null, null, function onResponse(isOk) {
+        assert.ok(isOk, 'request is handled');
+    });
+});